@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const { main } = require('../src/index');
+
+main(process.argv.slice(2))
+  .then((code) => { process.exitCode = code; })
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
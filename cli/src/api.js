@@ -0,0 +1,175 @@
+const SERVICE_NAMES = {
+  upload: 'upload-service',
+  search: 'search-exceptions',
+  notify: 'notify-service',
+  ui: 'ui-service'
+};
+
+/**
+ * Error raised when a service can't be reached or answers with an error.
+ * status is the HTTP status, or null when there was no response.
+ */
+class ApiError extends Error {
+  constructor(message, { status = null, details = null, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+    this.body = body;
+  }
+}
+
+function describeFailure(error) {
+  if (error.name === 'TimeoutError') {
+    return 'timed out';
+  }
+  return (error.cause && (error.cause.code || error.cause.message)) || error.message;
+}
+
+/**
+ * Client for the services' HTTP APIs
+ * @param {object} config - From resolveConfig
+ * @returns {object} { request, upload, stream }
+ */
+function createApi(config) {
+  function url(service, pathname, query = {}) {
+    const target = new URL(pathname, config.urls[service]);
+    for (const [name, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) {
+        target.searchParams.set(name, value);
+      }
+    }
+    return target;
+  }
+
+  function headers(extra = {}) {
+    return {
+      ...(config.apiKey ? { 'X-API-Key': config.apiKey } : {}),
+      ...(config.tenant ? { 'X-Tenant-Id': config.tenant } : {}),
+      ...extra
+    };
+  }
+
+  async function send(service, target, init) {
+    let res;
+    try {
+      res = await fetch(target, { ...init, signal: init.signal || AbortSignal.timeout(config.timeoutMs) });
+    } catch (error) {
+      throw new ApiError(`Can't reach ${SERVICE_NAMES[service]} at ${target.origin}: ${describeFailure(error)}`);
+    }
+
+    const text = await res.text();
+    let body;
+    try {
+      body = text ? JSON.parse(text) : {};
+    } catch {
+      body = { raw: text };
+    }
+
+    if (!res.ok) {
+      throw new ApiError(`${SERVICE_NAMES[service]}: HTTP ${res.status}: ${body.error || body.raw || res.statusText}`, {
+        status: res.status,
+        details: body.details || null,
+        body
+      });
+    }
+    return body;
+  }
+
+  /**
+   * Call a JSON endpoint
+   * @param {string} service - upload, search, notify or ui
+   * @param {string} method
+   * @param {string} pathname - e.g. /exceptions
+   * @param {object} [options] - { query, body }
+   * @returns {Promise<object>} Parsed response body
+   */
+  function request(service, method, pathname, { query, body } = {}) {
+    return send(service, url(service, pathname, query), {
+      method,
+      headers: headers(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  }
+
+  /**
+   * POST an archive to upload-service
+   * @param {Buffer} data - Archive contents
+   * @param {string} fileName - Name the upload is shown under
+   * @returns {Promise<object>} The queued job
+   */
+  function upload(data, fileName) {
+    const form = new FormData();
+    form.append('file', new Blob([data], { type: 'application/octet-stream' }), fileName);
+    return send('upload', url('upload', '/upload'), { method: 'POST', headers: headers(), body: form });
+  }
+
+  /**
+   * Follow a Server-Sent Events stream until it ends
+   * @param {string} service
+   * @param {string} pathname
+   * @param {object} options
+   * @param {object} [options.query]
+   * @param {string} [options.lastEventId] - Resume after this event
+   * @param {AbortSignal} [options.signal] - Stops following the stream
+   * @param {function} [options.onOpen] - Called once the stream is open
+   * @param {function} options.onEvent - Called with { id, event, data }
+   * @returns {Promise<string|null>} Id of the last event received
+   */
+  async function stream(service, pathname, { query, lastEventId = null, signal, onOpen = () => {}, onEvent }) {
+    const target = url(service, pathname, query);
+    let res;
+    try {
+      res = await fetch(target, {
+        headers: headers({ Accept: 'text/event-stream', ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}) }),
+        signal
+      });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      throw new ApiError(`Can't reach ${SERVICE_NAMES[service]} at ${target.origin}: ${describeFailure(error)}`);
+    }
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new ApiError(`${SERVICE_NAMES[service]}: HTTP ${res.status}: ${body.error || res.statusText}`, { status: res.status, body });
+    }
+    onOpen();
+
+    const decoder = new TextDecoder();
+    let buffered = '';
+    for await (const chunk of res.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffered.indexOf('\n\n')) >= 0) {
+        const event = { id: null, event: 'message', data: '' };
+        for (const line of buffered.slice(0, end).split('\n')) {
+          const [, field, value] = line.match(/^([^:]+): ?(.*)$/) || [];
+          if (field === 'data') {
+            event.data += (event.data ? '\n' : '') + value;
+          } else if (field === 'id' || field === 'event') {
+            event[field] = value;
+          }
+        }
+        buffered = buffered.slice(end + 2);
+        if (event.data) {
+          lastEventId = event.id || lastEventId;
+          onEvent(event);
+        }
+      }
+    }
+    return lastEventId;
+  }
+
+  return {
+    request,
+    upload,
+    stream
+  };
+}
+
+module.exports = {
+  SERVICE_NAMES,
+  ApiError,
+  createApi
+};
@@ -0,0 +1,137 @@
+const { UsageError } = require('../config');
+const { renderFields, renderTable } = require('../output');
+
+// Full fingerprints, so they can be passed to "exceptions show"
+const HASH_COLUMN = { header: 'Hash', value: exception => exception.hash, maxWidth: 64 };
+// Innermost frames shown by "exceptions show"
+const SHOWN_FRAMES = 10;
+
+function summary(data) {
+  return data.exceptionMessage || (data.message || '').split('\n').find(line => line.trim());
+}
+
+function frameText(frame) {
+  const location = frame.file ? ` (${frame.file}${frame.line ? `:${frame.line}` : ''})` : '';
+  return `${frame.function}${location}`;
+}
+
+function renderList(page) {
+  const table = renderTable(page.exceptions, [
+    HASH_COLUMN,
+    { header: 'Count', value: exception => exception.count },
+    { header: 'Last seen', value: exception => exception.data.lastSeen || exception.data.timestamp },
+    { header: 'Type', value: exception => exception.data.exceptionType, maxWidth: 40 },
+    { header: 'Message', value: exception => summary(exception.data) }
+  ]);
+  const more = page.nextCursor ? `; next page: --cursor ${page.nextCursor}` : '';
+  return `${table}\n\n${page.exceptions.length} of ${page.totalUniqueExceptions} exception(s)${more}`;
+}
+
+function renderMatches(result) {
+  return renderTable(result.matches, [
+    HASH_COLUMN,
+    { header: 'Score', value: match => match.score },
+    { header: 'Count', value: match => match.count },
+    { header: 'Type', value: match => match.data.exceptionType, maxWidth: 40 },
+    { header: 'Message', value: match => summary(match.data) }
+  ]);
+}
+
+function renderException(exception) {
+  const { data, occurrences } = exception;
+  const frames = data.frames || [];
+  const sections = [
+    renderFields([
+      ['Hash', exception.hash],
+      ['Type', data.exceptionType],
+      ['Message', summary(data)],
+      ['Count', exception.count],
+      ['First seen', exception.firstSeen],
+      ['Last seen', exception.lastSeen],
+      ['Format', data.format],
+      ['Caused by', (data.causes || []).map(cause => cause.type).join(' <- ')]
+    ])
+  ];
+
+  if (frames.length > 0) {
+    const more = frames.length > SHOWN_FRAMES ? [`  ... ${frames.length - SHOWN_FRAMES} more`] : [];
+    sections.push(['Stack:', ...frames.slice(0, SHOWN_FRAMES).map(frame => `  at ${frameText(frame)}`), ...more].join('\n'));
+  }
+
+  sections.push(`Occurrences (${occurrences.items.length} of ${occurrences.total}):\n${renderTable(occurrences.items, [
+    { header: 'Time', value: occurrence => occurrence.timestamp },
+    { header: 'Upload', value: occurrence => occurrence.uploadId },
+    { header: 'Zip', value: occurrence => occurrence.zipFile },
+    { header: 'File', value: occurrence => occurrence.file && `${occurrence.file}${occurrence.line ? `:${occurrence.line}` : ''}` },
+    { header: 'Customer', value: occurrence => ((occurrence.bundle || {}).metadata || {}).customer }
+  ])}`);
+
+  return sections.join('\n\n');
+}
+
+const list = {
+  name: 'exceptions list',
+  args: '[--sort firstSeen|lastSeen|count] [--order asc|desc] [--type <type>] [--module <module>] [--function <function>] [--limit <n>] [--cursor <cursor>]',
+  summary: 'List stored exceptions, one page at a time',
+  options: {
+    sort: { type: 'string' },
+    order: { type: 'string' },
+    type: { type: 'string' },
+    module: { type: 'string' },
+    function: { type: 'string' },
+    limit: { type: 'string' },
+    cursor: { type: 'string' }
+  },
+  async run({ values, api, print }) {
+    const { sort, order, type, module, limit, cursor } = values;
+    const page = await api.request('search', 'GET', '/exceptions', {
+      query: { sort, order, type, module, function: values.function, limit, cursor }
+    });
+    print(page, renderList);
+    return 0;
+  }
+};
+
+const search = {
+  name: 'exceptions search',
+  args: '<text> [--limit <n>] [--threshold <0-1>]',
+  summary: 'Find stored exceptions similar to a message or stack trace',
+  options: {
+    limit: { type: 'string' },
+    threshold: { type: 'string' }
+  },
+  async run({ args, values, api, print }) {
+    if (args.length === 0) {
+      throw new UsageError('Give the text to search for');
+    }
+    const result = await api.request('search', 'GET', '/exceptions/search', {
+      query: { query: args.join(' '), limit: values.limit, threshold: values.threshold }
+    });
+    print(result, renderMatches);
+    return 0;
+  }
+};
+
+const show = {
+  name: 'exceptions show',
+  args: '<hash> [--limit <n>] [--offset <n>]',
+  summary: 'Show an exception with its stack and latest occurrences',
+  options: {
+    limit: { type: 'string' },
+    offset: { type: 'string' }
+  },
+  async run({ args, values, api, print }) {
+    if (args.length !== 1) {
+      throw new UsageError('Give the hash of one exception');
+    }
+    const exception = await api.request('search', 'GET', `/exceptions/${encodeURIComponent(args[0])}`, {
+      query: { limit: values.limit, offset: values.offset }
+    });
+    print(exception, renderException);
+    return 0;
+  }
+};
+
+module.exports = {
+  commands: [list, search, show]
+};
@@ -0,0 +1,49 @@
+const { SERVICE_NAMES } = require('../api');
+const { renderTable } = require('../output');
+
+/**
+ * A service's /health, or why it couldn't be read. A service that is down
+ * answers 503 with its report, which is kept.
+ * @returns {Promise<object>} { service, url, status, dependencies?, error? }
+ */
+async function checkService(api, config, service) {
+  const base = { service: SERVICE_NAMES[service], url: config.urls[service] };
+  try {
+    return { ...base, ...(await api.request(service, 'GET', '/health')), service: base.service };
+  } catch (error) {
+    if (error.body && error.body.status) {
+      return { ...base, ...error.body, service: base.service };
+    }
+    return { ...base, status: 'unreachable', error: error.message };
+  }
+}
+
+function problems(report) {
+  const failing = Object.entries(report.dependencies || {})
+    .filter(([, check]) => check.status !== 'up')
+    .map(([name, check]) => `${name} ${check.status}${check.error ? ` (${check.error})` : ''}`);
+  return [report.error, ...failing].filter(Boolean).join('; ');
+}
+
+const health = {
+  name: 'health',
+  args: '',
+  summary: 'Check every service; exits 1 unless all of them are ok',
+  options: {},
+  async run({ config, api, print }) {
+    const services = await Promise.all(Object.keys(SERVICE_NAMES).map(service => checkService(api, config, service)));
+    const status = services.every(report => report.status === 'ok') ? 'ok' : 'unhealthy';
+
+    print({ status, services }, result => `${renderTable(result.services, [
+      { header: 'Service', value: report => report.service },
+      { header: 'Url', value: report => report.url },
+      { header: 'Status', value: report => report.status },
+      { header: 'Problems', value: problems, maxWidth: 100 }
+    ])}\n\n${result.status}`);
+    return status === 'ok' ? 0 : 1;
+  }
+};
+
+module.exports = {
+  commands: [health]
+};
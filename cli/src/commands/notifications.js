@@ -0,0 +1,140 @@
+const { UsageError } = require('../config');
+const { renderTable } = require('../output');
+
+// Wait before following the stream again after it drops
+const RECONNECT_DELAY_MS = 2000;
+
+const NOTIFICATION_COLUMNS = [
+  { header: 'Id', value: notification => notification.id, maxWidth: 80 },
+  { header: 'Time', value: notification => notification.timestamp },
+  { header: 'Type', value: notification => notification.type },
+  { header: 'Status', value: notification => notification.status },
+  { header: 'Assignee', value: notification => notification.assignee },
+  { header: 'Title', value: notification => notification.data && notification.data.title }
+];
+
+function renderList(page) {
+  return `${renderTable(page.notifications, NOTIFICATION_COLUMNS)}\n\n${page.count} of ${page.total} notification(s)`;
+}
+
+function renderLine(notification) {
+  const { data = {} } = notification;
+  return [notification.timestamp, notification.type, notification.id, data.title, data.zipFile && `(${data.zipFile})`]
+    .filter(Boolean)
+    .join('  ');
+}
+
+const list = {
+  name: 'notifications list',
+  args: '[--status <status>] [--type <type>] [--assignee <name|none>] [--limit <n>] [--offset <n>]',
+  summary: 'List notifications, newest first',
+  options: {
+    status: { type: 'string' },
+    type: { type: 'string' },
+    assignee: { type: 'string' },
+    limit: { type: 'string' },
+    offset: { type: 'string' }
+  },
+  async run({ values, api, print }) {
+    const { status, type, assignee, limit, offset } = values;
+    const page = await api.request('notify', 'GET', '/notifications', { query: { status, type, assignee, limit, offset } });
+    print(page, renderList);
+    return 0;
+  }
+};
+
+const tail = {
+  name: 'notifications tail',
+  args: '[--type <type,...>] [--count <n>]',
+  summary: 'Print notifications as they are sent, until interrupted or --count have arrived',
+  options: {
+    type: { type: 'string' },
+    count: { type: 'string' }
+  },
+  async run({ values, api, print, warn }) {
+    const count = values.count !== undefined ? parseInt(values.count, 10) : null;
+    if (count !== null && (!Number.isInteger(count) || count <= 0)) {
+      throw new UsageError('--count must be a positive number');
+    }
+
+    let received = 0;
+    let lastEventId = null;
+    let connected = false;
+    const done = new AbortController();
+    const onEvent = ({ id, event, data }) => {
+      if (event !== 'notification') {
+        return;
+      }
+      lastEventId = id;
+      print(JSON.parse(data), renderLine, { compact: true });
+      received++;
+      if (received === count) {
+        done.abort();
+      }
+    };
+
+    // Follow the stream again after it drops, resuming after the last
+    // notification seen; only the first connection failing is an error
+    while (!done.signal.aborted) {
+      try {
+        await api.stream('notify', '/notifications/stream', {
+          query: { type: values.type },
+          lastEventId,
+          signal: done.signal,
+          onOpen: () => { connected = true; },
+          onEvent
+        });
+      } catch (error) {
+        if (done.signal.aborted) {
+          break;
+        }
+        if (!connected || error.status) {
+          throw error;
+        }
+        warn(`${error.message}; reconnecting`);
+      }
+      if (!done.signal.aborted) {
+        await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+      }
+    }
+    return 0;
+  }
+};
+
+const ack = {
+  name: 'notifications ack',
+  args: '<id>... [--actor <name>] [--note <text>]',
+  summary: 'Acknowledge notifications, recording who did it (--actor, FAAS_ACTOR or your user name)',
+  options: {
+    actor: { type: 'string' },
+    note: { type: 'string' }
+  },
+  async run({ args, values, config, api, print, warn }) {
+    if (args.length === 0) {
+      throw new UsageError('Give the id of at least one notification');
+    }
+
+    const acknowledged = [];
+    for (const id of args) {
+      try {
+        acknowledged.push(await api.request('notify', 'PATCH', `/notifications/${encodeURIComponent(id)}`, {
+          body: { actor: values.actor || config.actor, status: 'acknowledged', note: values.note }
+        }));
+      } catch (error) {
+        warn(`${id}: ${error.message}`);
+      }
+    }
+
+    print(acknowledged, notifications => renderTable(notifications, [
+      NOTIFICATION_COLUMNS[0],
+      NOTIFICATION_COLUMNS[3],
+      { header: 'Acknowledged by', value: notification => notification.acknowledgedBy },
+      { header: 'At', value: notification => notification.acknowledgedAt }
+    ]));
+    return acknowledged.length === args.length ? 0 : 1;
+  }
+};
+
+module.exports = {
+  commands: [list, tail, ack]
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { UsageError } = require('../config');
+const { renderFields, renderTable } = require('../output');
+const { zipDirectory } = require('../zip');
+
+// How often a job is checked while waiting for it
+const POLL_INTERVAL_MS = 1000;
+const DEFAULT_WAIT_SECONDS = 300;
+const FINISHED = ['completed', 'failed'];
+
+/**
+ * The archive to upload and the name to upload it as; a directory is zipped
+ * @param {string} target - Archive (zip, tar, tar.gz or gz) or directory
+ * @param {function} warn
+ * @returns {Promise<{data: Buffer, fileName: string}>}
+ */
+async function readBundle(target, warn) {
+  let stats;
+  try {
+    stats = fs.statSync(target);
+  } catch {
+    throw new UsageError(`No such file or directory: ${target}`);
+  }
+
+  if (!stats.isDirectory()) {
+    return { data: fs.readFileSync(target), fileName: path.basename(target) };
+  }
+
+  const { data, files, skipped } = await zipDirectory(target);
+  if (files === 0) {
+    throw new UsageError(`Nothing to upload: ${target} has no files`);
+  }
+  if (skipped.length > 0) {
+    warn(`Left out ${skipped.length} entries that aren't regular files: ${skipped.join(', ')}`);
+  }
+  warn(`Zipped ${files} file(s) from ${target} (${data.length} bytes)`);
+  return { data, fileName: `${path.basename(path.resolve(target))}.zip` };
+}
+
+/**
+ * Poll a job until it completes or fails
+ * @returns {Promise<object|null>} The finished job, or null if it is still running after waitMs
+ */
+async function waitForJob(api, jobId, waitMs) {
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    const job = await api.request('upload', 'GET', `/jobs/${encodeURIComponent(jobId)}`);
+    if (FINISHED.includes(job.status)) {
+      return job;
+    }
+    if (Date.now() + POLL_INTERVAL_MS > deadline) {
+      return null;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+function renderQueued(upload) {
+  return renderFields([
+    ['File', upload.file],
+    ['Size', upload.size],
+    ['Job', upload.jobId],
+    ['Case', upload.caseId],
+    ['Status', upload.status],
+    ['Correlation id', upload.correlationId]
+  ]);
+}
+
+function renderJob(job) {
+  const steps = Object.entries(job.steps || {}).map(([name, step]) => ({ name, ...step }));
+  return [
+    renderFields([
+      ['File', job.fileName],
+      ['Job', job.id],
+      ['Case', job.caseId],
+      ['Status', job.status],
+      ['Error', job.error],
+      ['Correlation id', job.correlationId]
+    ]),
+    '',
+    renderTable(steps, [
+      { header: 'Step', value: step => step.name },
+      { header: 'Status', value: step => step.status },
+      { header: 'Error', value: step => step.error }
+    ])
+  ].join('\n');
+}
+
+const upload = {
+  name: 'upload',
+  args: '<archive|dir> [--wait] [--wait-timeout <seconds>]',
+  summary: 'Upload a support bundle (zip, tar, tar.gz or gz); a directory is zipped first. --wait follows the job until it finishes',
+  options: {
+    wait: { type: 'boolean', short: 'w' },
+    'wait-timeout': { type: 'string' }
+  },
+  async run({ args, values, api, print, warn }) {
+    if (args.length !== 1) {
+      throw new UsageError('Give one archive or directory to upload');
+    }
+    const waitSeconds = parseInt(values['wait-timeout'] || DEFAULT_WAIT_SECONDS, 10);
+    if (!Number.isInteger(waitSeconds) || waitSeconds <= 0) {
+      throw new UsageError('--wait-timeout must be a positive number of seconds');
+    }
+
+    const { data, fileName } = await readBundle(args[0], warn);
+    const queued = await api.upload(data, fileName);
+    if (!values.wait) {
+      print(queued, renderQueued);
+      return 0;
+    }
+
+    warn(`Uploaded ${fileName} as job ${queued.jobId}; waiting for it to finish`);
+    const job = await waitForJob(api, queued.jobId, waitSeconds * 1000);
+    if (!job) {
+      warn(`Job ${queued.jobId} still hasn't finished after ${waitSeconds}s`);
+      print(queued, renderQueued);
+      return 1;
+    }
+    print(job, renderJob);
+    return job.status === 'completed' ? 0 : 1;
+  }
+};
+
+module.exports = {
+  commands: [upload]
+};
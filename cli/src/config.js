@@ -0,0 +1,68 @@
+const os = require('os');
+
+const OUTPUT_FORMATS = ['table', 'json'];
+
+/**
+ * Options every command accepts, for util.parseArgs. Each falls back to an
+ * environment variable, then a default.
+ */
+const GLOBAL_OPTIONS = {
+  'upload-url': { type: 'string' },
+  'search-url': { type: 'string' },
+  'notify-url': { type: 'string' },
+  'ui-url': { type: 'string' },
+  'api-key': { type: 'string' },
+  tenant: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  timeout: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Resolve where the services are and how to call them
+ * @param {object} values - Parsed options
+ * @param {object} [env] - Environment variables
+ * @returns {object} { urls: { upload, search, notify, ui }, apiKey, tenant, output, timeoutMs, actor }
+ */
+function resolveConfig(values, env = process.env) {
+  const output = values.output || env.FAAS_OUTPUT || 'table';
+  if (!OUTPUT_FORMATS.includes(output)) {
+    throw new UsageError(`--output must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  const timeoutMs = parseInt(values.timeout || env.HTTP_TIMEOUT_MS || '10000', 10);
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    throw new UsageError('--timeout must be a positive number of milliseconds');
+  }
+
+  return {
+    urls: {
+      upload: values['upload-url'] || env.UPLOAD_SERVICE_URL || 'http://localhost:3001',
+      search: values['search-url'] || env.SEARCH_EXCEPTIONS_URL || 'http://localhost:3002',
+      notify: values['notify-url'] || env.NOTIFY_SERVICE_URL || 'http://localhost:3003',
+      ui: values['ui-url'] || env.UI_SERVICE_URL || 'http://localhost:3000'
+    },
+    apiKey: values['api-key'] || env.FAAS_API_KEY || null,
+    tenant: values.tenant || env.FAAS_TENANT || null,
+    output,
+    timeoutMs,
+    actor: env.FAAS_ACTOR || os.userInfo().username
+  };
+}
+
+/**
+ * Error raised for a command line that can't be run; shown with the usage
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  GLOBAL_OPTIONS,
+  UsageError,
+  resolveConfig
+};
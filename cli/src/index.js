@@ -0,0 +1,105 @@
+const { parseArgs } = require('util');
+const { GLOBAL_OPTIONS, UsageError, resolveConfig } = require('./config');
+const { ApiError, createApi } = require('./api');
+const { createPrinter } = require('./output');
+
+// Exit codes besides 0 (success) and 1 (the command failed)
+const EXIT_USAGE = 2;
+
+const COMMANDS = [
+  ...require('./commands/upload').commands,
+  ...require('./commands/exceptions').commands,
+  ...require('./commands/notifications').commands,
+  ...require('./commands/health').commands
+];
+
+function usage() {
+  const width = Math.max(...COMMANDS.map(command => command.name.length));
+  return [
+    'Usage: faas-support <command> [options]',
+    '',
+    'Commands:',
+    ...COMMANDS.map(command => `  ${command.name.padEnd(width)}  ${command.summary}`),
+    '',
+    'Options for every command:',
+    '  -o, --output table|json   Output format (FAAS_OUTPUT, default table)',
+    '  --api-key <key>           API key sent as X-API-Key (FAAS_API_KEY)',
+    '  --tenant <id>             Tenant to act for, with an admin key (FAAS_TENANT)',
+    '  --upload-url <url>        upload-service (UPLOAD_SERVICE_URL, default http://localhost:3001)',
+    '  --search-url <url>        search-exceptions (SEARCH_EXCEPTIONS_URL, default http://localhost:3002)',
+    '  --notify-url <url>        notify-service (NOTIFY_SERVICE_URL, default http://localhost:3003)',
+    '  --ui-url <url>            ui-service (UI_SERVICE_URL, default http://localhost:3000)',
+    '  --timeout <ms>            Time allowed for each request (HTTP_TIMEOUT_MS, default 10000)',
+    '  -h, --help                Show this help, or a command\'s options',
+    '',
+    'Run "faas-support <command> --help" for a command\'s arguments.'
+  ].join('\n');
+}
+
+/**
+ * The command named by the leading words of the arguments, e.g.
+ * "exceptions list"
+ * @param {string[]} argv
+ * @returns {{command: object|null, rest: string[]}}
+ */
+function findCommand(argv) {
+  for (const words of [2, 1]) {
+    const command = COMMANDS.find(candidate => candidate.name === argv.slice(0, words).join(' '));
+    if (command) {
+      return { command, rest: argv.slice(words) };
+    }
+  }
+  return { command: null, rest: argv };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const warn = message => process.stderr.write(`${message}\n`);
+  const { command, rest } = findCommand(argv);
+
+  if (!command) {
+    const help = argv.length === 0 || ['-h', '--help', 'help'].includes(argv[0]);
+    (help ? console.log : warn)(help ? usage() : `Unknown command: ${argv.join(' ')}\n\n${usage()}`);
+    return help ? 0 : EXIT_USAGE;
+  }
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true
+    });
+    if (values.help) {
+      console.log(`Usage: faas-support ${command.name} ${command.args}\n\n${command.summary}`);
+      return 0;
+    }
+
+    const config = resolveConfig(values);
+    return await command.run({
+      args: positionals,
+      values,
+      config,
+      api: createApi(config),
+      print: createPrinter(config.output),
+      warn
+    });
+  } catch (error) {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+      warn(`${error.message}\nUsage: faas-support ${command.name} ${command.args}`);
+      return EXIT_USAGE;
+    }
+    if (error instanceof ApiError) {
+      warn(`Error: ${error.message}${error.details ? ` (${error.details})` : ''}`);
+      return 1;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  main
+};
@@ -0,0 +1,59 @@
+// Longest cell shown in a table; longer values are cut short
+const MAX_CELL_WIDTH = 60;
+
+function cell(value, maxWidth = MAX_CELL_WIDTH) {
+  if (value === undefined || value === null || value === '') {
+    return '-';
+  }
+  const text = String(typeof value === 'object' ? JSON.stringify(value) : value).replace(/\s+/g, ' ').trim();
+  return text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+}
+
+/**
+ * Lay rows out in aligned columns under a header
+ * @param {object[]} rows
+ * @param {Array<{header: string, value: function, maxWidth?: number}>} columns - value(row) gives the cell
+ * @returns {string}
+ */
+function renderTable(rows, columns) {
+  if (rows.length === 0) {
+    return '(none)';
+  }
+  const cells = rows.map(row => columns.map(column => cell(column.value(row), column.maxWidth)));
+  const widths = columns.map((column, i) => Math.max(column.header.length, ...cells.map(line => line[i].length)));
+  const format = line => line.map((text, i) => text.padEnd(widths[i])).join('  ').trimEnd();
+  return [format(columns.map(column => column.header.toUpperCase())), ...cells.map(format)].join('\n');
+}
+
+/**
+ * One "name: value" line per field, for a single record. Values are shown
+ * in full.
+ * @param {Array<[string, *]>} fields
+ * @returns {string}
+ */
+function renderFields(fields) {
+  const width = Math.max(...fields.map(([name]) => name.length));
+  return fields.map(([name, value]) => `${`${name}:`.padEnd(width + 1)} ${cell(value, Infinity)}`).join('\n');
+}
+
+/**
+ * Create the printer for the chosen output format. In json format each
+ * command prints the service's response as it came; in table format it
+ * prints the text the command renders from it. Streamed records are
+ * printed compact, one JSON object per line.
+ * @param {string} format - table or json
+ * @param {object} [stream] - Where to write
+ * @returns {function} print(data, render, { compact }) with render(data) -> string
+ */
+function createPrinter(format, stream = process.stdout) {
+  return (data, render, { compact = false } = {}) => {
+    const json = compact ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+    stream.write(`${format === 'json' ? json : render(data)}\n`);
+  };
+}
+
+module.exports = {
+  renderTable,
+  renderFields,
+  createPrinter
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+
+/**
+ * Regular files under a directory, as paths relative to it. Symlinks are
+ * left out: upload-service rejects archives that contain them.
+ * @param {string} dir
+ * @returns {{files: string[], skipped: string[]}}
+ */
+function listFiles(dir) {
+  const files = [];
+  const skipped = [];
+  const walk = (relative) => {
+    for (const entry of fs.readdirSync(path.join(dir, relative), { withFileTypes: true })) {
+      const entryPath = path.posix.join(relative, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      } else {
+        skipped.push(entryPath);
+      }
+    }
+  };
+  walk('');
+  return { files, skipped };
+}
+
+/**
+ * Zip a directory's files in memory, with paths relative to the directory
+ * @param {string} dir
+ * @returns {Promise<{data: Buffer, files: number, skipped: string[]}>}
+ */
+function zipDirectory(dir) {
+  const { files, skipped } = listFiles(dir);
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('warning', reject);
+    archive.on('error', reject);
+    archive.on('end', () => resolve({ data: Buffer.concat(chunks), files: files.length, skipped }));
+    files.forEach(file => archive.file(path.join(dir, file), { name: file }));
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  zipDirectory
+};
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const BIN = path.join(__dirname, '..', 'bin', 'faas-support.js');
+
+/**
+ * Run the CLI as a user would
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function run(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BIN, ...args], { env: { ...process.env, ...env }, timeout: 10000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * A stand-in for every service: answers /health and GET /exceptions, and
+ * records the requests it gets
+ */
+function startServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+    const url = new URL(req.url, 'http://localhost');
+    res.setHeader('Content-Type', 'application/json');
+    if (url.pathname === '/health') {
+      res.end(JSON.stringify({ status: 'ok', dependencies: {} }));
+    } else if (url.pathname === '/exceptions') {
+      res.end(JSON.stringify({ totalUniqueExceptions: 0, nextCursor: null, exceptions: [] }));
+    } else {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: 'Not found' }));
+    }
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+test('prints usage and exits 0 for --help', async () => {
+  const { code, stdout } = await run(['--help']);
+  assert.strictEqual(code, 0);
+  assert.match(stdout, /^Usage: faas-support <command>/);
+  assert.match(stdout, /exceptions list/);
+});
+
+test('exits 2 for an unknown command or option', async () => {
+  const unknown = await run(['frobnicate']);
+  assert.strictEqual(unknown.code, 2);
+  assert.match(unknown.stderr, /Unknown command: frobnicate/);
+
+  const badOption = await run(['health', '--output', 'xml']);
+  assert.strictEqual(badOption.code, 2);
+  assert.match(badOption.stderr, /--output must be one of: table, json/);
+});
+
+test('calls the services with the configured key and prints JSON', async (t) => {
+  const { server, requests, url } = await startServer();
+  t.after(() => server.close());
+  const env = { UPLOAD_SERVICE_URL: url, SEARCH_EXCEPTIONS_URL: url, NOTIFY_SERVICE_URL: url, UI_SERVICE_URL: url };
+
+  const health = await run(['health', '-o', 'json'], env);
+  assert.strictEqual(health.code, 0);
+  assert.strictEqual(JSON.parse(health.stdout).status, 'ok');
+
+  const list = await run(['exceptions', 'list', '--type', 'IOException', '--api-key', 'secret', '-o', 'json'], env);
+  assert.strictEqual(list.code, 0);
+  assert.deepStrictEqual(JSON.parse(list.stdout).exceptions, []);
+  const listed = requests.find(request => request.url.startsWith('/exceptions'));
+  assert.strictEqual(listed.url, '/exceptions?type=IOException');
+  assert.strictEqual(listed.headers['x-api-key'], 'secret');
+});
+
+test('exits 1 when a service can\'t be reached', async () => {
+  const { code, stderr } = await run(['exceptions', 'list', '--search-url', 'http://127.0.0.1:9', '--timeout', '2000']);
+  assert.strictEqual(code, 1);
+  assert.match(stderr, /Can't reach search-exceptions at http:\/\/127\.0\.0\.1:9/);
+});
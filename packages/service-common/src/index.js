@@ -0,0 +1,14 @@
+const { CORRELATION_HEADER, createLogger } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { DEFAULT_TENANT, loadTenants, listTenants, authenticate, requireAdmin } = require('./tenants');
+
+module.exports = {
+  CORRELATION_HEADER,
+  createLogger,
+  createMetrics,
+  DEFAULT_TENANT,
+  loadTenants,
+  listTenants,
+  authenticate,
+  requireAdmin
+};
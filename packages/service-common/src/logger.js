@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CORRELATION_HEADER = 'X-Correlation-Id';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Query parameters that carry credentials, for clients like EventSource that
+// can't send headers; they are left out of logged request paths
+const SECRET_PARAMS = ['apiKey'];
+
+/**
+ * @returns {string} A new correlation id
+ */
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * A request's URL as logged, without SECRET_PARAMS
+ * @param {string} url - e.g. req.originalUrl
+ * @returns {string}
+ */
+function loggedPath(url) {
+  const queryStart = url.indexOf('?');
+  if (queryStart < 0) {
+    return url;
+  }
+  const params = new URLSearchParams(url.slice(queryStart + 1));
+  SECRET_PARAMS.forEach(name => params.delete(name));
+  const query = params.toString();
+  return url.slice(0, queryStart) + (query ? `?${query}` : '');
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+/**
+ * Create a service's structured logger
+ * @param {string} serviceName - Written as the service field of every line
+ * @param {object} [options]
+ * @param {string} [options.level] - debug, info, warn or error (LOG_LEVEL, default info)
+ * @param {string} [options.format] - json, one JSON object per line, or pretty,
+ *   easier to read locally (LOG_FORMAT, default json)
+ * @returns {object} { CORRELATION_HEADER, log, currentContext, runWithContext,
+ *   newCorrelationId, requestContext }
+ */
+function createLogger(serviceName, { level = process.env.LOG_LEVEL, format = process.env.LOG_FORMAT } = {}) {
+  const minLevel = LEVELS[level] || LEVELS.info;
+  const pretty = format === 'pretty';
+
+  // Correlation id and other fields added to every line logged while handling
+  // a request, job or invocation
+  const storage = new AsyncLocalStorage();
+
+  /**
+   * @returns {object} Fields of the context the caller is running in
+   */
+  function currentContext() {
+    return storage.getStore() || {};
+  }
+
+  /**
+   * Run a function with fields added to every line it logs
+   * @param {object} context - e.g. { correlationId, jobId }
+   * @param {function} fn
+   * @returns {*} What fn returns
+   */
+  function runWithContext(context, fn) {
+    return storage.run({ ...currentContext(), ...context }, fn);
+  }
+
+  function write(lineLevel, msg, fields = {}) {
+    if (LEVELS[lineLevel] < minLevel) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level: lineLevel, service: serviceName, msg, ...currentContext() };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+
+    const line = pretty
+      ? `${entry.time} ${lineLevel.toUpperCase().padEnd(5)} ${msg}${Object.entries(entry)
+        .filter(([key]) => !['time', 'level', 'service', 'msg'].includes(key))
+        .map(([key, value]) => ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join('')}`
+      : JSON.stringify(entry);
+    (lineLevel === 'error' || lineLevel === 'warn' ? process.stderr : process.stdout).write(line + '\n');
+  }
+
+  const log = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+  };
+
+  /**
+   * Express middleware: takes the request's correlation id from the
+   * X-Correlation-Id header, or starts a new one, echoes it on the response
+   * and logs each request once it finishes
+   */
+  function requestContext(req, res, next) {
+    const correlationId = req.get(CORRELATION_HEADER) || newCorrelationId();
+    const started = process.hrtime.bigint();
+    req.correlationId = correlationId;
+    res.set(CORRELATION_HEADER, correlationId);
+
+    runWithContext({ correlationId }, () => {
+      res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+        log.debug('Request handled', {
+          correlationId,
+          method: req.method,
+          path: loggedPath(req.originalUrl),
+          status: res.statusCode,
+          durationMs: Math.round(durationMs * 10) / 10
+        });
+      });
+      next();
+    });
+  }
+
+  return {
+    CORRELATION_HEADER,
+    log,
+    currentContext,
+    runWithContext,
+    newCorrelationId,
+    requestContext
+  };
+}
+
+module.exports = {
+  CORRELATION_HEADER,
+  createLogger,
+  loggedPath
+};
@@ -0,0 +1,184 @@
+// Request latency buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Time allowed for each gauge to read its value when /metrics is scraped
+const METRICS_COLLECT_TIMEOUT_MS = parseInt(process.env.METRICS_COLLECT_TIMEOUT_MS || '2000', 10);
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function labelsFor(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+/**
+ * Create a service's metrics registry, with request latency, uptime and
+ * memory already registered
+ * @param {string} serviceName - Added as the service label of every series
+ * @returns {object} { counter, histogram, gauge, render, httpMetrics, metricsHandler }
+ */
+function createMetrics(serviceName) {
+  const registry = new Map();
+
+  function formatLabels(labels) {
+    const pairs = Object.entries({ service: serviceName, ...labels })
+      .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return `{${pairs.join(',')}}`;
+  }
+
+  /**
+   * Register a counter
+   * @param {string} name - Metric name, e.g. uploads_processed_total
+   * @param {string} help - Description shown on /metrics
+   * @param {string[]} [labelNames]
+   * @returns {{inc: function(object=, number=)}}
+   */
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    registry.set(name, {
+      type: 'counter',
+      help,
+      lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    });
+
+    return {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: labelsFor(labelNames, labels), value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  /**
+   * Register a histogram
+   * @param {string} name - Metric name, e.g. http_request_duration_seconds
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {number[]} [buckets] - Upper bounds, ascending
+   * @returns {{observe: function(object, number)}}
+   */
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    registry.set(name, {
+      type: 'histogram',
+      help,
+      lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    });
+
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: labelsFor(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, i) => {
+          if (value <= bound) {
+            entry.counts[i]++;
+          }
+        });
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  /**
+   * Register a gauge whose values are read when /metrics is scraped
+   * @param {string} name
+   * @param {string} help
+   * @param {function} collect - Resolves a number, or [{ labels, value }]
+   */
+  function gauge(name, help, collect) {
+    registry.set(name, {
+      type: 'gauge',
+      help,
+      lines: async () => {
+        const values = await collect();
+        const samples = Array.isArray(values) ? values : [{ labels: {}, value: values }];
+        return samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+      }
+    });
+  }
+
+  /**
+   * Every registered metric in the Prometheus text format. Gauges are read
+   * together; one whose source is unavailable, or doesn't answer within
+   * METRICS_COLLECT_TIMEOUT_MS, is left out rather than failing or holding
+   * up the scrape.
+   * @returns {Promise<string>}
+   */
+  async function render() {
+    const sections = await Promise.all([...registry].map(async ([name, metric]) => {
+      let timer;
+      try {
+        const lines = await Promise.race([
+          metric.lines(),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`${name} timed out`)), METRICS_COLLECT_TIMEOUT_MS);
+          })
+        ]);
+        return [`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`, ...lines].join('\n');
+      } catch {
+        return null;
+      } finally {
+        clearTimeout(timer);
+      }
+    }));
+    return sections.filter(Boolean).join('\n') + '\n';
+  }
+
+  const requestDuration = histogram(
+    'http_request_duration_seconds',
+    'HTTP request latency by route and status',
+    ['method', 'route', 'status']
+  );
+
+  gauge('process_uptime_seconds', 'Seconds since the service started', () => Math.round(process.uptime()));
+  gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+
+  /**
+   * Express middleware: records each request's latency under the route it matched
+   */
+  function httpMetrics(req, res, next) {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      requestDuration.observe(
+        { method: req.method, route, status: res.statusCode },
+        Number(process.hrtime.bigint() - started) / 1e9
+      );
+    });
+    next();
+  }
+
+  /**
+   * GET /metrics handler
+   */
+  async function metricsHandler(req, res) {
+    res.type('text/plain; version=0.0.4').send(await render());
+  }
+
+  return {
+    counter,
+    histogram,
+    gauge,
+    render,
+    httpMetrics,
+    metricsHandler
+  };
+}
+
+module.exports = {
+  createMetrics
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+
+// Owns the data stored before tenants were configured, which stays where it was
+const DEFAULT_TENANT = 'default';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const tenants = new Map();
+const keyOwners = new Map();
+const adminKeys = new Set();
+let enabled = false;
+
+/**
+ * Replace ${VAR} in API keys with environment variables, so keys can stay
+ * out of the config file
+ * @param {string} value
+ * @returns {string}
+ */
+function expandEnv(value) {
+  return String(value).replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+}
+
+/**
+ * Load tenants and API keys from a JSON file:
+ * {
+ *   "tenants": { "<id>": { "name": "...", "apiKeys": ["..."] } },
+ *   "adminKeys": ["..."]
+ * }
+ * A missing file turns API keys off: every request is an admin request for
+ * the default tenant. That is only allowed for the default file; a file
+ * that was asked for must exist, so a wrong path can't turn API keys off.
+ * @param {string} configPath
+ * @param {object} [options]
+ * @param {boolean} [options.required] - Throw if the file is missing
+ * @returns {string[]} Ids of the configured tenants
+ */
+function loadTenants(configPath, { required = false } = {}) {
+  tenants.clear();
+  keyOwners.clear();
+  adminKeys.clear();
+  enabled = fs.existsSync(configPath);
+  if (!enabled) {
+    if (required) {
+      throw new Error(`Tenants file not found: ${configPath}`);
+    }
+    return [];
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  for (const [id, tenant] of Object.entries(config.tenants || {})) {
+    if (!TENANT_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid tenant id "${id}": use lowercase letters, digits, - and _`);
+    }
+    tenants.set(id, { id, name: tenant.name || id });
+    for (const apiKey of (tenant.apiKeys || []).map(expandEnv).filter(Boolean)) {
+      keyOwners.set(apiKey, id);
+    }
+  }
+  (config.adminKeys || []).map(expandEnv).filter(Boolean).forEach(apiKey => adminKeys.add(apiKey));
+
+  return [...tenants.keys()];
+}
+
+/**
+ * Every tenant, the default tenant first
+ * @returns {Array<{id: string, name: string}>}
+ */
+function listTenants() {
+  const defaultTenant = tenants.get(DEFAULT_TENANT) || { id: DEFAULT_TENANT, name: DEFAULT_TENANT };
+  return [defaultTenant, ...[...tenants.values()].filter(tenant => tenant.id !== DEFAULT_TENANT)];
+}
+
+/**
+ * Express middleware: identify the tenant a request acts for from its API
+ * key (X-API-Key header, or apiKey query parameter for EventSource), and
+ * set req.tenant = { id, admin }. Admin keys act for the tenant named by
+ * the X-Tenant-Id header or tenant query parameter, or the default tenant.
+ */
+function authenticate(req, res, next) {
+  if (!enabled) {
+    req.tenant = { id: DEFAULT_TENANT, admin: true };
+    return next();
+  }
+
+  const apiKey = req.get('X-API-Key') || req.query.apiKey;
+  const requested = req.get('X-Tenant-Id') || req.query.tenant;
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Missing API key', details: 'Send an API key in the X-API-Key header' });
+  }
+
+  if (adminKeys.has(apiKey)) {
+    const id = requested || DEFAULT_TENANT;
+    if (id !== DEFAULT_TENANT && !tenants.has(id)) {
+      return res.status(404).json({ error: 'Tenant not found', details: id });
+    }
+    req.tenant = { id, admin: true };
+    return next();
+  }
+
+  const owner = keyOwners.get(apiKey);
+  if (!owner) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  if (requested && requested !== owner) {
+    return res.status(403).json({ error: 'API key does not belong to this tenant', details: requested });
+  }
+  req.tenant = { id: owner, admin: false };
+  next();
+}
+
+/**
+ * Express middleware: only admin keys may continue. Must run after authenticate.
+ */
+function requireAdmin(req, res, next) {
+  if (!req.tenant.admin) {
+    return res.status(403).json({ error: 'Admin API key required' });
+  }
+  next();
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  loadTenants,
+  listTenants,
+  authenticate,
+  requireAdmin
+};
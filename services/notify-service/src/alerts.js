@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Policies applied when no config file overrides them:
+ * duplicate_exception alerts on the 2nd, 10th, 100th... occurrence of a
+ * fingerprint, and at most once per fingerprint per hour
+ */
+const DEFAULT_POLICIES = {
+  duplicate_exception: {
+    milestones: [2, 10, 100, 1000, 10000],
+    minIntervalMs: HOUR_MS
+  }
+};
+
+const DEFAULT_DIGEST = {
+  intervalMs: HOUR_MS,
+  top: 10,
+  type: 'exception_digest'
+};
+
+/**
+ * Key occurrences are grouped by: the exception fingerprint, or a hash of
+ * the notification title when there is none
+ * @param {object} data - Notification data
+ * @returns {string}
+ */
+function alertKey(data) {
+  if (data.details.fingerprint) {
+    return String(data.details.fingerprint);
+  }
+  return crypto.createHash('sha256').update(String(data.details.exception || data.title)).digest('hex');
+}
+
+/**
+ * Read the "alerts" section of the notify-service config file:
+ * { "alerts": { "policies": { "<type>": { milestones?, minIntervalMs? } }, "digest": { intervalMs, top } } }
+ * @param {string} configPath
+ * @returns {{policies: object, digest: object}}
+ */
+function loadAlertConfig(configPath) {
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')).alerts || {} : {};
+  return {
+    policies: config.policies || DEFAULT_POLICIES,
+    digest: { ...DEFAULT_DIGEST, ...config.digest }
+  };
+}
+
+/**
+ * Alert throttling: decides whether a notification of a throttled type is
+ * sent, counts every occurrence (sent or suppressed) per key, and builds
+ * digests of the top recurring keys. State is kept in a JSON file.
+ * A key not seen for the longer of its policy's minIntervalMs and the digest
+ * interval, and already reported in a digest, is forgotten. Each key records
+ * the upload and customer of the occurrence its title and exception came
+ * from, so it can be forgotten when they are purged.
+ * @param {string} stateFile - Where occurrence counts are persisted
+ * @param {object} config - From loadAlertConfig
+ * @returns {object} Alert functions
+ */
+function createAlerts(stateFile, config) {
+  const { policies, digest } = config;
+  let state = { keys: {}, windowStartedAt: new Date().toISOString() };
+  if (fs.existsSync(stateFile)) {
+    state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  }
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    const tempPath = `${stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, stateFile);
+  };
+
+  /**
+   * Drop keys whose alert window has passed since they were last seen
+   * @param {Date} now
+   */
+  function prune(now) {
+    for (const [stateKey, entry] of Object.entries(state.keys)) {
+      const policy = policies[entry.type] || {};
+      const windowMs = Math.max(policy.minIntervalMs || 0, digest.intervalMs || 0);
+      const reported = entry.windowOccurrences === 0 || !digest.intervalMs;
+      if (reported && now - new Date(entry.lastSeen || entry.firstSeen) > windowMs) {
+        delete state.keys[stateKey];
+      }
+    }
+  }
+
+  /**
+   * Count an occurrence and decide whether to send it
+   * @param {string} type - Notification type
+   * @param {object} data - Notification data
+   * @returns {object|null} null when the type has no policy; otherwise
+   *   { key, suppressed, reason?, occurrence, suppressedSinceLastAlert }
+   */
+  function evaluate(type, data) {
+    const policy = policies[type];
+    if (!policy) {
+      return null;
+    }
+
+    const key = alertKey(data);
+    const stateKey = `${type}:${key}`;
+    const now = new Date();
+    prune(now);
+    const entry = state.keys[stateKey] || {
+      key,
+      type,
+      title: data.title,
+      exception: data.details.exception || null,
+      uploadId: data.details.uploadId || null,
+      customer: data.details.customer || null,
+      firstSeen: now.toISOString(),
+      occurrences: 0,
+      windowOccurrences: 0,
+      suppressed: 0,
+      totalSuppressed: 0,
+      lastAlertAt: null,
+      lastAlertedOccurrence: 0
+    };
+    state.keys[stateKey] = entry;
+
+    entry.occurrences++;
+    entry.windowOccurrences++;
+    entry.lastSeen = now.toISOString();
+    // The duplicate count from search-exceptions is authoritative when present
+    const occurrence = Math.max(data.details.duplicateCount || 0, entry.occurrences);
+
+    let reason = null;
+    const milestones = policy.milestones || [];
+    if (milestones.length > 0 && !milestones.some(m => m > entry.lastAlertedOccurrence && m <= occurrence)) {
+      reason = 'no occurrence milestone reached';
+    } else if (policy.minIntervalMs && entry.lastAlertAt && now - new Date(entry.lastAlertAt) < policy.minIntervalMs) {
+      reason = `already alerted within ${policy.minIntervalMs}ms`;
+    }
+
+    const decision = { key, suppressed: Boolean(reason), occurrence, suppressedSinceLastAlert: entry.suppressed };
+    if (reason) {
+      entry.suppressed++;
+      entry.totalSuppressed++;
+      decision.reason = reason;
+      decision.suppressedSinceLastAlert = entry.suppressed;
+    } else {
+      entry.lastAlertAt = now.toISOString();
+      entry.lastAlertedOccurrence = occurrence;
+      entry.suppressed = 0;
+    }
+
+    save();
+    return decision;
+  }
+
+  /**
+   * Summarise the keys that recurred since the last digest and start a new window
+   * @returns {object|null} Notification data for the digest, or null if nothing recurred
+   */
+  function takeDigest() {
+    const windowStartedAt = state.windowStartedAt;
+    const windowEndedAt = new Date().toISOString();
+    const recurring = Object.values(state.keys)
+      .filter(entry => entry.windowOccurrences > 0)
+      .sort((a, b) => b.windowOccurrences - a.windowOccurrences);
+
+    const top = recurring.slice(0, digest.top).map(entry => ({
+      key: entry.key,
+      title: entry.title,
+      exception: entry.exception,
+      occurrencesInWindow: entry.windowOccurrences,
+      totalOccurrences: entry.occurrences,
+      suppressed: entry.totalSuppressed
+    }));
+    const totalInWindow = recurring.reduce((sum, entry) => sum + entry.windowOccurrences, 0);
+    const lines = top.map((entry, i) =>
+      `${i + 1}. ${entry.occurrencesInWindow}x ${entry.exception || entry.title} (${entry.totalOccurrences} total, ${entry.suppressed} suppressed)`);
+
+    Object.values(state.keys).forEach(entry => { entry.windowOccurrences = 0; });
+    state.windowStartedAt = windowEndedAt;
+    prune(new Date(windowEndedAt));
+    save();
+
+    if (recurring.length === 0) {
+      return null;
+    }
+
+    return {
+      type: digest.type,
+      title: `Exception digest: ${recurring.length} recurring exception(s), ${totalInWindow} occurrence(s)`,
+      message: lines.join('\n'),
+      zipFile: null,
+      details: { windowStartedAt, windowEndedAt, recurring: recurring.length, occurrences: totalInWindow, top }
+    };
+  }
+
+  /**
+   * Forget the keys of a purged upload or customer: those whose title and
+   * exception came from it, and those of its purged notifications
+   * @param {object} target - { uploadId } or { customer }
+   * @param {string[]} keys - Alert keys of the purged notifications
+   * @returns {number} Keys forgotten
+   */
+  function forget({ uploadId, customer }, keys) {
+    const purgedKeys = new Set(keys);
+    let forgotten = 0;
+    for (const [stateKey, entry] of Object.entries(state.keys)) {
+      const fromTarget = uploadId ? entry.uploadId === uploadId : Boolean(customer) && entry.customer === customer;
+      if (fromTarget || purgedKeys.has(entry.key)) {
+        delete state.keys[stateKey];
+        forgotten++;
+      }
+    }
+    if (forgotten > 0) {
+      save();
+    }
+    return forgotten;
+  }
+
+  /**
+   * Occurrence counts per key, most frequent first
+   * @returns {object[]}
+   */
+  function list() {
+    return Object.values(state.keys).sort((a, b) => b.occurrences - a.occurrences);
+  }
+
+  return {
+    policies,
+    digest,
+    evaluate,
+    takeDigest,
+    forget,
+    list
+  };
+}
+
+module.exports = {
+  loadAlertConfig,
+  createAlerts
+};
@@ -0,0 +1,81 @@
+const { postBody } = require('./http');
+
+// Chat messages are for paging; long messages are cut here
+const MAX_MESSAGE_CHARS = 1500;
+
+function truncate(text) {
+  return text.length > MAX_MESSAGE_CHARS ? `${text.substring(0, MAX_MESSAGE_CHARS)}…` : text;
+}
+
+/**
+ * Slack incoming-webhook payload
+ * @param {object} notification
+ * @returns {object}
+ */
+function slackPayload(notification) {
+  const { data } = notification;
+  const context = [`*Type:* ${notification.type}`];
+  if (data.zipFile) {
+    context.push(`*Zip file:* ${data.zipFile}`);
+  }
+
+  return {
+    text: `${data.title}: ${truncate(data.message)}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: data.title } },
+      { type: 'section', text: { type: 'mrkdwn', text: `\`\`\`${truncate(data.message)}\`\`\`` } },
+      { type: 'context', elements: context.map(text => ({ type: 'mrkdwn', text })) }
+    ]
+  };
+}
+
+/**
+ * Microsoft Teams incoming-webhook payload (MessageCard)
+ * @param {object} notification
+ * @returns {object}
+ */
+function teamsPayload(notification) {
+  const { data } = notification;
+  const facts = [{ name: 'Type', value: notification.type }];
+  if (data.zipFile) {
+    facts.push({ name: 'Zip file', value: data.zipFile });
+  }
+
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: data.title,
+    themeColor: notification.type === 'duplicate_exception' ? 'D93F0B' : '0076D7',
+    title: data.title,
+    sections: [{ text: `<pre>${truncate(data.message)}</pre>`, facts }]
+  };
+}
+
+const PAYLOADS = {
+  slack: slackPayload,
+  teams: teamsPayload
+};
+
+/**
+ * Create a chat incoming-webhook channel
+ * Config: { url }
+ * @param {string} format - slack or teams
+ * @returns {function} (config) => async (notification) => delivery details
+ */
+function createChatChannel(format) {
+  return (config) => {
+    if (!config.url) {
+      throw new Error(`${format} channel requires a url`);
+    }
+
+    return async (notification) => {
+      const body = JSON.stringify(PAYLOADS[format](notification));
+      const response = await postBody(config.url, body, { 'Content-Type': 'application/json' });
+      return { httpStatus: response.status };
+    };
+  };
+}
+
+module.exports = {
+  createChatChannel
+};
@@ -0,0 +1,50 @@
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.CHANNEL_TIMEOUT_MS || '10000', 10);
+
+/**
+ * POST a body to a webhook URL, rejecting on network errors, timeouts and
+ * non-2xx responses
+ * @param {string} url - http or https URL
+ * @param {string} body - Request body
+ * @param {object} headers - Request headers
+ * @returns {{status: number, body: string}}
+ */
+function postBody(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const transport = parsedUrl.protocol === 'https:' ? https : http;
+
+    const req = transport.request(parsedUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      }
+    }, (res) => {
+      let responseBody = '';
+      res.on('data', (chunk) => { responseBody += chunk; });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`HTTP ${res.statusCode}: ${responseBody.substring(0, 200) || res.statusMessage}`));
+          return;
+        }
+        resolve({ status: res.statusCode, body: responseBody });
+      });
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MS}ms`));
+    });
+    req.on('error', reject);
+
+    req.write(body);
+    req.end();
+  });
+}
+
+module.exports = {
+  REQUEST_TIMEOUT_MS,
+  postBody
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const { createWebhookChannel } = require('./webhook');
+const { createSmtpChannel } = require('./smtp');
+const { createChatChannel } = require('./chat');
+const { log } = require('../logger');
+
+const DELIVERY_STATUS = {
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+const channelTypes = new Map();
+const channels = new Map();
+let routes = [];
+
+/**
+ * Register a channel adapter
+ * @param {string} type - Channel type used in the channels config
+ * @param {function} factory - (config) => async (notification) => delivery details
+ */
+function registerChannelType(type, factory) {
+  channelTypes.set(type, factory);
+}
+
+/**
+ * Replace ${VAR} in config strings with environment variables, so secrets
+ * stay out of the config file
+ * @param {*} value
+ * @returns {*}
+ */
+function expandEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(expandEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, expandEnv(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Load channels and routing rules from a JSON file:
+ * {
+ *   "channels": { "<name>": { "type": "webhook|smtp|slack|teams", ...adapter config } },
+ *   "routes": [{ "type": "<notification type>|[types]|*", "tenant"?: "<tenant id>", "channels": ["<name>"] }]
+ * }
+ * A route with a tenant only applies to that tenant's notifications.
+ * A missing file leaves notifications stored without being sent anywhere.
+ * @param {string} configPath
+ * @returns {string[]} Names of the configured channels
+ */
+function loadChannels(configPath) {
+  channels.clear();
+  routes = [];
+  if (!fs.existsSync(configPath)) {
+    return [];
+  }
+
+  const config = expandEnv(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+
+  for (const [name, channelConfig] of Object.entries(config.channels || {})) {
+    const factory = channelTypes.get(channelConfig.type);
+    if (!factory) {
+      log.warn('Skipping channel', { channel: name, error: `unknown type ${channelConfig.type}` });
+      continue;
+    }
+    try {
+      channels.set(name, { name, type: channelConfig.type, send: factory(channelConfig) });
+    } catch (error) {
+      log.warn('Skipping channel', { channel: name, error: error.message });
+    }
+  }
+
+  routes = (config.routes || []).map(route => ({
+    types: [].concat(route.type || '*'),
+    tenant: route.tenant || null,
+    channels: route.channels || []
+  }));
+
+  return [...channels.keys()];
+}
+
+/**
+ * Channels a notification is routed to, by every matching rule
+ * @param {object} notification - { type, tenantId }
+ * @returns {string[]}
+ */
+function routeNotification({ type, tenantId }) {
+  const names = new Set();
+  for (const route of routes) {
+    if ((route.types.includes('*') || route.types.includes(type)) && (!route.tenant || route.tenant === tenantId)) {
+      route.channels.forEach(name => names.add(name));
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Send a notification to every channel it is routed to
+ * @param {object} notification - Stored notification
+ * @returns {object} Delivery status by channel name
+ */
+async function deliverNotification(notification) {
+  const names = routeNotification(notification);
+
+  const results = await Promise.all(names.map(async (name) => {
+    const channel = channels.get(name);
+    const attemptedAt = new Date().toISOString();
+    if (!channel) {
+      return [name, { status: DELIVERY_STATUS.FAILED, attemptedAt, error: 'Channel is not configured' }];
+    }
+
+    try {
+      const details = await channel.send(notification);
+      return [name, { ...details, status: DELIVERY_STATUS.DELIVERED, type: channel.type, attemptedAt }];
+    } catch (error) {
+      return [name, { status: DELIVERY_STATUS.FAILED, type: channel.type, attemptedAt, error: error.message }];
+    }
+  }));
+
+  return Object.fromEntries(results);
+}
+
+/**
+ * Configured channels and routing rules (without channel secrets)
+ * @returns {{channels: object[], routes: object[]}}
+ */
+function listChannels() {
+  return {
+    channels: [...channels.values()].map(({ name, type }) => ({ name, type })),
+    routes
+  };
+}
+
+registerChannelType('webhook', createWebhookChannel);
+registerChannelType('smtp', createSmtpChannel);
+registerChannelType('slack', createChatChannel('slack'));
+registerChannelType('teams', createChatChannel('teams'));
+
+module.exports = {
+  DELIVERY_STATUS,
+  registerChannelType,
+  loadChannels,
+  routeNotification,
+  deliverNotification,
+  listChannels
+};
@@ -0,0 +1,59 @@
+const nodemailer = require('nodemailer');
+const { REQUEST_TIMEOUT_MS } = require('./http');
+
+/**
+ * Plain-text email body for a notification
+ * @param {object} notification
+ * @returns {string}
+ */
+function formatEmail(notification) {
+  const { data } = notification;
+  const lines = [data.message, ''];
+  if (data.zipFile) {
+    lines.push(`Zip file: ${data.zipFile}`);
+  }
+  if (Object.keys(data.details).length > 0) {
+    lines.push('Details:', JSON.stringify(data.details, null, 2));
+  }
+  lines.push('', `Sent by notify-service at ${notification.timestamp}`);
+  return lines.join('\n');
+}
+
+/**
+ * SMTP email channel
+ * Config: { host, port?, secure?, auth?: { user, pass }, from, to: string|string[] }
+ * @param {object} config - Channel configuration
+ * @returns {function} async (notification) => delivery details
+ */
+function createSmtpChannel(config) {
+  if (!config.host || !config.from || !config.to) {
+    throw new Error('smtp channel requires host, from and to');
+  }
+
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port || 25,
+    secure: Boolean(config.secure),
+    auth: config.auth,
+    // Local SMTP sinks usually offer no TLS
+    ignoreTLS: config.ignoreTLS !== undefined ? config.ignoreTLS : !config.secure && !config.auth,
+    // nodemailer waits minutes by default for a server that doesn't answer
+    connectionTimeout: REQUEST_TIMEOUT_MS,
+    greetingTimeout: REQUEST_TIMEOUT_MS,
+    socketTimeout: REQUEST_TIMEOUT_MS
+  });
+
+  return async (notification) => {
+    const info = await transport.sendMail({
+      from: config.from,
+      to: config.to,
+      subject: `[${notification.type}] ${notification.data.title}`,
+      text: formatEmail(notification)
+    });
+    return { messageId: info.messageId };
+  };
+}
+
+module.exports = {
+  createSmtpChannel
+};
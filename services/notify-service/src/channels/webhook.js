@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { postBody } = require('./http');
+
+/**
+ * Generic HTTP webhook: POSTs the notification as JSON.
+ * With a secret, the request is signed so receivers can verify it:
+ *   X-Notify-Timestamp: <unix seconds>
+ *   X-Notify-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ * Config: { url, secret?, headers? }
+ * @param {object} config - Channel configuration
+ * @returns {function} async (notification) => delivery details
+ */
+function createWebhookChannel(config) {
+  if (!config.url) {
+    throw new Error('webhook channel requires a url');
+  }
+
+  return async (notification) => {
+    const body = JSON.stringify(notification);
+    const headers = { 'Content-Type': 'application/json', ...config.headers };
+
+    if (config.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = crypto.createHmac('sha256', config.secret).update(`${timestamp}.${body}`).digest('hex');
+      headers['X-Notify-Timestamp'] = timestamp;
+      headers['X-Notify-Signature'] = `sha256=${signature}`;
+    }
+
+    const response = await postBody(config.url, body, headers);
+    return { httpStatus: response.status };
+  };
+}
+
+module.exports = {
+  createWebhookChannel
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+// Header a caller sends to have a retried request answered, not applied again
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// Responses are kept this long; a retry within it gets the original response
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || String(24 * 60 * 60), 10) * 1000;
+// A request still being handled after this is assumed lost, and a retry may run it
+const IN_PROGRESS_TTL_MS = 60 * 1000;
+
+/**
+ * Idempotency keys of one tenant's requests and the responses they got,
+ * kept in a JSON file like the alert state. Expired keys are dropped
+ * whenever a key is claimed.
+ * @param {string} stateFile - Where keys and responses are persisted
+ * @returns {object} claimRequest, completeRequest and releaseRequest
+ */
+function createIdempotencyStore(stateFile) {
+  let keys = {};
+  if (fs.existsSync(stateFile)) {
+    keys = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  }
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    const tempPath = `${stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(keys));
+    fs.renameSync(tempPath, stateFile);
+  };
+
+  /**
+   * Claim an idempotency key for a request about to be handled
+   * @param {string} key - Idempotency-Key sent by the caller
+   * @returns {object|null} null once claimed; otherwise { inProgress: true }
+   *   while the first request is still being handled, or { response } it got
+   */
+  function claimRequest(key) {
+    const now = Date.now();
+    for (const [claimedKey, entry] of Object.entries(keys)) {
+      if (entry.expiresAt <= now) {
+        delete keys[claimedKey];
+      }
+    }
+
+    const entry = keys[key];
+    if (entry) {
+      return entry.response === null ? { inProgress: true } : { response: entry.response };
+    }
+    keys[key] = { response: null, expiresAt: now + IN_PROGRESS_TTL_MS };
+    save();
+    return null;
+  }
+
+  /**
+   * Keep the response to a claimed request, for retries with the same key
+   */
+  function completeRequest(key, response) {
+    keys[key] = { response, expiresAt: Date.now() + IDEMPOTENCY_TTL_MS };
+    save();
+  }
+
+  /**
+   * Give up a claim on a request that failed, so a retry runs it again
+   */
+  function releaseRequest(key) {
+    delete keys[key];
+    save();
+  }
+
+  return {
+    claimRequest,
+    completeRequest,
+    releaseRequest
+  };
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  createIdempotencyStore
+};
@@ -3,48 +3,199 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
+const { DELIVERY_STATUS, loadChannels, routeNotification, deliverNotification, listChannels } = require('./channels');
+const { createNotificationStore } = require('./stores');
+const { tenantDir } = require('./stores/file');
+const { NOTIFICATION_STATUS, validateUpdate, applyUpdate, parseListQuery, matchesFilters } = require('./lifecycle');
+const { loadAlertConfig, createAlerts } = require('./alerts');
+const { createNotificationStream } = require('./stream');
+const { IDEMPOTENCY_HEADER, createIdempotencyStore } = require('./idempotency');
+const { sweepNotifications, purgeNotifications } = require('./retention');
+const { DEFAULT_TENANT, loadTenants, listTenants, authenticate, requireAdmin } = require('./tenants');
+const { log, requestContext } = require('./logger');
+const metrics = require('./metrics');
 
 const app = express();
 const PORT = process.env.NOTIFY_PORT || 3003;
+const NOTIFICATIONS_PAGE_SIZE = 50;
+const NOTIFICATIONS_MAX_PAGE_SIZE = 200;
+const RETENTION_SWEEP_INTERVAL_MS = parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS || '3600000', 10);
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(requestContext);
+app.use(metrics.httpMetrics);
 
-// Create notifications directory if it doesn't exist
+const notificationsSent = metrics.counter('notifications_sent_total', 'Notifications stored and sent, by type', ['type']);
+const notificationsSuppressed = metrics.counter('notifications_suppressed_total', 'Notifications suppressed by an alert policy, by type', ['type']);
+const channelDeliveries = metrics.counter('notification_deliveries_total', 'Deliveries to notification channels, by channel and status', ['channel', 'status']);
+
+// Where notifications are kept: file (one JSON file per notification in
+// the notifications directory, created if it doesn't exist), sqlite or memory
+const NOTIFY_STORE = process.env.NOTIFY_STORE || 'file';
 const notificationsDir = path.join(__dirname, '..', process.env.NOTIFICATIONS_DIR || './notifications');
-if (!fs.existsSync(notificationsDir)) {
-  fs.mkdirSync(notificationsDir, { recursive: true });
+const sqliteFile = process.env.NOTIFY_SQLITE_FILE
+  ? path.resolve(__dirname, '..', process.env.NOTIFY_SQLITE_FILE)
+  : path.join(notificationsDir, 'notifications.db');
+
+// Delivery channels and routing rules by notification type
+const channelsFile = path.resolve(__dirname, '..', process.env.NOTIFY_CHANNELS_FILE || './channels.json');
+const configuredChannels = loadChannels(channelsFile);
+log.info('Notification channels loaded', { channels: configuredChannels });
+
+// Alert throttling and digests (policies from the same config file)
+const alertStateFile = process.env.ALERT_STATE_FILE
+  ? path.resolve(__dirname, '..', process.env.ALERT_STATE_FILE)
+  : path.join(notificationsDir, '.alerts', 'state.json');
+const alertConfig = loadAlertConfig(channelsFile);
+log.info('Alert policies loaded', { policies: Object.keys(alertConfig.policies) });
+
+// Tenants and their API keys
+const tenantsFile = path.resolve(__dirname, '..', process.env.TENANTS_FILE || './tenants.json');
+const configuredTenants = loadTenants(tenantsFile, { required: Boolean(process.env.TENANTS_FILE) });
+log.info('Tenants loaded', { tenants: configuredTenants, apiKeys: configuredTenants.length > 0 });
+
+/**
+ * A tenant's notification store, live stream (GET /notifications/stream),
+ * alert counts and idempotency keys. Alert counts and idempotency keys are
+ * kept in the tenant's directory of the notifications directory whatever the
+ * store backend.
+ * @param {string} tenantId
+ * @returns {{id: string, store: object, stream: object, alerts: object, idempotency: object}}
+ */
+function createTenantContext(tenantId) {
+  const dir = tenantDir(notificationsDir, tenantId);
+  const store = createNotificationStore(NOTIFY_STORE, tenantId, { notificationsDir, sqliteFile });
+  return {
+    id: tenantId,
+    store,
+    stream: createNotificationStream(store),
+    alerts: createAlerts(tenantId === DEFAULT_TENANT ? alertStateFile : path.join(dir, '.alerts', 'state.json'), alertConfig),
+    idempotency: createIdempotencyStore(path.join(dir, '.idempotency', 'state.json'))
+  };
+}
+
+const tenantContexts = new Map(listTenants().map(tenant => [tenant.id, createTenantContext(tenant.id)]));
+log.info('Notification store opened', { backend: NOTIFY_STORE });
+
+// Notification routes act for the tenant of the request's API key
+app.use(['/notify', '/notifications', '/alerts'], authenticate, (req, res, next) => {
+  req.tenantContext = tenantContexts.get(req.tenant.id);
+  next();
+});
+
+/**
+ * Send a stored notification to its routed channels and record the
+ * per-channel delivery status on it
+ * @param {object} store - Store the notification is kept in
+ * @param {object} notification - Stored notification
+ * @returns {object} Delivery status by channel name
+ */
+async function deliverStoredNotification(store, notification) {
+  if (routeNotification(notification).length === 0) {
+    return {};
+  }
+
+  const deliveries = await deliverNotification(notification);
+  // Read it again: it may have been updated or purged while channels were called
+  const latest = store.get(notification.id);
+  if (latest) {
+    latest.deliveries = deliveries;
+    store.save(latest);
+  }
+  return deliveries;
 }
 
 /**
- * Write notification to file
- * @param {string} type - Type of notification (message, exception, duplicate)
- * @param {object} data - Notification data
- * @returns {object} Object containing fileName and filePath
+ * Store a notification and start sending it to its routed channels. The
+ * channels are called in the background, so a slow one can't make the
+ * caller time out and send the notification again.
+ * @param {object} context - Tenant context from createTenantContext
+ * @param {string} type - Notification type
+ * @param {object} notificationData - { type, title, message, zipFile, details }
+ * @returns {object} store.create result with the names of the routed channels
  */
-function writeNotificationToFile(type, data) {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const fileName = `${type}_${timestamp}.json`;
-  const filePath = path.join(notificationsDir, fileName);
+async function sendNotification(context, type, notificationData) {
+  const result = context.store.create(type, notificationData);
+  context.stream.publish(result.notification);
 
-  const notification = {
+  notificationsSent.inc({ type });
+  log.info('Notification sent', {
+    tenantId: context.id,
+    id: result.notification.id,
     type,
-    timestamp: new Date().toISOString(),
-    data,
-    status: 'unread'
-  };
+    title: notificationData.title,
+    zipFile: notificationData.zipFile
+  });
+
+  // A channel failure is recorded on the notification
+  deliverStoredNotification(context.store, result.notification)
+    .then((deliveries) => {
+      for (const [channel, delivery] of Object.entries(deliveries)) {
+        channelDeliveries.inc({ channel, status: delivery.status });
+        if (delivery.status === DELIVERY_STATUS.DELIVERED) {
+          log.info('Notification delivered', { id: result.notification.id, channel });
+        } else {
+          log.warn('Notification delivery failed', { id: result.notification.id, channel, status: delivery.status, error: delivery.error });
+        }
+      }
+    })
+    .catch(error => log.error('Error delivering notification', { id: result.notification.id, error }));
+
+  return { ...result, channels: routeNotification(result.notification) };
+}
+
+/**
+ * Send a tenant a digest of its exceptions that recurred since the last one
+ * @param {object} context - Tenant context from createTenantContext
+ * @returns {object|null} The digest notification, or null if nothing recurred
+ */
+async function sendDigest(context) {
+  const digest = context.alerts.takeDigest();
+  if (!digest) {
+    return null;
+  }
+  const result = await sendNotification(context, digest.type, digest);
+  return result.notification;
+}
 
-  fs.writeFileSync(filePath, JSON.stringify(notification, null, 2));
+if (alertConfig.digest.intervalMs > 0) {
+  setInterval(() => {
+    for (const context of tenantContexts.values()) {
+      sendDigest(context).catch(error => log.error('Error sending digest', { tenantId: context.id, error }));
+    }
+  }, alertConfig.digest.intervalMs);
+}
 
-  return { fileName, filePath };
+// Delete notifications past retention, at startup and then periodically
+function sweepRetention() {
+  for (const context of tenantContexts.values()) {
+    try {
+      const deleted = sweepNotifications(context.store, Date.now());
+      if (deleted > 0) {
+        log.info('Deleted notifications past retention', { notifications: deleted, tenantId: context.id });
+      }
+    } catch (error) {
+      log.error('Error sweeping notifications', { tenantId: context.id, error });
+    }
+  }
 }
 
+sweepRetention();
+setInterval(sweepRetention, RETENTION_SWEEP_INTERVAL_MS);
+
 /**
  * POST /notify - Send a notification
  * Body: { type: string, title: string, message: string, zipFile?: string, details?: object }
+ * Types with an alert policy may be suppressed; the occurrence is still counted.
+ * A call repeated with the same Idempotency-Key header is answered with the
+ * first call's response and not sent again.
  */
-app.post('/notify', (req, res) => {
+app.post('/notify', async (req, res) => {
+  const { idempotency } = req.tenantContext;
+  const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+  let claimed = false;
   try {
     const { type, title, message, zipFile, details } = req.body;
 
@@ -53,6 +204,26 @@ app.post('/notify', (req, res) => {
         error: 'Missing required fields: type, title, message' 
       });
     }
+    if (typeof type !== 'string' || typeof title !== 'string' || typeof message !== 'string') {
+      return res.status(400).json({ error: 'type, title and message must be strings' });
+    }
+    if (details !== undefined && (typeof details !== 'object' || details === null || Array.isArray(details))) {
+      return res.status(400).json({ error: 'details must be an object' });
+    }
+
+    // A retried call (same Idempotency-Key) gets the first call's response
+    // rather than being counted and sent again
+    if (idempotencyKey) {
+      const previous = idempotency.claimRequest(idempotencyKey);
+      if (previous && previous.inProgress) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being handled', details: idempotencyKey });
+      }
+      if (previous) {
+        log.info('Notification already sent', { type, idempotencyKey });
+        return res.json(previous.response);
+      }
+      claimed = true;
+    }
 
     const notificationData = {
       type,
@@ -62,26 +233,48 @@ app.post('/notify', (req, res) => {
       details: details || {}
     };
 
-    const result = writeNotificationToFile(type, notificationData);
-
-    console.log(`\n🔔 Notification Sent`);
-    console.log(`  Type: ${type}`);
-    console.log(`  Title: ${title}`);
-    console.log(`  Message: ${message}`);
-    if (zipFile) {
-      console.log(`  Zip File: ${zipFile}`);
+    const alert = req.tenantContext.alerts.evaluate(type, notificationData);
+    if (alert && alert.suppressed) {
+      notificationsSuppressed.inc({ type });
+      log.info('Notification suppressed', { type, occurrence: alert.occurrence, reason: alert.reason });
+      const response = {
+        success: true,
+        message: 'Notification suppressed by alert policy',
+        suppressed: true,
+        alert
+      };
+      if (claimed) {
+        idempotency.completeRequest(idempotencyKey, response);
+      }
+      return res.json(response);
+    }
+    if (alert) {
+      notificationData.details = { ...notificationData.details, alert };
     }
-    console.log(`  Saved to: ${path.relative(process.cwd(), result.filePath)}`);
-    console.log();
 
-    res.json({
+    const result = await sendNotification(req.tenantContext, type, notificationData);
+
+    const response = {
       success: true,
       message: 'Notification sent',
+      id: result.notification.id,
       file: result.fileName,
-      filePath: result.filePath
-    });
+      filePath: result.filePath,
+      channels: result.channels
+    };
+    if (claimed) {
+      idempotency.completeRequest(idempotencyKey, response);
+    }
+    res.json(response);
   } catch (error) {
-    console.error('Error sending notification:', error);
+    log.error('Error sending notification', { error });
+    if (claimed) {
+      try {
+        idempotency.releaseRequest(idempotencyKey);
+      } catch (releaseError) {
+        log.error('Error releasing idempotency key', { idempotencyKey, error: releaseError });
+      }
+    }
     res.status(500).json({
       error: 'Error sending notification',
       details: error.message
@@ -90,22 +283,63 @@ app.post('/notify', (req, res) => {
 });
 
 /**
- * GET /notifications - Get all notifications
+ * GET /alerts - Alert policies and occurrence counts per exception,
+ * including occurrences suppressed by the policies
+ */
+app.get('/alerts', (req, res) => {
+  const { alerts } = req.tenantContext;
+  res.json({
+    policies: alerts.policies,
+    digest: alerts.digest,
+    exceptions: alerts.list()
+  });
+});
+
+/**
+ * POST /alerts/digest - Send the digest now instead of waiting for the interval
+ */
+app.post('/alerts/digest', async (req, res) => {
+  try {
+    const notification = await sendDigest(req.tenantContext);
+    if (!notification) {
+      return res.json({ success: true, message: 'Nothing recurred since the last digest' });
+    }
+    res.json({ success: true, message: 'Digest sent', id: notification.id, notification });
+  } catch (error) {
+    log.error('Error sending digest', { error });
+    res.status(500).json({
+      error: 'Error sending digest',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /notifications - List notifications, newest first
+ * Query: { status?, type?, assignee? (or "none"), from?, to?, limit?, offset? }
  */
 app.get('/notifications', (req, res) => {
   try {
-    const files = fs.readdirSync(notificationsDir);
-    const notifications = files.map(file => {
-      const content = fs.readFileSync(path.join(notificationsDir, file), 'utf8');
-      return JSON.parse(content);
+    const query = parseListQuery(req.query, {
+      defaultLimit: NOTIFICATIONS_PAGE_SIZE,
+      maxLimit: NOTIFICATIONS_MAX_PAGE_SIZE
     });
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    const matching = req.tenantContext.store.list().filter(notification => matchesFilters(notification, query.filters));
+    const notifications = matching.slice(query.offset, query.offset + query.limit);
 
     res.json({
+      total: matching.length,
       count: notifications.length,
+      limit: query.limit,
+      offset: query.offset,
       notifications
     });
   } catch (error) {
-    console.error('Error retrieving notifications:', error);
+    log.error('Error retrieving notifications', { error });
     res.status(500).json({
       error: 'Error retrieving notifications',
       details: error.message
@@ -118,9 +352,8 @@ app.get('/notifications', (req, res) => {
  */
 app.get('/notifications/count', (req, res) => {
   try {
-    const files = fs.readdirSync(notificationsDir);
     res.json({
-      count: files.length
+      count: req.tenantContext.store.count()
     });
   } catch (error) {
     res.status(500).json({
@@ -130,16 +363,189 @@ app.get('/notifications/count', (req, res) => {
   }
 });
 
+/**
+ * GET /notifications/stream - Server-Sent Events stream of new notifications
+ * Query: { type?: comma-separated types, lastEventId?: notification id }
+ * Browsers resume with the Last-Event-ID header after a reconnect; lastEventId
+ * does the same for a new connection.
+ */
+app.get('/notifications/stream', (req, res) => {
+  // A parameter given more than once arrives as an array
+  const repeated = ['type', 'lastEventId'].find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} must be given once` });
+  }
+
+  const types = req.query.type ? req.query.type.split(',').map(type => type.trim()).filter(Boolean) : null;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  const { stream } = req.tenantContext;
+
+  stream.subscribe(req, res, { types, lastEventId });
+  log.info('Stream client connected', { tenantId: req.tenant.id, types, clients: stream.clientCount() });
+});
+
+/**
+ * POST /notifications/purge - Admin only: delete the tenant's notifications
+ * about one upload or customer, and the alert counts keeping their text
+ * Body: { uploadId: string } or { customer: string }
+ */
+app.post('/notifications/purge', requireAdmin, (req, res) => {
+  try {
+    const { uploadId, customer } = req.body;
+
+    if (Boolean(uploadId) === Boolean(customer)) {
+      return res.status(400).json({ error: 'Send exactly one of: uploadId, customer' });
+    }
+    if (typeof (uploadId || customer) !== 'string') {
+      return res.status(400).json({ error: 'uploadId and customer must be strings' });
+    }
+
+    const purged = purgeNotifications(req.tenantContext.store, { uploadId, customer });
+    const ids = purged.map(notification => notification.id);
+    const alertKeys = purged
+      .map(({ data }) => data && data.details && data.details.alert && data.details.alert.key)
+      .filter(Boolean);
+    const alerts = req.tenantContext.alerts.forget({ uploadId, customer }, alertKeys);
+
+    log.info('Purged notifications', { notifications: ids.length, alerts, uploadId, customer, tenantId: req.tenant.id });
+
+    res.json({ success: true, tenantId: req.tenant.id, notifications: ids.length, ids, alerts });
+  } catch (error) {
+    log.error('Error purging notifications', { error });
+    res.status(500).json({
+      error: 'Error purging notifications',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /notifications/:id - A notification with its deliveries and audit trail
+ */
+app.get('/notifications/:id', (req, res) => {
+  try {
+    const notification = req.tenantContext.store.get(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json(notification);
+  } catch (error) {
+    log.error('Error retrieving notification', { error });
+    res.status(500).json({
+      error: 'Error retrieving notification',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /notifications/:id - Mark read, acknowledge, assign or resolve
+ * Body: { actor: string, status?: unread|read|acknowledged|resolved, assignee?: string|null, note?: string }
+ * The actor may also be given in the X-Actor header.
+ */
+app.patch('/notifications/:id', (req, res) => {
+  try {
+    const actor = req.body.actor || req.get('X-Actor');
+    if (!actor) {
+      return res.status(400).json({ error: 'Missing actor: who is making the change' });
+    }
+
+    const update = { status: req.body.status, assignee: req.body.assignee, note: req.body.note };
+    const validationError = validateUpdate(update);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { store } = req.tenantContext;
+    const notification = store.get(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const changes = applyUpdate(notification, update, actor);
+    store.save(notification);
+
+    log.info('Notification updated', { id: notification.id, actor, changes: Object.keys(changes) });
+
+    res.json(notification);
+  } catch (error) {
+    log.error('Error updating notification', { error });
+    res.status(500).json({
+      error: 'Error updating notification',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /channels - Admin only: configured delivery channels and routing rules
+ */
+app.get('/channels', authenticate, requireAdmin, (req, res) => {
+  res.json(listChannels());
+});
+
+/**
+ * GET /tenants - Admin only: every tenant with its notification counts
+ */
+app.get('/tenants', authenticate, requireAdmin, (req, res) => {
+  try {
+    res.json({
+      tenants: listTenants().map((tenant) => {
+        const { store, stream } = tenantContexts.get(tenant.id);
+        const notifications = store.list();
+        return {
+          ...tenant,
+          notifications: notifications.length,
+          unread: notifications.filter(notification => notification.status === NOTIFICATION_STATUS.UNREAD).length,
+          streamClients: stream.clientCount()
+        };
+      })
+    });
+  } catch (error) {
+    log.error('Error listing tenants', { error });
+    res.status(500).json({
+      error: 'Error listing tenants',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Check notifications can be read and, for the file and sqlite backends,
+ * that the directory or database file can be written to
+ * @returns {{status: string, backend: string, error?: string}} status is up or down
+ */
+function checkStorage() {
+  try {
+    if (NOTIFY_STORE !== 'memory') {
+      fs.accessSync(NOTIFY_STORE === 'sqlite' ? sqliteFile : notificationsDir, fs.constants.W_OK);
+    }
+    tenantContexts.get(DEFAULT_TENANT).store.count();
+    return { status: 'up', backend: NOTIFY_STORE };
+  } catch (error) {
+    return { status: 'down', backend: NOTIFY_STORE, error: error.message };
+  }
+}
+
 /**
  * GET /health - Health check endpoint
+ * Responds 503 when notifications cannot be stored. Channels are listed but
+ * not contacted; a failed delivery is recorded on the notification instead.
  */
 app.get('/health', (req, res) => {
   try {
-    const files = fs.readdirSync(notificationsDir);
-    res.json({ 
-      status: 'ok', 
+    const storage = checkStorage();
+    const up = storage.status === 'up';
+    const contexts = [...tenantContexts.values()];
+    res.status(up ? 200 : 503).json({
+      status: up ? 'ok' : 'down',
       service: 'notify-service',
-      notificationCount: files.length
+      uptimeSeconds: Math.round(process.uptime()),
+      dependencies: { storage },
+      channels: configuredChannels,
+      notificationCount: up ? contexts.reduce((sum, context) => sum + context.store.count(), 0) : null,
+      streamClients: contexts.reduce((sum, context) => sum + context.stream.clientCount(), 0)
     });
   } catch (error) {
     res.status(500).json({
@@ -149,10 +555,19 @@ app.get('/health', (req, res) => {
   }
 });
 
+/**
+ * GET /metrics - Prometheus metrics: request latencies, notifications sent
+ * and suppressed, channel deliveries and stored notifications per tenant
+ */
+app.get('/metrics', metrics.metricsHandler);
+
+metrics.gauge('notifications_stored', 'Notifications stored, by tenant', () =>
+  [...tenantContexts.values()].map(context => ({ labels: { tenant: context.id }, value: context.store.count() }))
+);
+metrics.gauge('notification_stream_clients', 'Connected notification stream clients, by tenant', () =>
+  [...tenantContexts.values()].map(context => ({ labels: { tenant: context.id }, value: context.stream.clientCount() }))
+);
+
 app.listen(PORT, () => {
-  console.log(`Notify Service running on http://localhost:${PORT}`);
-  console.log(`POST   http://localhost:${PORT}/notify - Send a notification`);
-  console.log(`GET    http://localhost:${PORT}/notifications - Get all notifications`);
-  console.log(`GET    http://localhost:${PORT}/notifications/count - Get notification count`);
-  console.log(`GET    http://localhost:${PORT}/health - Health check`);
+  log.info('Notify Service running', { url: `http://localhost:${PORT}` });
 });
@@ -0,0 +1,161 @@
+const NOTIFICATION_STATUS = {
+  UNREAD: 'unread',
+  READ: 'read',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved'
+};
+
+// Assignee filter value matching notifications nobody is assigned to
+const UNASSIGNED = 'none';
+
+/**
+ * Check a PATCH body
+ * @param {object} update - { status?, assignee?, note? }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateUpdate(update) {
+  const { status, assignee, note } = update;
+  if (status === undefined && assignee === undefined && note === undefined) {
+    return 'Nothing to update: provide status, assignee or note';
+  }
+  if (status !== undefined && !Object.values(NOTIFICATION_STATUS).includes(status)) {
+    return `status must be one of: ${Object.values(NOTIFICATION_STATUS).join(', ')}`;
+  }
+  if (assignee !== undefined && assignee !== null && (typeof assignee !== 'string' || !assignee.trim())) {
+    return 'assignee must be a non-empty string, or null to unassign';
+  }
+  if (note !== undefined && typeof note !== 'string') {
+    return 'note must be a string';
+  }
+  return null;
+}
+
+/**
+ * Apply a validated update to a notification and append it to the
+ * notification's audit trail
+ * @param {object} notification - Stored notification (modified in place)
+ * @param {object} update - { status?, assignee?, note? }
+ * @param {string} actor - Who made the change
+ * @returns {object} Changed fields as { field: { from, to } }
+ */
+function applyUpdate(notification, update, actor) {
+  const now = new Date().toISOString();
+  const changes = {};
+  const set = (field, value) => {
+    if (notification[field] !== value) {
+      changes[field] = { from: notification[field] === undefined ? null : notification[field], to: value };
+      notification[field] = value;
+    }
+  };
+
+  if (update.status !== undefined && update.status !== notification.status) {
+    const reopened = notification.status === NOTIFICATION_STATUS.RESOLVED;
+    set('status', update.status);
+
+    if (update.status !== NOTIFICATION_STATUS.UNREAD && !notification.readAt) {
+      set('readAt', now);
+    }
+    if (update.status === NOTIFICATION_STATUS.ACKNOWLEDGED) {
+      set('acknowledgedAt', now);
+      set('acknowledgedBy', actor);
+    }
+    if (update.status === NOTIFICATION_STATUS.RESOLVED) {
+      set('resolvedAt', now);
+      set('resolvedBy', actor);
+    } else if (reopened) {
+      set('resolvedAt', null);
+      set('resolvedBy', null);
+    }
+  }
+
+  if (update.assignee !== undefined) {
+    const assignee = update.assignee === null ? null : update.assignee.trim();
+    set('assignee', assignee);
+    if (changes.assignee) {
+      set('assignedAt', assignee ? now : null);
+    }
+  }
+
+  if (Object.keys(changes).length > 0 || update.note) {
+    const action = changes.status ? update.status
+      : changes.assignee ? (changes.assignee.to ? 'assigned' : 'unassigned')
+      : 'commented';
+    notification.history = [
+      ...notification.history,
+      { at: now, actor, action, changes, ...(update.note && { note: update.note }) }
+    ];
+  }
+
+  return changes;
+}
+
+/**
+ * Parse the filters and pagination of a GET /notifications query
+ * @param {object} query - { status?, type?, assignee?, from?, to?, limit?, offset? }
+ * @param {object} limits - { defaultLimit, maxLimit }
+ * @returns {{filters: object, limit: number, offset: number}|{error: string}}
+ */
+function parseListQuery(query, { defaultLimit, maxLimit }) {
+  const { status, type, assignee } = query;
+  if (status && !Object.values(NOTIFICATION_STATUS).includes(status)) {
+    return { error: `status must be one of: ${Object.values(NOTIFICATION_STATUS).join(', ')}` };
+  }
+
+  const dates = {};
+  for (const bound of ['from', 'to']) {
+    if (query[bound]) {
+      const date = new Date(query[bound]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${bound} must be an ISO date or date-time` };
+      }
+      // A bare date as the upper bound includes that whole day
+      if (bound === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCMilliseconds(-1);
+      }
+      dates[bound] = date.toISOString();
+    }
+  }
+
+  return {
+    filters: { status, type, assignee, ...dates },
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+  };
+}
+
+/**
+ * Whether a notification matches list filters
+ * @param {object} notification
+ * @param {object} filters - From parseListQuery
+ * @returns {boolean}
+ */
+function matchesFilters(notification, filters) {
+  if (filters.status && notification.status !== filters.status) {
+    return false;
+  }
+  if (filters.type && notification.type !== filters.type) {
+    return false;
+  }
+  if (filters.assignee) {
+    const assignee = notification.assignee || UNASSIGNED;
+    if (assignee !== filters.assignee) {
+      return false;
+    }
+  }
+  if (filters.from && notification.timestamp < filters.from) {
+    return false;
+  }
+  if (filters.to && notification.timestamp > filters.to) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  NOTIFICATION_STATUS,
+  validateUpdate,
+  applyUpdate,
+  parseListQuery,
+  matchesFilters
+};
@@ -0,0 +1,3 @@
+const { createLogger } = require('faas-service-common');
+
+module.exports = createLogger('notify-service');
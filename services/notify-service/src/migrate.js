@@ -0,0 +1,52 @@
+/**
+ * Copy every tenant's notifications from one store backend to another:
+ *
+ *   npm run migrate -- <from> <to>      e.g. npm run migrate -- file sqlite
+ *
+ * Uses the service's settings (NOTIFICATIONS_DIR, NOTIFY_SQLITE_FILE,
+ * TENANTS_FILE). Notifications already in the target are overwritten, so
+ * the copy can be re-run. Stop the service first so nothing is written
+ * while copying, then set NOTIFY_STORE to the new backend.
+ */
+require('dotenv').config();
+const path = require('path');
+const { STORE_TYPES, createNotificationStore } = require('./stores');
+const { loadTenants, listTenants } = require('./tenants');
+
+const notificationsDir = path.join(__dirname, '..', process.env.NOTIFICATIONS_DIR || './notifications');
+const sqliteFile = process.env.NOTIFY_SQLITE_FILE
+  ? path.resolve(__dirname, '..', process.env.NOTIFY_SQLITE_FILE)
+  : path.join(notificationsDir, 'notifications.db');
+
+// The memory backend doesn't outlive this process, so it can't be migrated to or from
+const PERSISTENT_TYPES = Object.keys(STORE_TYPES).filter(type => type !== 'memory');
+
+function migrate(from, to) {
+  const tenantsFile = path.resolve(__dirname, '..', process.env.TENANTS_FILE || './tenants.json');
+  loadTenants(tenantsFile, { required: Boolean(process.env.TENANTS_FILE) });
+  const options = { notificationsDir, sqliteFile };
+
+  let total = 0;
+  for (const tenant of listTenants()) {
+    const source = createNotificationStore(from, tenant.id, options);
+    const target = createNotificationStore(to, tenant.id, options);
+    const notifications = source.list();
+    notifications.forEach(notification => target.save(notification));
+    console.log(`${tenant.id}: copied ${notifications.length} notification(s)`);
+    total += notifications.length;
+  }
+  console.log(`Copied ${total} notification(s) from ${from} to ${to}`);
+}
+
+const [from, to] = process.argv.slice(2);
+if (!PERSISTENT_TYPES.includes(from) || !PERSISTENT_TYPES.includes(to) || from === to) {
+  console.error(`Usage: npm run migrate -- <from> <to>, two different backends of: ${PERSISTENT_TYPES.join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  migrate(from, to);
+} catch (error) {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,43 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Notifications older than RETENTION_DAYS, or beyond the newest
+// RETENTION_MAX_COUNT of a tenant, are deleted. 0 turns a limit off.
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS || '90', 10);
+const RETENTION_MAX_COUNT = parseInt(process.env.NOTIFICATION_RETENTION_MAX_COUNT || '0', 10);
+
+/**
+ * Delete a tenant's notifications that are past retention
+ * @param {object} store - Notification store
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Notifications deleted
+ */
+function sweepNotifications(store, now) {
+  const cutoff = RETENTION_DAYS > 0 ? new Date(now - RETENTION_DAYS * DAY_MS).toISOString() : null;
+  const expired = store.list().filter((notification, i) =>
+    (cutoff && notification.timestamp < cutoff) || (RETENTION_MAX_COUNT > 0 && i >= RETENTION_MAX_COUNT));
+
+  expired.forEach(notification => store.remove(notification.id));
+  return expired.length;
+}
+
+/**
+ * Delete a tenant's notifications about one upload or customer, found by
+ * the uploadId and customer in their details
+ * @param {object} store - Notification store
+ * @param {object} target - { uploadId } or { customer }
+ * @returns {object[]} The deleted notifications
+ */
+function purgeNotifications(store, { uploadId, customer }) {
+  const purged = store.list().filter(({ data }) => {
+    const details = (data && data.details) || {};
+    return uploadId ? details.uploadId === uploadId : details.customer === customer;
+  });
+
+  purged.forEach(notification => store.remove(notification.id));
+  return purged;
+}
+
+module.exports = {
+  sweepNotifications,
+  purgeNotifications
+};
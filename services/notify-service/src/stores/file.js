@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TENANT } = require('../tenants');
+
+// Notification ids are file names without .json; anything else is rejected
+const ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * A tenant's directory: the default tenant uses the notifications directory
+ * itself; other tenants get their own directory inside it
+ * @param {string} notificationsDir
+ * @param {string} tenantId
+ * @returns {string}
+ */
+function tenantDir(notificationsDir, tenantId) {
+  return tenantId === DEFAULT_TENANT ? notificationsDir : path.join(notificationsDir, 'tenants', tenantId);
+}
+
+/**
+ * File backend: one JSON file per notification in the tenant's directory.
+ * A notification's id is its file name without the .json extension.
+ * Listing and counting read the directory each time.
+ * @param {string} tenantId - Tenant the notifications belong to
+ * @param {object} options
+ * @param {string} options.notificationsDir - Notifications directory
+ * @returns {object} Backend functions
+ */
+function createFileStore(tenantId, options) {
+  const notificationsDir = tenantDir(options.notificationsDir, tenantId);
+  if (!fs.existsSync(notificationsDir)) {
+    fs.mkdirSync(notificationsDir, { recursive: true });
+  }
+
+  const filePathFor = (id) => path.join(notificationsDir, `${id}.json`);
+
+  /**
+   * Write a notification, replacing the file atomically
+   * @param {object} notification
+   */
+  function save(notification) {
+    const filePath = filePathFor(notification.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(notification, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Read a notification file. Files written before notifications had ids,
+   * tenants or a history are given defaults.
+   * @param {string} id
+   * @returns {object|null}
+   */
+  function get(id) {
+    if (!ID_PATTERN.test(id) || !fs.existsSync(filePathFor(id))) {
+      return null;
+    }
+    const notification = JSON.parse(fs.readFileSync(filePathFor(id), 'utf8'));
+    return {
+      tenantId,
+      assignee: null,
+      deliveries: {},
+      history: [],
+      ...notification,
+      id
+    };
+  }
+
+  /**
+   * Delete a notification file
+   * @param {string} id
+   * @returns {boolean} Whether it existed
+   */
+  function remove(id) {
+    if (!ID_PATTERN.test(id) || !fs.existsSync(filePathFor(id))) {
+      return false;
+    }
+    fs.unlinkSync(filePathFor(id));
+    return true;
+  }
+
+  /**
+   * Ids of every stored notification
+   * @returns {string[]}
+   */
+  function ids() {
+    return fs.readdirSync(notificationsDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+
+  /**
+   * Every stored notification, newest first
+   * @returns {object[]}
+   */
+  function list() {
+    return ids()
+      .map(get)
+      .filter(Boolean)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  return {
+    save,
+    get,
+    list,
+    remove,
+    count: () => ids().length,
+    filePathFor
+  };
+}
+
+module.exports = {
+  tenantDir,
+  createFileStore
+};
@@ -0,0 +1,74 @@
+const path = require('path');
+const crypto = require('crypto');
+const { NOTIFICATION_STATUS } = require('../lifecycle');
+const { createFileStore } = require('./file');
+const { createMemoryStore } = require('./memory');
+const { createSqliteStore } = require('./sqlite');
+
+/**
+ * Storage backends by name. Each is created as factory(tenantId, options)
+ * and keeps whole notifications for one tenant with:
+ *   save(notification), get(id) -> notification|null, remove(id) -> boolean,
+ *   list() -> notifications newest first, count() -> number
+ */
+const STORE_TYPES = {
+  file: createFileStore,
+  memory: createMemoryStore,
+  sqlite: createSqliteStore
+};
+
+/**
+ * A tenant's notification store
+ * @param {string} type - Backend name: file, memory or sqlite
+ * @param {string} tenantId - Tenant the notifications belong to
+ * @param {object} options - { notificationsDir } for the file backend, { sqliteFile } for sqlite
+ * @returns {object} Store functions: create and the backend's functions
+ */
+function createNotificationStore(type, tenantId, options) {
+  const factory = STORE_TYPES[type];
+  if (!factory) {
+    throw new Error(`Unknown notification store "${type}": use one of ${Object.keys(STORE_TYPES).join(', ')}`);
+  }
+  const backend = factory(tenantId, options);
+
+  /**
+   * Create and save a new notification
+   * @param {string} notificationType - Type of notification (message, duplicate_exception, ...)
+   * @param {object} data - Notification data
+   * @returns {{notification: object, fileName: string|null, filePath: string|null}} File names only for the file backend
+   */
+  function create(notificationType, data) {
+    const timestamp = new Date().toISOString();
+    const id = `${notificationType.replace(/[^\w-]/g, '-')}_${timestamp.replace(/[:.]/g, '-')}_${crypto.randomBytes(4).toString('hex')}`;
+
+    const notification = {
+      id,
+      tenantId,
+      type: notificationType,
+      timestamp,
+      data,
+      status: NOTIFICATION_STATUS.UNREAD,
+      assignee: null,
+      deliveries: {},
+      history: [{ at: timestamp, actor: 'notify-service', action: 'created' }]
+    };
+
+    backend.save(notification);
+    const filePath = backend.filePathFor ? backend.filePathFor(id) : null;
+    return { notification, fileName: filePath && path.basename(filePath), filePath };
+  }
+
+  return {
+    create,
+    save: backend.save,
+    get: backend.get,
+    list: backend.list,
+    remove: backend.remove,
+    count: backend.count
+  };
+}
+
+module.exports = {
+  STORE_TYPES,
+  createNotificationStore
+};
@@ -0,0 +1,40 @@
+/**
+ * In-memory backend for tests and local runs: notifications are lost when
+ * the service stops. Notifications are copied in and out, so changes made
+ * to one only take effect when it is saved, as with the other backends.
+ * @returns {object} Backend functions
+ */
+function createMemoryStore() {
+  const notifications = new Map();
+
+  function save(notification) {
+    notifications.set(notification.id, structuredClone(notification));
+  }
+
+  function get(id) {
+    const notification = notifications.get(id);
+    return notification ? structuredClone(notification) : null;
+  }
+
+  function remove(id) {
+    return notifications.delete(id);
+  }
+
+  function list() {
+    return [...notifications.values()]
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .map(notification => structuredClone(notification));
+  }
+
+  return {
+    save,
+    get,
+    list,
+    remove,
+    count: () => notifications.size
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
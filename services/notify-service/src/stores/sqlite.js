@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every tenant's store shares the connection to its database file
+const databases = new Map();
+
+/**
+ * Open a SQLite database, creating the file and notifications table if
+ * they don't exist
+ * @param {string} file - Database file
+ * @returns {object} better-sqlite3 database
+ */
+function openDatabase(file) {
+  if (databases.has(file)) {
+    return databases.get(file);
+  }
+
+  // Only needed when this backend is selected
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      tenant_id TEXT NOT NULL,
+      id TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      body TEXT NOT NULL,
+      PRIMARY KEY (tenant_id, id)
+    );
+    CREATE INDEX IF NOT EXISTS notifications_by_time ON notifications (tenant_id, timestamp);
+  `);
+
+  databases.set(file, db);
+  return db;
+}
+
+/**
+ * SQLite backend: one row per notification, holding it as JSON, in a
+ * database file shared by every tenant
+ * @param {string} tenantId - Tenant the notifications belong to
+ * @param {object} options
+ * @param {string} options.sqliteFile - Database file
+ * @returns {object} Backend functions
+ */
+function createSqliteStore(tenantId, { sqliteFile }) {
+  const db = openDatabase(sqliteFile);
+  const statements = {
+    save: db.prepare(`
+      INSERT INTO notifications (tenant_id, id, timestamp, body) VALUES (?, ?, ?, ?)
+      ON CONFLICT (tenant_id, id) DO UPDATE SET timestamp = excluded.timestamp, body = excluded.body
+    `),
+    get: db.prepare('SELECT body FROM notifications WHERE tenant_id = ? AND id = ?'),
+    remove: db.prepare('DELETE FROM notifications WHERE tenant_id = ? AND id = ?'),
+    list: db.prepare('SELECT body FROM notifications WHERE tenant_id = ? ORDER BY timestamp DESC'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM notifications WHERE tenant_id = ?')
+  };
+
+  function save(notification) {
+    statements.save.run(tenantId, notification.id, notification.timestamp, JSON.stringify(notification));
+  }
+
+  function get(id) {
+    const row = statements.get.get(tenantId, id);
+    return row ? JSON.parse(row.body) : null;
+  }
+
+  function remove(id) {
+    return statements.remove.run(tenantId, id).changes > 0;
+  }
+
+  function list() {
+    return statements.list.all(tenantId).map(row => JSON.parse(row.body));
+  }
+
+  return {
+    save,
+    get,
+    list,
+    remove,
+    count: () => statements.count.get(tenantId).count
+  };
+}
+
+module.exports = {
+  createSqliteStore
+};
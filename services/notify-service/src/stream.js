@@ -0,0 +1,95 @@
+// Comment lines sent to idle streams so proxies don't close them
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS || '25000', 10);
+
+// How soon a disconnected browser reconnects
+const RETRY_MS = 3000;
+
+// Most notifications replayed to a client resuming from a Last-Event-ID
+const REPLAY_LIMIT = 500;
+
+/**
+ * Server-Sent Events stream of new notifications. Each event's id is the
+ * notification id, so a client that reconnects with Last-Event-ID is sent
+ * the notifications it missed.
+ * @param {object} store - Notification store
+ * @returns {object} Stream functions
+ */
+function createNotificationStream(store) {
+  const clients = new Set();
+
+  const matches = (client, notification) => !client.types || client.types.includes(notification.type);
+
+  function send(res, notification) {
+    res.write(`id: ${notification.id}\nevent: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+  }
+
+  /**
+   * Notifications created after the one with the given id, oldest first
+   * @param {string} lastEventId - Id of the last notification the client received
+   * @returns {object[]} Empty if the id is unknown
+   */
+  function missedSince(lastEventId) {
+    const last = store.get(lastEventId);
+    if (!last) {
+      return [];
+    }
+    return store.list()
+      .filter(notification => notification.timestamp > last.timestamp
+        || (notification.timestamp === last.timestamp && notification.id > last.id))
+      .reverse()
+      .slice(-REPLAY_LIMIT);
+  }
+
+  /**
+   * Stream notifications to a client until it disconnects
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {object} options
+   * @param {string[]|null} options.types - Only notifications of these types
+   * @param {string} [options.lastEventId] - Resume after this notification
+   */
+  function subscribe(req, res, { types, lastEventId }) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { res, types };
+    if (lastEventId) {
+      missedSince(lastEventId)
+        .filter(notification => matches(client, notification))
+        .forEach(notification => send(res, notification));
+    }
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  /**
+   * Push a new notification to every client whose filter it matches
+   * @param {object} notification - Stored notification
+   */
+  function publish(notification) {
+    for (const client of clients) {
+      if (matches(client, notification)) {
+        send(client.res, notification);
+      }
+    }
+  }
+
+  return {
+    subscribe,
+    publish,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  createNotificationStream
+};
@@ -0,0 +1,11 @@
+const { DEFAULT_TENANT, loadTenants, listTenants, authenticate, requireAdmin } = require('faas-service-common');
+
+// The default tenant owns the notifications stored before tenants were
+// configured; they stay where they are
+module.exports = {
+  DEFAULT_TENANT,
+  loadTenants,
+  listTenants,
+  authenticate,
+  requireAdmin
+};
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAlertConfig, createAlerts } = require('../src/alerts');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// State file in a directory removed when the test ends
+function stateFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, '.alerts', 'state.json');
+}
+
+function duplicate(fingerprint, duplicateCount, exception = `Error ${fingerprint}`) {
+  return { title: 'Duplicate Exception', details: { fingerprint, duplicateCount, exception } };
+}
+
+test('uses the default policies without a config file', () => {
+  const config = loadAlertConfig(path.join(os.tmpdir(), 'no-such-channels.json'));
+  assert.deepStrictEqual(config.policies.duplicate_exception.milestones, [2, 10, 100, 1000, 10000]);
+  assert.strictEqual(config.digest.type, 'exception_digest');
+});
+
+test('alerts on occurrence milestones and suppresses the rest', (t) => {
+  const alerts = createAlerts(stateFile(t), { policies: { duplicate_exception: { milestones: [2, 10] } }, digest: { intervalMs: HOUR_MS } });
+
+  const decisions = [2, 3, 4, 10, 11].map(count => alerts.evaluate('duplicate_exception', duplicate('fp1', count)));
+
+  assert.deepStrictEqual(decisions.map(decision => decision.suppressed), [false, true, true, false, true]);
+  assert.strictEqual(decisions[1].reason, 'no occurrence milestone reached');
+  assert.strictEqual(decisions[3].suppressedSinceLastAlert, 2);
+  assert.strictEqual(alerts.evaluate('message', { title: 'Hi', details: {} }), null);
+});
+
+test('alerts at most once per interval', (t) => {
+  const alerts = createAlerts(stateFile(t), { policies: { exception_spike: { minIntervalMs: HOUR_MS } }, digest: { intervalMs: HOUR_MS } });
+
+  assert.strictEqual(alerts.evaluate('exception_spike', duplicate('fp1')).suppressed, false);
+  const second = alerts.evaluate('exception_spike', duplicate('fp1'));
+  assert.strictEqual(second.suppressed, true);
+  assert.match(second.reason, /already alerted within/);
+  assert.strictEqual(alerts.evaluate('exception_spike', duplicate('fp2')).suppressed, false);
+});
+
+test('keys without a fingerprint by a hash of the exception', (t) => {
+  const alerts = createAlerts(stateFile(t), { policies: { duplicate_exception: {} }, digest: { intervalMs: HOUR_MS } });
+
+  const first = alerts.evaluate('duplicate_exception', { title: 'Duplicate', details: { exception: 'Boom' } });
+  const second = alerts.evaluate('duplicate_exception', { title: 'Other title', details: { exception: 'Boom' } });
+  assert.match(first.key, /^[0-9a-f]{64}$/);
+  assert.strictEqual(second.key, first.key);
+  assert.strictEqual(alerts.list()[0].occurrences, 2);
+});
+
+test('keeps occurrence counts across restarts', (t) => {
+  const file = stateFile(t);
+  const config = { policies: { duplicate_exception: { milestones: [2] } }, digest: { intervalMs: HOUR_MS } };
+  createAlerts(file, config).evaluate('duplicate_exception', duplicate('fp1', 2));
+
+  const restarted = createAlerts(file, config);
+  assert.strictEqual(restarted.evaluate('duplicate_exception', duplicate('fp1', 3)).suppressed, true);
+  assert.strictEqual(restarted.list()[0].occurrences, 2);
+});
+
+test('a digest lists the top recurring keys and starts a new window', (t) => {
+  const alerts = createAlerts(stateFile(t), {
+    policies: { duplicate_exception: { milestones: [2] } },
+    digest: { intervalMs: HOUR_MS, top: 2, type: 'exception_digest' }
+  });
+  for (const [fingerprint, times] of [['fp1', 1], ['fp2', 3], ['fp3', 2]]) {
+    for (let i = 0; i < times; i++) {
+      alerts.evaluate('duplicate_exception', duplicate(fingerprint, i + 2));
+    }
+  }
+
+  const digest = alerts.takeDigest();
+  assert.strictEqual(digest.type, 'exception_digest');
+  assert.match(digest.title, /3 recurring exception\(s\), 6 occurrence\(s\)/);
+  assert.deepStrictEqual(digest.details.top.map(entry => [entry.key, entry.occurrencesInWindow]), [['fp2', 3], ['fp3', 2]]);
+  assert.strictEqual(digest.message.split('\n')[0], '1. 3x Error fp2 (3 total, 2 suppressed)');
+
+  assert.strictEqual(alerts.takeDigest(), null);
+});
+
+test('forgets the keys of a purged upload and of its purged notifications', (t) => {
+  const file = stateFile(t);
+  const config = { policies: { duplicate_exception: { milestones: [2] } }, digest: { intervalMs: HOUR_MS } };
+  const alerts = createAlerts(file, config);
+  for (const [fingerprint, uploadId] of [['fp1', 'u1'], ['fp2', 'u2'], ['fp3', 'u2']]) {
+    const data = duplicate(fingerprint, 2);
+    alerts.evaluate('duplicate_exception', { ...data, details: { ...data.details, uploadId, customer: 'Acme' } });
+  }
+
+  assert.strictEqual(alerts.forget({ uploadId: 'u1' }, ['fp3']), 2);
+  assert.deepStrictEqual(createAlerts(file, config).list().map(entry => entry.key), ['fp2']);
+  assert.strictEqual(alerts.forget({ customer: 'Globex' }, []), 0);
+  assert.strictEqual(alerts.forget({ customer: 'Acme' }, []), 1);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { DELIVERY_STATUS, registerChannelType, loadChannels, routeNotification, deliverNotification } = require('../src/channels');
+
+/**
+ * A webhook receiver recording the requests it gets
+ */
+function startReceiver() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` }));
+  });
+}
+
+// Load a channels config written to a temporary file
+function loadConfig(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'channels-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, 'channels.json');
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return loadChannels(configPath);
+}
+
+registerChannelType('broken', () => async () => {
+  throw new Error('Connection refused');
+});
+
+test('routes a notification by its type and tenant', (t) => {
+  loadConfig(t, {
+    channels: {},
+    routes: [
+      { type: '*', channels: ['audit'] },
+      { type: ['duplicate_exception', 'exception_spike'], channels: ['oncall'] },
+      { type: 'exception_spike', tenant: 'acme', channels: ['acme-team', 'oncall'] }
+    ]
+  });
+
+  assert.deepStrictEqual(routeNotification({ type: 'message', tenantId: 'acme' }), ['audit']);
+  assert.deepStrictEqual(routeNotification({ type: 'duplicate_exception', tenantId: 'globex' }), ['audit', 'oncall']);
+  assert.deepStrictEqual(routeNotification({ type: 'exception_spike', tenantId: 'acme' }), ['audit', 'oncall', 'acme-team']);
+});
+
+test('skips channels of unknown types or with bad config', (t) => {
+  const names = loadConfig(t, {
+    channels: {
+      hook: { type: 'webhook', url: 'http://127.0.0.1:9/hook' },
+      pager: { type: 'pager' },
+      nourl: { type: 'webhook' }
+    }
+  });
+
+  assert.deepStrictEqual(names, ['hook']);
+});
+
+test('delivers to each routed channel and records failures', async (t) => {
+  const { server, requests, url } = await startReceiver();
+  t.after(() => server.close());
+  process.env.TEST_WEBHOOK_SECRET = 's3cret';
+  t.after(() => delete process.env.TEST_WEBHOOK_SECRET);
+  loadConfig(t, {
+    channels: {
+      hook: { type: 'webhook', url, secret: '${TEST_WEBHOOK_SECRET}' },
+      down: { type: 'broken' }
+    },
+    routes: [{ type: '*', channels: ['hook', 'down', 'missing'] }]
+  });
+
+  const notification = { id: 'n1', tenantId: 'default', type: 'message', data: { title: 'Hello' } };
+  const deliveries = await deliverNotification(notification);
+
+  assert.strictEqual(deliveries.hook.status, DELIVERY_STATUS.DELIVERED);
+  assert.strictEqual(deliveries.hook.httpStatus, 200);
+  assert.deepStrictEqual([deliveries.down.status, deliveries.down.error], [DELIVERY_STATUS.FAILED, 'Connection refused']);
+  assert.deepStrictEqual([deliveries.missing.status, deliveries.missing.error], [DELIVERY_STATUS.FAILED, 'Channel is not configured']);
+
+  // The webhook request is signed with the secret from the environment
+  const [{ headers, body }] = requests;
+  assert.deepStrictEqual(JSON.parse(body), notification);
+  const expected = crypto.createHmac('sha256', 's3cret').update(`${headers['x-notify-timestamp']}.${body}`).digest('hex');
+  assert.strictEqual(headers['x-notify-signature'], `sha256=${expected}`);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NOTIFICATION_STATUS, validateUpdate, applyUpdate, parseListQuery, matchesFilters } = require('../src/lifecycle');
+
+const LIMITS = { defaultLimit: 50, maxLimit: 200 };
+
+function notification(fields = {}) {
+  return {
+    id: 'n1',
+    type: 'duplicate_exception',
+    timestamp: '2024-03-01T10:00:00.000Z',
+    status: NOTIFICATION_STATUS.UNREAD,
+    assignee: null,
+    history: [{ at: '2024-03-01T10:00:00.000Z', actor: 'notify-service', action: 'created' }],
+    ...fields
+  };
+}
+
+test('validateUpdate rejects empty updates and bad values', () => {
+  assert.match(validateUpdate({}), /Nothing to update/);
+  assert.match(validateUpdate({ status: 'closed' }), /status must be one of/);
+  assert.match(validateUpdate({ assignee: '  ' }), /assignee must be a non-empty string/);
+  assert.match(validateUpdate({ note: 42 }), /note must be a string/);
+  assert.strictEqual(validateUpdate({ assignee: null }), null);
+  assert.strictEqual(validateUpdate({ status: 'resolved', note: 'Fixed in 2.1' }), null);
+});
+
+test('acknowledging marks a notification read and records who did it', () => {
+  const target = notification();
+  const changes = applyUpdate(target, { status: NOTIFICATION_STATUS.ACKNOWLEDGED, note: 'Looking' }, 'alice');
+
+  assert.deepStrictEqual(Object.keys(changes), ['status', 'readAt', 'acknowledgedAt', 'acknowledgedBy']);
+  assert.deepStrictEqual(changes.status, { from: 'unread', to: 'acknowledged' });
+  assert.strictEqual(target.acknowledgedBy, 'alice');
+  assert.strictEqual(target.readAt, target.acknowledgedAt);
+
+  const entry = target.history[target.history.length - 1];
+  assert.deepStrictEqual([entry.actor, entry.action, entry.note], ['alice', 'acknowledged', 'Looking']);
+});
+
+test('reopening a resolved notification clears its resolution', () => {
+  const target = notification();
+  applyUpdate(target, { status: NOTIFICATION_STATUS.RESOLVED }, 'alice');
+  assert.strictEqual(target.resolvedBy, 'alice');
+
+  const changes = applyUpdate(target, { status: NOTIFICATION_STATUS.READ }, 'bob');
+  assert.deepStrictEqual(changes.resolvedBy, { from: 'alice', to: null });
+  assert.strictEqual(target.resolvedAt, null);
+  assert.deepStrictEqual(target.history.map(entry => entry.action), ['created', 'resolved', 'read']);
+});
+
+test('assigning, unassigning and commenting are each one history entry', () => {
+  const target = notification();
+  applyUpdate(target, { assignee: ' bob ' }, 'alice');
+  assert.strictEqual(target.assignee, 'bob');
+  assert.ok(target.assignedAt);
+
+  applyUpdate(target, { assignee: null }, 'alice');
+  assert.deepStrictEqual([target.assignee, target.assignedAt], [null, null]);
+
+  assert.deepStrictEqual(applyUpdate(target, { note: 'Customer called back' }, 'carol'), {});
+  assert.deepStrictEqual(target.history.map(entry => entry.action), ['created', 'assigned', 'unassigned', 'commented']);
+});
+
+test('an update that changes nothing adds no history', () => {
+  const target = notification({ status: NOTIFICATION_STATUS.READ, readAt: '2024-03-01T11:00:00.000Z' });
+  assert.deepStrictEqual(applyUpdate(target, { status: NOTIFICATION_STATUS.READ }, 'alice'), {});
+  assert.strictEqual(target.history.length, 1);
+});
+
+test('parseListQuery validates filters and bounds pagination', () => {
+  assert.match(parseListQuery({ status: 'closed' }, LIMITS).error, /status must be one of/);
+  assert.match(parseListQuery({ from: 'yesterday' }, LIMITS).error, /from must be an ISO date/);
+
+  const { filters, limit, offset } = parseListQuery({ status: 'unread', assignee: 'none', limit: '1000', offset: '-5' }, LIMITS);
+  assert.deepStrictEqual([filters.status, filters.assignee, limit, offset], ['unread', 'none', 200, 0]);
+  assert.deepStrictEqual([parseListQuery({ limit: 'ten' }, LIMITS).limit, parseListQuery({ limit: '0' }, LIMITS).limit], [50, 50]);
+});
+
+test('a bare date as the upper bound includes that whole day', () => {
+  const { filters } = parseListQuery({ from: '2024-03-01', to: '2024-03-01' }, LIMITS);
+  assert.deepStrictEqual([filters.from, filters.to], ['2024-03-01T00:00:00.000Z', '2024-03-01T23:59:59.999Z']);
+
+  assert.ok(matchesFilters(notification({ timestamp: '2024-03-01T23:30:00.000Z' }), filters));
+  assert.ok(!matchesFilters(notification({ timestamp: '2024-03-02T00:00:00.000Z' }), filters));
+});
+
+test('matchesFilters treats assignee none as unassigned', () => {
+  assert.ok(matchesFilters(notification(), { assignee: 'none' }));
+  assert.ok(!matchesFilters(notification({ assignee: 'bob' }), { assignee: 'none' }));
+  assert.ok(matchesFilters(notification({ assignee: 'bob' }), { assignee: 'bob', type: 'duplicate_exception' }));
+  assert.ok(!matchesFilters(notification(), { type: 'message' }));
+});
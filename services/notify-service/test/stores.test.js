@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STORE_TYPES, createNotificationStore } = require('../src/stores');
+
+// Options for every backend, in a directory removed when the test ends
+function storeOptions(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stores-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { notificationsDir: dir, sqliteFile: path.join(dir, 'notifications.db') };
+}
+
+for (const type of Object.keys(STORE_TYPES)) {
+  test(`${type}: creates, updates and removes notifications`, (t) => {
+    const store = createNotificationStore(type, 'default', storeOptions(t));
+
+    const { notification } = store.create('duplicate_exception', { title: 'Duplicate', details: { fingerprint: 'fp1' } });
+    assert.match(notification.id, /^duplicate_exception_/);
+    assert.deepStrictEqual(store.get(notification.id), notification);
+
+    notification.status = 'read';
+    store.save(notification);
+    assert.strictEqual(store.get(notification.id).status, 'read');
+    assert.strictEqual(store.count(), 1);
+
+    assert.strictEqual(store.remove(notification.id), true);
+    assert.strictEqual(store.remove(notification.id), false);
+    assert.strictEqual(store.get(notification.id), null);
+    assert.strictEqual(store.count(), 0);
+  });
+
+  test(`${type}: lists notifications newest first`, (t) => {
+    const store = createNotificationStore(type, 'default', storeOptions(t));
+    for (const [id, timestamp] of [['b', '2024-03-02T00:00:00.000Z'], ['a', '2024-03-01T00:00:00.000Z'], ['c', '2024-03-03T00:00:00.000Z']]) {
+      store.save({ id, tenantId: 'default', type: 'message', timestamp, data: {}, history: [] });
+    }
+
+    assert.deepStrictEqual(store.list().map(notification => notification.id), ['c', 'b', 'a']);
+  });
+
+  test(`${type}: keeps each tenant's notifications apart`, (t) => {
+    const options = storeOptions(t);
+    const acme = createNotificationStore(type, 'acme', options);
+    const globex = createNotificationStore(type, 'globex', options);
+
+    const { notification } = acme.create('message', { title: 'Hello' });
+    assert.strictEqual(notification.tenantId, 'acme');
+    assert.strictEqual(globex.get(notification.id), null);
+    assert.strictEqual(globex.remove(notification.id), false);
+    assert.deepStrictEqual([acme.count(), globex.count()], [1, 0]);
+  });
+}
+
+test('file: keeps each notification in a JSON file named after its id', (t) => {
+  const options = storeOptions(t);
+  const store = createNotificationStore('file', 'acme', options);
+
+  const { notification, fileName, filePath } = store.create('message', { title: 'Hello' });
+  assert.strictEqual(fileName, `${notification.id}.json`);
+  assert.strictEqual(filePath, path.join(options.notificationsDir, 'tenants', 'acme', fileName));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), notification);
+  assert.strictEqual(store.get('../escape'), null);
+});
+
+test('sqlite: keeps every tenant in one database file', (t) => {
+  const options = storeOptions(t);
+  const { notification, fileName } = createNotificationStore('sqlite', 'acme', options).create('message', { title: 'Hello' });
+
+  assert.strictEqual(fileName, null);
+  assert.deepStrictEqual(fs.readdirSync(options.notificationsDir).filter(file => file.endsWith('.db')), ['notifications.db']);
+  assert.deepStrictEqual(createNotificationStore('sqlite', 'acme', options).get(notification.id), notification);
+});
+
+test('rejects an unknown backend', () => {
+  assert.throws(() => createNotificationStore('mongo', 'default', {}), /Unknown notification store "mongo": use one of file, memory, sqlite/);
+});
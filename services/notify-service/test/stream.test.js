@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createNotificationStream } = require('../src/stream');
+const { createNotificationStore } = require('../src/stores');
+
+/**
+ * A stand-in for an Express request and response, keeping what is written
+ */
+function connect() {
+  const req = new EventEmitter();
+  const res = {
+    written: '',
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    write(chunk) {
+      this.written += chunk;
+    }
+  };
+  return { req, res };
+}
+
+// Ids of the notification events written to a response
+function eventIds(res) {
+  return [...res.written.matchAll(/^id: (.+)$/gm)].map(match => match[1]);
+}
+
+// A store of notifications a second apart, alternating between two types
+function storeWith(count) {
+  const store = createNotificationStore('memory', 'default', {});
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const { notification } = store.create(i % 2 ? 'message' : 'duplicate_exception', { title: `N${i}` });
+    notification.timestamp = new Date(Date.UTC(2024, 2, 1, 10, 0, i)).toISOString();
+    store.save(notification);
+    ids.push(notification.id);
+  }
+  return { store, ids };
+}
+
+test('pushes new notifications to subscribers whose filter they match', (t) => {
+  const { store } = storeWith(0);
+  const stream = createNotificationStream(store);
+  const all = connect();
+  const messages = connect();
+  t.after(() => {
+    all.req.emit('close');
+    messages.req.emit('close');
+  });
+
+  stream.subscribe(all.req, all.res, { types: null });
+  stream.subscribe(messages.req, messages.res, { types: ['message'] });
+  assert.strictEqual(all.res.headers['Content-Type'], 'text/event-stream');
+  assert.strictEqual(stream.clientCount(), 2);
+
+  const { notification: duplicate } = store.create('duplicate_exception', { title: 'Dup' });
+  const { notification: message } = store.create('message', { title: 'Hello' });
+  stream.publish(duplicate);
+  stream.publish(message);
+
+  assert.deepStrictEqual(eventIds(all.res), [duplicate.id, message.id]);
+  assert.deepStrictEqual(eventIds(messages.res), [message.id]);
+  assert.match(all.res.written, /^event: notification\ndata: \{/m);
+});
+
+test('replays the notifications missed since Last-Event-ID, oldest first', (t) => {
+  const { store, ids } = storeWith(4);
+  const stream = createNotificationStream(store);
+  const resumed = connect();
+  const filtered = connect();
+  t.after(() => {
+    resumed.req.emit('close');
+    filtered.req.emit('close');
+  });
+
+  stream.subscribe(resumed.req, resumed.res, { types: null, lastEventId: ids[1] });
+  stream.subscribe(filtered.req, filtered.res, { types: ['message'], lastEventId: ids[0] });
+
+  assert.deepStrictEqual(eventIds(resumed.res), ids.slice(2));
+  assert.deepStrictEqual(eventIds(filtered.res), [ids[1], ids[3]]);
+});
+
+test('replays nothing for an unknown Last-Event-ID', (t) => {
+  const { store } = storeWith(2);
+  const stream = createNotificationStream(store);
+  const { req, res } = connect();
+  t.after(() => req.emit('close'));
+
+  stream.subscribe(req, res, { types: null, lastEventId: 'gone' });
+  assert.deepStrictEqual(eventIds(res), []);
+});
+
+test('stops sending to a client once it disconnects', () => {
+  const { store } = storeWith(0);
+  const stream = createNotificationStream(store);
+  const { req, res } = connect();
+
+  stream.subscribe(req, res, { types: null });
+  req.emit('close');
+  stream.publish(store.create('message', { title: 'Late' }).notification);
+
+  assert.strictEqual(stream.clientCount(), 0);
+  assert.deepStrictEqual(eventIds(res), []);
+});
@@ -0,0 +1,93 @@
+const { normalizeModule, moduleAliases } = require('./stacktrace');
+
+/**
+ * Every name a dotted identifier can be looked up by: the full name and
+ * each shorter suffix, so "Billing.Invoice.Total" is found by
+ * "Invoice.Total" and "Total"
+ * @param {string} name
+ * @returns {string[]} Lowercased names
+ */
+function suffixes(name) {
+  const segments = name.toLowerCase().split('.');
+  return segments.map((_, i) => segments.slice(i).join('.'));
+}
+
+/**
+ * Filter index keys a parsed exception belongs in. The exception and every
+ * exception in its cause chain are indexed.
+ * @param {string} prefix - Tenant key prefix
+ * @param {object} parsed - Output of parseStackTrace
+ * @returns {Set<string>} Redis set keys
+ */
+function structureKeys(prefix, parsed) {
+  const keys = new Set();
+
+  for (const exception of [parsed, ...parsed.causes]) {
+    suffixes(exception.type).forEach(type => keys.add(`${prefix}exceptions:type:${type}`));
+    for (const frame of exception.frames) {
+      moduleAliases(frame).forEach(module => keys.add(`${prefix}exceptions:module:${module}`));
+      suffixes(frame.function).forEach(fn => keys.add(`${prefix}exceptions:function:${fn}`));
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Add a parsed exception to the type/module/function filter indexes
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {object} parsed - Output of parseStackTrace
+ */
+async function indexStructure(redisClient, prefix, fingerprint, parsed) {
+  const multi = redisClient.multi();
+  for (const key of structureKeys(prefix, parsed)) {
+    multi.sAdd(key, fingerprint);
+  }
+  await multi.exec();
+}
+
+/**
+ * Remove a deleted exception from the filter indexes
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {object} parsed - Output of parseStackTrace
+ */
+async function unindexStructure(redisClient, prefix, fingerprint, parsed) {
+  const multi = redisClient.multi();
+  for (const key of structureKeys(prefix, parsed)) {
+    multi.sRem(key, fingerprint);
+  }
+  await multi.exec();
+}
+
+/**
+ * Build the index keys to intersect for GET /exceptions filters
+ * @param {string} prefix - Tenant key prefix
+ * @param {object} filters
+ * @param {string} [filters.type] - Exception type, qualified or short
+ * @param {string} [filters.module] - Module, assembly, jar or namespace
+ * @param {string} [filters.function] - Function name, qualified or short
+ * @returns {string[]} Redis set keys; empty when no filter is set
+ */
+function filterKeys(prefix, filters) {
+  const keys = [];
+  if (filters.type) {
+    keys.push(`${prefix}exceptions:type:${filters.type.toLowerCase()}`);
+  }
+  if (filters.module) {
+    keys.push(`${prefix}exceptions:module:${normalizeModule(filters.module)}`);
+  }
+  if (filters.function) {
+    keys.push(`${prefix}exceptions:function:${filters.function.toLowerCase()}`);
+  }
+  return keys;
+}
+
+module.exports = {
+  indexStructure,
+  unindexStructure,
+  filterKeys
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { parseStackTrace } = require('./stacktrace');
+
+// Number of in-app stack frames that make up a fingerprint signature
+const MAX_FRAMES = parseInt(process.env.FINGERPRINT_MAX_FRAMES || '5', 10);
+
+// Frames from these namespaces/paths are runtime or library code, not the app
+const LIBRARY_FRAME_PATTERNS = [
+  /^(java|javax|jdk|sun|com\.sun|kotlin|scala)\./,
+  /^(org\.springframework|org\.apache|org\.hibernate)\./,
+  /^(System|Microsoft)\./,
+  /(^|\s)node:/,
+  /(^|\s)internal\//,
+  /node_modules[\\/]/,
+  /site-packages[\\/]/,
+  /dist-packages[\\/]/,
+  /[\\/]lib[\\/]python\d/
+];
+
+/**
+ * Volatile tokens that differ between occurrences of the same crash.
+ * Order matters: broader patterns (timestamps, paths) run before the
+ * catch-all number replacement.
+ */
+const VOLATILE_PATTERNS = [
+  // ISO-8601 and common log timestamps
+  [/\d{4}-\d{2}-\d{2}[t ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:z|[+-]\d{2}:?\d{2})?/g, '<ts>'],
+  [/\d{1,2}\/\d{1,2}\/\d{2,4}(?: \d{1,2}:\d{2}(?::\d{2})?(?: ?[ap]m)?)?/g, '<ts>'],
+  [/\d{4}-\d{2}-\d{2}/g, '<date>'],
+  [/\b\d{1,2}:\d{2}:\d{2}(?:[.,]\d+)?\b/g, '<time>'],
+  // GUIDs / UUIDs
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/g, '<guid>'],
+  // Memory addresses and long hex ids
+  [/\b0x[0-9a-f]+\b/g, '<addr>'],
+  [/@[0-9a-f]{6,}\b/g, '@<addr>'],
+  [/\b[0-9a-f]{16,}\b/g, '<hex>'],
+  // Thread identifiers
+  [/\b(thread|tid|pid)([\s#=:-]*)(?:[a-z]+-)*\d+\b/g, '$1$2<id>'],
+  [/\[(?:thread-|pool-\d+-thread-)?\d+\]/g, '[<id>]'],
+  // Temp directories
+  [/(?:[a-z]:)?[\\/](?:[^\s\\/]+[\\/])*?(?:tmp|temp)[\\/][^\s:)"']*/g, '<tmp>'],
+  // Line/column numbers
+  [/:line \d+/g, ':line <n>'],
+  [/\bline \d+/g, 'line <n>'],
+  [/(\.\w+):\d+(?::\d+)?/g, '$1:<n>'],
+  // Anything else numeric
+  [/\b\d+\b/g, '<n>']
+];
+
+/**
+ * Normalize exception text by lowercasing and replacing volatile tokens
+ * @param {string} message - Raw exception text
+ * @returns {string} Normalized text
+ */
+function normalizeMessage(message) {
+  let normalized = message.toLowerCase();
+  for (const [pattern, replacement] of VOLATILE_PATTERNS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  return normalized
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Whether a frame belongs to application code rather than a runtime/library
+ * @param {object} frame - Parsed frame from parseStackTrace
+ * @returns {boolean}
+ */
+function isInAppFrame(frame) {
+  return !LIBRARY_FRAME_PATTERNS.some(pattern =>
+    pattern.test(frame.function) || (frame.file && pattern.test(frame.file))
+  );
+}
+
+/**
+ * Compute a stable fingerprint for an exception.
+ *
+ * When a stack trace is present the signature is the exception type plus
+ * the top in-app frames, so changing messages or volatile values do not
+ * split one crash into many. Otherwise the normalized text is used.
+ *
+ * @param {string} message - Raw exception text
+ * @returns {{fingerprint: string, normalized: string, signature: string, exceptionType: string|null, frames: string[], parsed: object|null}}
+ */
+function computeFingerprint(message) {
+  const normalized = normalizeMessage(message);
+  const parsed = parseStackTrace(message);
+  const exceptionType = parsed ? parsed.type : null;
+  const frames = (parsed ? parsed.frames : [])
+    .filter(isInAppFrame)
+    .map(frame => normalizeMessage(`${frame.module || ''} ${frame.function}`))
+    .slice(0, MAX_FRAMES);
+
+  const signature = exceptionType && frames.length > 0
+    ? [exceptionType, ...frames].join('\n')
+    : normalized;
+
+  const fingerprint = crypto.createHash('sha256').update(signature).digest('hex');
+
+  return { fingerprint, normalized, signature, exceptionType, frames, parsed };
+}
+
+module.exports = {
+  normalizeMessage,
+  computeFingerprint
+};
@@ -0,0 +1,27 @@
+// Time allowed for each dependency check
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000', 10);
+
+/**
+ * Check the exception store (Redis or the in-memory backend) answers a PING
+ * @param {object} redisClient
+ * @returns {{status: string, latencyMs?: number, error?: string}} status is up or down
+ */
+async function checkStorage(redisClient) {
+  if (!redisClient.isOpen) {
+    return { status: 'down', error: 'Not connected' };
+  }
+  const started = Date.now();
+  try {
+    await Promise.race([
+      redisClient.ping(),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('PING timed out')), HEALTH_CHECK_TIMEOUT_MS).unref())
+    ]);
+    return { status: 'up', latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: 'down', error: error.message };
+  }
+}
+
+module.exports = {
+  checkStorage
+};
@@ -0,0 +1,55 @@
+// Header a caller sends to have a retried request answered, not applied again
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// Responses are kept this long; a retry within it gets the original response
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || String(24 * 60 * 60), 10);
+// A request still being handled after this is assumed lost, and a retry may run it
+const IN_PROGRESS_TTL_SECONDS = 60;
+const IN_PROGRESS = 'in-progress';
+
+function idempotencyKey(prefix, key) {
+  return `${prefix}idempotency:${key}`;
+}
+
+/**
+ * Claim an idempotency key for a request about to be handled
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} key - Idempotency-Key sent by the caller
+ * @returns {Promise<object|null>} null once claimed; otherwise { inProgress: true }
+ *   while the first request is still being handled, or { response } it got
+ */
+async function claimRequest(redisClient, prefix, key) {
+  const claimed = await redisClient.set(idempotencyKey(prefix, key), IN_PROGRESS, { NX: true, EX: IN_PROGRESS_TTL_SECONDS });
+  if (claimed) {
+    return null;
+  }
+
+  const stored = await redisClient.get(idempotencyKey(prefix, key));
+  if (stored === null) {
+    // Expired between the two commands
+    return claimRequest(redisClient, prefix, key);
+  }
+  return stored === IN_PROGRESS ? { inProgress: true } : { response: JSON.parse(stored) };
+}
+
+/**
+ * Keep the response to a claimed request, for retries with the same key
+ */
+async function completeRequest(redisClient, prefix, key, response) {
+  await redisClient.set(idempotencyKey(prefix, key), JSON.stringify(response), { EX: IDEMPOTENCY_TTL_SECONDS });
+}
+
+/**
+ * Give up a claim on a request that failed, so a retry runs it again
+ */
+async function releaseRequest(redisClient, prefix, key) {
+  await redisClient.del(idempotencyKey(prefix, key));
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  claimRequest,
+  completeRequest,
+  releaseRequest
+};
@@ -1,112 +1,254 @@
 require('dotenv').config();
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
-const redis = require('redis');
-const crypto = require('crypto');
+const { computeFingerprint, normalizeMessage } = require('./fingerprint');
+const { SHINGLE_SIZE, shingles, indexException, findSimilar } = require('./similarity');
+const { indexStructure, filterKeys } = require('./filters');
+const { createOccurrence, addOccurrence, trimOccurrences, getOccurrences } = require('./occurrences');
+const { recordBuckets, detectSpike, getTrend, parseWindow, getStats } = require('./stats');
+const { SORT_INDEXES, SORT_ORDERS, updateSortIndexes, backfillSortIndexes, decodeCursor, listFingerprints } = require('./listing');
+const { recordOwners, purgeExceptions } = require('./retention');
+const { IDEMPOTENCY_HEADER, claimRequest, completeRequest, releaseRequest } = require('./idempotency');
+const { loadTenants, listTenants, authenticate, requireAdmin, tenantPrefix } = require('./tenants');
+const { log, requestContext } = require('./logger');
+const metrics = require('./metrics');
+const { checkStorage } = require('./health');
+const { createStorage } = require('./storage');
 
 const app = express();
 const PORT = process.env.EXCEPTION_SEARCH_PORT || 3002;
-const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const EXCEPTION_STORE = process.env.EXCEPTION_STORE || 'redis';
+const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD || '0.5');
+const SIMILARITY_LIMIT = parseInt(process.env.SIMILARITY_LIMIT || '10', 10);
+const SIMILARITY_MAX_LIMIT = 100;
+const OCCURRENCE_PAGE_SIZE = 50;
+const OCCURRENCE_MAX_PAGE_SIZE = 200;
+const LIST_PAGE_SIZE = 50;
+const LIST_MAX_PAGE_SIZE = 500;
+const LIST_PARAMS = ['sort', 'order', 'limit', 'cursor', 'type', 'module', 'function'];
+const SEARCH_PARAMS = ['query', 'limit', 'threshold'];
+const STATS_TOP = 10;
+const STATS_MAX_TOP = 100;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(requestContext);
+app.use(metrics.httpMetrics);
 
-// Redis client setup
-const redisClient = redis.createClient({
-  url: REDIS_URL,
-  socket: {
-    reconnectStrategy: (retries) => Math.min(retries * 50, 500)
-  }
-});
+const exceptionsStored = metrics.counter('exceptions_stored_total', 'Exception occurrences stored, new or duplicate', ['result']);
+const exceptionSpikes = metrics.counter('exception_spikes_total', 'Occurrences stored during a spike');
+
+// Tenants and their API keys; every exception route acts for one tenant
+const tenantsFile = path.resolve(__dirname, '..', process.env.TENANTS_FILE || './tenants.json');
+const configuredTenants = loadTenants(tenantsFile, { required: Boolean(process.env.TENANTS_FILE) });
+log.info('Tenants loaded', { tenants: configuredTenants, apiKeys: configuredTenants.length > 0 });
+app.use('/exceptions', authenticate);
+
+// Exception storage: Redis, or in memory for tests and running without Redis.
+// Either way the client speaks the node-redis API.
+const redisClient = createStorage(EXCEPTION_STORE);
 
 redisClient.on('error', (err) => {
-  console.error('Redis error:', err);
+  log.error('Storage error', { backend: EXCEPTION_STORE, error: err });
 });
 
 redisClient.on('connect', () => {
-  console.log('Connected to Redis');
+  log.info('Connected to exception store', { backend: EXCEPTION_STORE });
 });
 
-// Connect to Redis
-redisClient.connect().catch(console.error);
+redisClient.connect()
+  .then(() => backfillSortIndexes(redisClient))
+  .then((indexed) => {
+    if (indexed > 0) {
+      log.info('Built sort indexes', { exceptions: indexed });
+    }
+  })
+  .catch(error => log.error('Error connecting to exception store', { backend: EXCEPTION_STORE, error }));
 
 /**
- * Normalize exception message for searching (lowercase, trim, etc.)
+ * Create a fingerprint of the exception for use as a Redis key
  */
-function normalizeMessage(message) {
-  return message.toLowerCase().trim();
+function hashMessage(message) {
+  return computeFingerprint(message).fingerprint;
 }
 
 /**
- * Create a hash of the normalized message for use as a Redis key
+ * Decode the JSON-encoded structure fields of a stored exception hash
+ * @param {object} data - Raw Redis hash
+ * @returns {object} Exception data with frames and causes as arrays
  */
-function hashMessage(message) {
-  const normalized = normalizeMessage(message);
-  return crypto.createHash('sha256').update(normalized).digest('hex');
+function decodeException(data) {
+  const decoded = { ...data };
+  for (const field of ['frames', 'causes']) {
+    if (decoded[field]) {
+      decoded[field] = JSON.parse(decoded[field]);
+    }
+  }
+  return decoded;
 }
 
 /**
  * POST /exceptions - Store a new exception message
- * Body: { message: string, zipFile: string }
+ * Body: { message: string, zipFile: string, uploadId?: string, file?: string, line?: number, bundle?: object, redacted?: string[] }
+ * redacted lists the kinds of sensitive data the sender masked in the message.
+ * Every call is kept as an occurrence of the exception's fingerprint. A call
+ * repeated with the same Idempotency-Key header is answered with the first
+ * call's response and not counted again.
+ * The response's spike is set the first time an hour's occurrences are a spike.
+ * Duplicates are only detected among the tenant's own exceptions.
  */
 app.post('/exceptions', async (req, res) => {
+  const prefix = tenantPrefix(req.tenant.id);
+  const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+  let claimed = false;
   try {
-    const { message, zipFile } = req.body;
+    const { message, zipFile, bundle, redacted } = req.body;
 
     if (!message || !zipFile) {
       return res.status(400).json({ error: 'Missing required fields: message, zipFile' });
     }
+    if (bundle !== undefined && (typeof bundle !== 'object' || bundle === null || Array.isArray(bundle))) {
+      return res.status(400).json({ error: 'bundle must be an object' });
+    }
+    if (redacted !== undefined && (!Array.isArray(redacted) || !redacted.every(kind => typeof kind === 'string'))) {
+      return res.status(400).json({ error: 'redacted must be an array of strings' });
+    }
 
-    const messageHash = hashMessage(message);
-    const key = `exception:${messageHash}`;
+    // A retried call (same Idempotency-Key) gets the first call's response
+    // rather than counting the occurrence again
+    if (idempotencyKey) {
+      const previous = await claimRequest(redisClient, prefix, idempotencyKey);
+      if (previous && previous.inProgress) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being handled', details: idempotencyKey });
+      }
+      if (previous) {
+        log.info('Exception already stored', { tenantId: req.tenant.id, fingerprint: previous.response.fingerprint, idempotencyKey });
+        return res.json(previous.response);
+      }
+      claimed = true;
+    }
+
+    const { fingerprint, normalized, exceptionType, parsed } = computeFingerprint(message);
+    const messageHash = fingerprint;
+    const key = `${prefix}exception:${messageHash}`;
     
-    // Get current count
-    const countStr = await redisClient.get(`${key}:count`);
-    const count = (countStr ? parseInt(countStr) : 0) + 1;
+    const now = new Date();
+    const occurrence = createOccurrence(req.body, now);
 
-    // Store the exception record
-    const exceptionRecord = {
-      message,
+    // Count and save in one transaction, so concurrent stores of the same
+    // exception each get their own count and only one of them sees count 1.
+    // zipFile and timestamp describe the latest occurrence; firstSeen is only
+    // written for the first one.
+    const writes = redisClient.multi()
+      .incr(`${key}:count`)
+      .hSet(key, {
+        message,
+        normalized,
+        exceptionType: exceptionType || '',
+        exceptionMessage: parsed ? parsed.message : '',
+        format: parsed ? parsed.format : '',
+        frames: JSON.stringify(parsed ? parsed.frames : []),
+        causes: JSON.stringify(parsed ? parsed.causes : []),
+        zipFile,
+        timestamp: occurrence.timestamp,
+        lastSeen: occurrence.timestamp
+      })
+      .hIncrBy(key, 'count', 1)
+      .hSetNX(key, 'firstSeen', occurrence.timestamp);
+    updateSortIndexes(writes, prefix, messageHash, now.getTime());
+    recordBuckets(writes, prefix, messageHash, now.getTime());
+    addOccurrence(writes, prefix, messageHash, occurrence);
+    trimOccurrences(writes, prefix, messageHash, now.getTime());
+    const [count] = await recordOwners(writes, prefix, messageHash, occurrence).exec();
+    const spike = await detectSpike(redisClient, prefix, messageHash, now.getTime());
+
+    // Index first occurrences for similarity search. What was indexed is
+    // kept, since later occurrences replace the message, so that deleting the
+    // exception removes exactly these entries.
+    if (count === 1) {
+      await redisClient.set(`${key}:indexed`, JSON.stringify({ normalized, parsed }));
+      await indexException(redisClient, prefix, messageHash, normalized);
+      if (parsed) {
+        await indexStructure(redisClient, prefix, messageHash, parsed);
+      }
+    }
+
+    exceptionsStored.inc({ result: count > 1 ? 'duplicate' : 'new' });
+    log.info('Exception stored', {
+      tenantId: req.tenant.id,
+      fingerprint: messageHash,
+      exceptionType,
       zipFile,
-      timestamp: new Date().toISOString(),
+      uploadId: occurrence.uploadId,
       count
-    };
+    });
+    if (spike) {
+      exceptionSpikes.inc();
+      log.warn('Exception spike', { fingerprint: messageHash, occurrences: spike.occurrences, baseline: spike.baseline });
+    }
 
-    // Save to Redis
-    await redisClient.hSet(key, {
-      message,
-      zipFile,
-      timestamp: new Date().toISOString(),
-      count: count.toString()
+    const response = {
+      success: true,
+      message: 'Exception stored',
+      fingerprint,
+      occurrenceId: occurrence.id,
+      normalized,
+      exceptionType,
+      isDuplicate: count > 1,
+      duplicateCount: count,
+      spike
+    };
+    if (claimed) {
+      await completeRequest(redisClient, prefix, idempotencyKey, response);
+    }
+    res.json(response);
+  } catch (error) {
+    log.error('Error storing exception', { error });
+    if (claimed) {
+      await releaseRequest(redisClient, prefix, idempotencyKey).catch(() => {});
+    }
+    res.status(500).json({
+      error: 'Error storing exception',
+      details: error.message
     });
+  }
+});
 
-    // Update count
-    await redisClient.set(`${key}:count`, count.toString());
+/**
+ * POST /exceptions/purge - Admin only: delete the tenant's occurrences from
+ * one upload or customer
+ * Body: { uploadId: string } or { customer: string }
+ * Exceptions left with no occurrences are deleted; the others keep their
+ * remaining occurrences and counts.
+ */
+app.post('/exceptions/purge', requireAdmin, async (req, res) => {
+  try {
+    const { uploadId, customer } = req.body;
 
-    // Add to sorted set for tracking all exceptions (sorted by timestamp)
-    await redisClient.zAdd('exceptions:all', [{
-      score: Date.now(),
-      value: messageHash
-    }]);
+    if (Boolean(uploadId) === Boolean(customer)) {
+      return res.status(400).json({ error: 'Send exactly one of: uploadId, customer' });
+    }
+    if (typeof (uploadId || customer) !== 'string') {
+      return res.status(400).json({ error: 'uploadId and customer must be strings' });
+    }
 
-    console.log(`\n📋 Exception Stored`);
-    console.log(`  Message: ${message.substring(0, 100)}...`);
-    console.log(`  Hash: ${messageHash}`);
-    console.log(`  Zip File: ${zipFile}`);
-    console.log(`  Count: ${count}`);
-    console.log();
+    const purged = await purgeExceptions(redisClient, tenantPrefix(req.tenant.id), { uploadId, customer });
 
-    res.json({
-      success: true,
-      message: 'Exception stored',
-      isDuplicate: count > 1,
-      duplicateCount: count
+    log.info('Purged exceptions', {
+      occurrences: purged.occurrences,
+      exceptions: purged.exceptions.length,
+      uploadId,
+      customer,
+      tenantId: req.tenant.id
     });
+
+    res.json({ success: true, tenantId: req.tenant.id, ...purged });
   } catch (error) {
-    console.error('Error storing exception:', error);
+    log.error('Error purging exceptions', { error });
     res.status(500).json({
-      error: 'Error storing exception',
+      error: 'Error purging exceptions',
       details: error.message
     });
   }
@@ -114,41 +256,84 @@ app.post('/exceptions', async (req, res) => {
 
 /**
  * GET /exceptions/search - Search for similar exceptions
- * Query: { query: string }
+ * Query: { query: string, limit?: number, threshold?: number }
  */
 app.get('/exceptions/search', async (req, res) => {
   try {
+    const repeated = SEARCH_PARAMS.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+    if (repeated) {
+      return res.status(400).json({ error: `${repeated} must be given once` });
+    }
+
     const { query } = req.query;
 
     if (!query) {
       return res.status(400).json({ error: 'Missing required query parameter: query' });
     }
 
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : SIMILARITY_LIMIT;
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : SIMILARITY_THRESHOLD;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > SIMILARITY_MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${SIMILARITY_MAX_LIMIT}` });
+    }
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+    }
+
+    const normalized = normalizeMessage(query);
+    if (shingles(normalized).length === 0) {
+      return res.status(400).json({
+        error: `Query too short for similarity search: at least ${SHINGLE_SIZE} words required`
+      });
+    }
+
     const messageHash = hashMessage(query);
-    const key = `exception:${messageHash}`;
-    
-    // Try to get the exception from Redis
-    const exceptionData = await redisClient.hGetAll(key);
+    const prefix = tenantPrefix(req.tenant.id);
+    const key = `${prefix}exception:${messageHash}`;
+
+    // Exact fingerprint match
     const countStr = await redisClient.get(`${key}:count`);
     const count = countStr ? parseInt(countStr) : 0;
-
     const isDuplicate = count > 0;
-    const results = isDuplicate ? [exceptionData] : [];
 
-    console.log(`\n🔍 Exception Search`);
-    console.log(`  Query: ${query}`);
-    console.log(`  Matches found: ${results.length}`);
-    console.log();
+    const ranked = await findSimilar(redisClient, prefix, normalized, { limit, threshold });
+
+    // An exact fingerprint match always ranks first
+    if (isDuplicate) {
+      const exactIndex = ranked.findIndex(match => match.hash === messageHash);
+      if (exactIndex !== -1) {
+        ranked.splice(exactIndex, 1);
+      }
+      ranked.unshift({ hash: messageHash, score: 1, jaccard: 1 });
+      ranked.splice(limit);
+    }
+
+    const reads = redisClient.multi();
+    for (const match of ranked) {
+      reads.hGetAll(`${prefix}exception:${match.hash}`);
+      reads.get(`${prefix}exception:${match.hash}:count`);
+    }
+    const replies = await reads.exec();
+
+    const results = ranked.map((match, i) => ({
+      ...match,
+      count: replies[i * 2 + 1] ? parseInt(replies[i * 2 + 1]) : 0,
+      data: decodeException(replies[i * 2])
+    }));
+
+    log.info('Exception search', { matches: results.length });
 
     res.json({
       query,
+      threshold,
       matchCount: results.length,
       matches: results,
       isDuplicate: isDuplicate,
       duplicateCount: count
     });
   } catch (error) {
-    console.error('Error searching exceptions:', error);
+    log.error('Error searching exceptions', { error });
     res.status(500).json({
       error: 'Error searching exceptions',
       details: error.message
@@ -157,32 +342,74 @@ app.get('/exceptions/search', async (req, res) => {
 });
 
 /**
- * GET /exceptions - Get all exceptions
+ * GET /exceptions - List exceptions, one page at a time
+ * Query: { type?: string, module?: string, function?: string, sort?: string, order?: string, limit?: number, cursor?: string }
+ *   type     - exception type, e.g. NullReferenceException or System.NullReferenceException
+ *   module   - module/assembly/jar/namespace of any frame, e.g. Billing.dll
+ *   function - function of any frame, e.g. Invoice.Total
+ *   sort     - firstSeen (default), lastSeen or count
+ *   order    - asc (default) or desc
+ *   cursor   - nextCursor of the previous page
+ * Filters also match exceptions in the cause chain and can be combined.
  */
 app.get('/exceptions', async (req, res) => {
   try {
-    // Get all exception keys from sorted set
-    const allExceptions = await redisClient.zRangeByScore('exceptions:all', '-inf', '+inf');
-    
-    const exceptions = [];
-    for (const messageHash of allExceptions) {
-      const key = `exception:${messageHash}`;
-      const exceptionData = await redisClient.hGetAll(key);
-      const countStr = await redisClient.get(`${key}:count`);
-      
-      exceptions.push({
-        hash: messageHash,
-        count: countStr ? parseInt(countStr) : 0,
-        data: exceptionData
-      });
+    // A parameter given more than once arrives as an array
+    const repeated = LIST_PARAMS.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+    if (repeated) {
+      return res.status(400).json({ error: `${repeated} must be given once` });
     }
 
+    const sort = req.query.sort || 'firstSeen';
+    const order = req.query.order || 'asc';
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : LIST_PAGE_SIZE;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+    if (!SORT_INDEXES[sort]) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(SORT_INDEXES).join(', ')}` });
+    }
+    if (!SORT_ORDERS.includes(order)) {
+      return res.status(400).json({ error: `order must be one of: ${SORT_ORDERS.join(', ')}` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIST_MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${LIST_MAX_PAGE_SIZE}` });
+    }
+    if (req.query.cursor && (!cursor || cursor.sort !== sort || cursor.order !== order)) {
+      return res.status(400).json({ error: 'Invalid cursor: pass the nextCursor of a page with the same sort and order' });
+    }
+
+    const prefix = tenantPrefix(req.tenant.id);
+    const keys = filterKeys(prefix, {
+      type: req.query.type,
+      module: req.query.module,
+      function: req.query.function
+    });
+
+    const page = await listFingerprints(redisClient, prefix, { sort, order, limit, cursor, filterKeys: keys });
+
+    const reads = redisClient.multi();
+    for (const { value: messageHash } of page.fingerprints) {
+      reads.hGetAll(`${prefix}exception:${messageHash}`);
+      reads.get(`${prefix}exception:${messageHash}:count`);
+    }
+    const replies = page.fingerprints.length > 0 ? await reads.exec() : [];
+
+    const exceptions = page.fingerprints.map(({ value: messageHash }, i) => ({
+      hash: messageHash,
+      count: replies[i * 2 + 1] ? parseInt(replies[i * 2 + 1]) : 0,
+      data: decodeException(replies[i * 2])
+    }));
+
     res.json({
-      totalUniqueExceptions: exceptions.length,
+      totalUniqueExceptions: page.total,
+      sort,
+      order,
+      limit,
+      nextCursor: page.nextCursor,
       exceptions
     });
   } catch (error) {
-    console.error('Error retrieving exceptions:', error);
+    log.error('Error retrieving exceptions', { error });
     res.status(500).json({
       error: 'Error retrieving exceptions',
       details: error.message
@@ -191,30 +418,177 @@ app.get('/exceptions', async (req, res) => {
 });
 
 /**
- * GET /health - Health check endpoint
+ * GET /exceptions/stats - Occurrence totals and top exceptions over a window
+ * Query: { window?: string, granularity?: 'hour' | 'day', top?: number }
+ *   window      - e.g. 24h (default) or 7d, ending with the current hour or day
+ *   granularity - bucket size of the series; hour for windows up to 48h, otherwise day
+ *   top         - number of most frequent exceptions returned (default 10)
  */
-app.get('/health', async (req, res) => {
+app.get('/exceptions/stats', async (req, res) => {
   try {
-    const count = await redisClient.get('exceptions:count:total');
-    res.json({ 
-      status: 'ok', 
-      service: 'search-exceptions-service',
-      redis: redisClient.isOpen ? 'connected' : 'disconnected',
-      exceptionCount: count || 0
+    const window = parseWindow(req.query.window || '24h', req.query.granularity);
+    const top = req.query.top !== undefined ? parseInt(req.query.top, 10) : STATS_TOP;
+
+    if (window.error) {
+      return res.status(400).json({ error: window.error });
+    }
+    if (!Number.isInteger(top) || top < 1 || top > STATS_MAX_TOP) {
+      return res.status(400).json({ error: `top must be an integer between 1 and ${STATS_MAX_TOP}` });
+    }
+
+    const stats = await getStats(redisClient, tenantPrefix(req.tenant.id), { ...window, top, now: Date.now() });
+    res.json(stats);
+  } catch (error) {
+    log.error('Error computing exception stats', { error });
+    res.status(500).json({
+      error: 'Error computing exception stats',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /exceptions/:hash - One exception and its occurrence timeline
+ * Query: { limit?: number, offset?: number, order?: 'desc' | 'asc' }
+ * Occurrences are newest first unless order=asc.
+ */
+app.get('/exceptions/:hash', async (req, res) => {
+  try {
+    const messageHash = req.params.hash;
+    const prefix = tenantPrefix(req.tenant.id);
+    const key = `${prefix}exception:${messageHash}`;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : OCCURRENCE_PAGE_SIZE;
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+    const order = req.query.order || 'desc';
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > OCCURRENCE_MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${OCCURRENCE_MAX_PAGE_SIZE}` });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+
+    const exceptionData = await redisClient.hGetAll(key);
+    if (Object.keys(exceptionData).length === 0) {
+      return res.status(404).json({ error: 'Exception not found', details: messageHash });
+    }
+
+    const countStr = await redisClient.get(`${key}:count`);
+    const { total, occurrences } = await getOccurrences(redisClient, prefix, messageHash, { limit, offset, order });
+
+    res.json({
+      hash: messageHash,
+      count: countStr ? parseInt(countStr) : 0,
+      // Exceptions stored before occurrences were kept only have the latest timestamp
+      firstSeen: exceptionData.firstSeen || exceptionData.timestamp,
+      lastSeen: exceptionData.lastSeen || exceptionData.timestamp,
+      data: decodeException(exceptionData),
+      trend: await getTrend(redisClient, prefix, messageHash, Date.now()),
+      occurrences: {
+        total,
+        limit,
+        offset,
+        order,
+        items: occurrences
+      }
     });
   } catch (error) {
+    log.error('Error retrieving exception', { error });
     res.status(500).json({
-      error: 'Health check failed',
+      error: 'Error retrieving exception',
       details: error.message
     });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Search Exceptions Service running on http://localhost:${PORT}`);
-  console.log(`POST   http://localhost:${PORT}/exceptions - Store an exception`);
-  console.log(`GET    http://localhost:${PORT}/exceptions/search - Search for exceptions`);
-  console.log(`GET    http://localhost:${PORT}/exceptions - Get all exceptions`);
-  console.log(`GET    http://localhost:${PORT}/health - Health check`);
+/**
+ * GET /tenants - Admin only: every tenant with its number of exceptions
+ * and when one was last seen
+ */
+app.get('/tenants', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const tenants = listTenants();
+    const reads = redisClient.multi();
+    for (const tenant of tenants) {
+      const prefix = tenantPrefix(tenant.id);
+      reads.zCard(prefix + SORT_INDEXES.firstSeen);
+      reads.zRangeWithScores(prefix + SORT_INDEXES.lastSeen, 0, 0, { REV: true });
+    }
+    const replies = await reads.exec();
+
+    res.json({
+      tenants: tenants.map((tenant, i) => {
+        const [latest] = replies[i * 2 + 1];
+        return {
+          ...tenant,
+          uniqueExceptions: replies[i * 2],
+          lastSeen: latest ? new Date(latest.score).toISOString() : null
+        };
+      })
+    });
+  } catch (error) {
+    log.error('Error listing tenants', { error });
+    res.status(500).json({
+      error: 'Error listing tenants',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Unique exceptions stored for each tenant
+ * @returns {Array<{tenantId: string, count: number}>}
+ */
+async function countExceptions() {
+  const tenants = listTenants();
+  const reads = redisClient.multi();
+  tenants.forEach(tenant => reads.zCard(tenantPrefix(tenant.id) + SORT_INDEXES.firstSeen));
+  const counts = await reads.exec();
+  return tenants.map((tenant, i) => ({ tenantId: tenant.id, count: counts[i] }));
+}
+
+/**
+ * GET /health - Health check endpoint
+ * Responds 503 when the store every exception is kept in is down
+ */
+app.get('/health', async (req, res) => {
+  const storageCheck = await checkStorage(redisClient);
+  const up = storageCheck.status === 'up';
+  let exceptionCount = null;
+  if (up) {
+    try {
+      exceptionCount = (await countExceptions()).reduce((sum, tenant) => sum + tenant.count, 0);
+    } catch (error) {
+      log.warn('Error counting exceptions', { error: error.message });
+    }
+  }
+
+  res.status(up ? 200 : 503).json({
+    status: up ? 'ok' : 'down',
+    service: 'search-exceptions-service',
+    uptimeSeconds: Math.round(process.uptime()),
+    dependencies: { storage: { ...storageCheck, backend: EXCEPTION_STORE } },
+    exceptionCount
+  });
 });
 
+/**
+ * GET /metrics - Prometheus metrics: request latencies, exceptions stored
+ * (new vs duplicate), spikes and unique exceptions per tenant
+ */
+app.get('/metrics', metrics.metricsHandler);
+
+metrics.gauge('exceptions_unique', 'Unique exceptions stored, by tenant', async () => {
+  // Skipped while Redis is down: node-redis would hold the command until it reconnects
+  if (!redisClient.isReady) {
+    throw new Error('Exception store is not connected');
+  }
+  return (await countExceptions()).map(({ tenantId, count }) => ({ labels: { tenant: tenantId }, value: count }));
+});
+
+app.listen(PORT, () => {
+  log.info('Search Exceptions Service running', { url: `http://localhost:${PORT}` });
+});
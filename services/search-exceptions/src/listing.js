@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+
+// Sorted sets GET /exceptions can be ordered by, under the tenant key prefix.
+// Every fingerprint is in each.
+const SORT_INDEXES = {
+  firstSeen: 'exceptions:all',
+  lastSeen: 'exceptions:lastSeen',
+  count: 'exceptions:byCount'
+};
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Fingerprints read per round trip when building missing sort indexes
+const BACKFILL_BATCH_SIZE = 500;
+
+// Filtered listings are intersected into a temporary sorted set, which
+// expires on its own if the request dies before deleting it
+const RESULT_TTL_SECONDS = 60;
+
+/**
+ * Queue the sort index updates for one stored occurrence
+ * @param {object} multi - Redis MULTI the writes are added to
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {number} time - Occurrence time in milliseconds
+ * @returns {object} The MULTI, for chaining
+ */
+function updateSortIndexes(multi, prefix, fingerprint, time) {
+  return multi
+    .zAdd(prefix + SORT_INDEXES.firstSeen, [{ score: time, value: fingerprint }], { NX: true })
+    .zAdd(prefix + SORT_INDEXES.lastSeen, [{ score: time, value: fingerprint }])
+    .zIncrBy(prefix + SORT_INDEXES.count, 1, fingerprint);
+}
+
+/**
+ * Queue removing a deleted exception from every sort index
+ * @param {object} multi - Redis MULTI the writes are added to
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @returns {object} The MULTI, for chaining
+ */
+function removeFromSortIndexes(multi, prefix, fingerprint) {
+  for (const key of Object.values(SORT_INDEXES)) {
+    multi.zRem(prefix + key, fingerprint);
+  }
+  return multi;
+}
+
+/**
+ * Build the lastSeen and count indexes for exceptions stored before they
+ * existed. Does nothing once every fingerprint is indexed. Only the default
+ * tenant has exceptions that old, so its unprefixed keys are the ones built.
+ * @param {object} redisClient - Connected Redis client
+ * @returns {number} Fingerprints indexed
+ */
+async function backfillSortIndexes(redisClient) {
+  const [total, indexed] = await redisClient.multi()
+    .zCard(SORT_INDEXES.firstSeen)
+    .zCard(SORT_INDEXES.count)
+    .exec();
+  if (indexed >= total) {
+    return 0;
+  }
+
+  for (let start = 0; start < total; start += BACKFILL_BATCH_SIZE) {
+    const fingerprints = await redisClient.zRange(SORT_INDEXES.firstSeen, start, start + BACKFILL_BATCH_SIZE - 1);
+    const reads = redisClient.multi();
+    for (const fingerprint of fingerprints) {
+      reads.get(`exception:${fingerprint}:count`);
+      reads.hmGet(`exception:${fingerprint}`, ['lastSeen', 'timestamp']);
+    }
+    const replies = await reads.exec();
+
+    const writes = redisClient.multi();
+    fingerprints.forEach((fingerprint, i) => {
+      const count = parseInt(replies[i * 2], 10) || 0;
+      const [lastSeen, timestamp] = replies[i * 2 + 1];
+      writes.zAdd(SORT_INDEXES.lastSeen, [{ score: new Date(lastSeen || timestamp).getTime() || 0, value: fingerprint }]);
+      writes.zAdd(SORT_INDEXES.count, [{ score: count, value: fingerprint }]);
+    });
+    await writes.exec();
+  }
+
+  return total;
+}
+
+/**
+ * Cursors are opaque to clients: the last item of a page and the ordering it was read with
+ * @param {object} cursor - { hash, score, sort, order }
+ * @returns {string}
+ */
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * @param {string} value - From encodeCursor
+ * @returns {object|null} Cursor, or null if it is malformed
+ */
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return typeof cursor.hash === 'string' && typeof cursor.score === 'number' ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Position the page after a cursor starts at. If the cursor's item has since
+ * moved (its count or last seen changed) or is gone, the page starts after
+ * every item that sorted before the item's old score.
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} key - Sorted set being listed
+ * @param {object} cursor - Decoded cursor
+ * @param {boolean} reverse - Highest score first
+ * @returns {number}
+ */
+async function cursorPosition(redisClient, key, cursor, reverse) {
+  const reads = redisClient.multi();
+  if (reverse) {
+    reads.zRevRank(key, cursor.hash);
+  } else {
+    reads.zRank(key, cursor.hash);
+  }
+  const [rank, score] = await reads.zScore(key, cursor.hash).exec();
+  if (rank !== null && score === cursor.score) {
+    return rank + 1;
+  }
+  return reverse
+    ? redisClient.zCount(key, cursor.score, '+inf')
+    : redisClient.zCount(key, '-inf', cursor.score);
+}
+
+/**
+ * Read one page of fingerprints in sort order
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {object} options
+ * @param {string} options.sort - firstSeen, lastSeen or count
+ * @param {string} options.order - asc or desc
+ * @param {number} options.limit - Page size
+ * @param {object} [options.cursor] - Decoded cursor of the previous page
+ * @param {string[]} options.filterKeys - Filter sets every fingerprint must be in
+ * @returns {{total: number, fingerprints: Array<{value: string, score: number}>, nextCursor: string|null}}
+ */
+async function listFingerprints(redisClient, prefix, { sort, order, limit, cursor, filterKeys }) {
+  let key = prefix + SORT_INDEXES[sort];
+  let resultKey = null;
+
+  if (filterKeys.length > 0) {
+    // Filter sets score 0, so the intersection keeps the sort index score
+    resultKey = `${prefix}exceptions:list:${crypto.randomUUID()}`;
+    await redisClient.multi()
+      .zInterStore(resultKey, [key, ...filterKeys], { WEIGHTS: [1, ...filterKeys.map(() => 0)] })
+      .expire(resultKey, RESULT_TTL_SECONDS)
+      .exec();
+    key = resultKey;
+  }
+
+  try {
+    const reverse = order === 'desc';
+    const start = cursor ? await cursorPosition(redisClient, key, cursor, reverse) : 0;
+    const [total, fingerprints] = await redisClient.multi()
+      .zCard(key)
+      .zRangeWithScores(key, start, start + limit - 1, { REV: reverse })
+      .exec();
+
+    const last = fingerprints[fingerprints.length - 1];
+    const nextCursor = last && start + fingerprints.length < total
+      ? encodeCursor({ hash: last.value, score: last.score, sort, order })
+      : null;
+
+    return { total, fingerprints, nextCursor };
+  } finally {
+    if (resultKey) {
+      await redisClient.del(resultKey);
+    }
+  }
+}
+
+module.exports = {
+  SORT_INDEXES,
+  SORT_ORDERS,
+  updateSortIndexes,
+  removeFromSortIndexes,
+  backfillSortIndexes,
+  decodeCursor,
+  listFingerprints
+};
@@ -0,0 +1,84 @@
+/**
+ * Copy every stored key from one exception store backend to another:
+ *
+ *   npm run migrate -- <from> <to>      e.g. npm run migrate -- redis memory
+ *
+ * Uses the service's settings (REDIS_URL, EXCEPTION_STORE_FILE); the memory
+ * backend needs EXCEPTION_STORE_FILE, as it otherwise ends with this process.
+ * Keys already in the target are replaced and expiry times are kept, so the
+ * copy can be re-run. Stop the service first so nothing is written while
+ * copying, then set EXCEPTION_STORE to the new backend.
+ */
+require('dotenv').config();
+const { STORAGE_TYPES, STORE_FILE, createStorage } = require('./storage');
+
+/**
+ * Queue the commands recreating one key on the target
+ * @returns {boolean} false for types the service never stores
+ */
+async function copyKey(source, writes, key) {
+  switch (await source.type(key)) {
+    case 'string':
+      writes.set(key, await source.get(key));
+      return true;
+    case 'hash':
+      writes.hSet(key, await source.hGetAll(key));
+      return true;
+    case 'set':
+      writes.sAdd(key, await source.sMembers(key));
+      return true;
+    case 'zset':
+      writes.zAdd(key, await source.zRangeWithScores(key, 0, -1));
+      return true;
+    default:
+      return false;
+  }
+}
+
+async function migrate(from, to) {
+  const source = createStorage(from);
+  const target = createStorage(to);
+  await Promise.all([source.connect(), target.connect()]);
+
+  let copied = 0;
+  const skipped = [];
+  try {
+    for await (const key of source.scanIterator({ MATCH: '*', COUNT: 1000 })) {
+      const ttl = await source.pTTL(key);
+      const writes = target.multi().del(key);
+      if (ttl === -2 || !(await copyKey(source, writes, key))) {
+        if (ttl !== -2) {
+          skipped.push(key);
+        }
+        continue;
+      }
+      if (ttl > 0) {
+        writes.pExpire(key, ttl);
+      }
+      await writes.exec();
+      copied++;
+    }
+  } finally {
+    await Promise.all([source.quit(), target.quit()]);
+  }
+
+  if (skipped.length > 0) {
+    console.warn(`Skipped ${skipped.length} key(s) of unsupported types: ${skipped.slice(0, 10).join(', ')}`);
+  }
+  console.log(`Copied ${copied} key(s) from ${from} to ${to}`);
+}
+
+const [from, to] = process.argv.slice(2);
+if (!STORAGE_TYPES[from] || !STORAGE_TYPES[to] || from === to) {
+  console.error(`Usage: npm run migrate -- <from> <to>, two different backends of: ${Object.keys(STORAGE_TYPES).join(', ')}`);
+  process.exit(1);
+}
+if ([from, to].includes('memory') && !STORE_FILE) {
+  console.error('Set EXCEPTION_STORE_FILE to migrate to or from the memory backend');
+  process.exit(1);
+}
+
+migrate(from, to).catch((error) => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+});
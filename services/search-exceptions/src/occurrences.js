@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences older than this, or beyond the newest MAX_COUNT of an
+// exception, are dropped. Exception counts and stats buckets keep them.
+const RETENTION_MS = parseInt(process.env.OCCURRENCE_RETENTION_DAYS || '90', 10) * DAY_MS;
+const RETENTION_MAX_COUNT = parseInt(process.env.OCCURRENCE_RETENTION_MAX_COUNT || '1000', 10);
+
+/**
+ * Sorted set of every occurrence of an exception, scored by time
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @returns {string}
+ */
+function occurrencesKey(prefix, fingerprint) {
+  return `${prefix}exception:${fingerprint}:occurrences`;
+}
+
+/**
+ * Build an occurrence record from a POST /exceptions body
+ * @param {object} body - { zipFile, uploadId?, file?, line?, bundle?, redacted? }
+ * @param {Date} now - Time the occurrence was stored
+ * @returns {object} Occurrence
+ */
+function createOccurrence(body, now) {
+  return {
+    id: crypto.randomUUID(),
+    timestamp: now.toISOString(),
+    zipFile: body.zipFile,
+    uploadId: body.uploadId || null,
+    file: body.file || null,
+    line: body.line || null,
+    bundle: body.bundle || {},
+    redacted: body.redacted || []
+  };
+}
+
+/**
+ * Queue an occurrence to be added to the exception's timeline
+ * @param {object} multi - Redis MULTI the write is added to
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {object} occurrence - From createOccurrence
+ * @returns {object} The MULTI, for chaining
+ */
+function addOccurrence(multi, prefix, fingerprint, occurrence) {
+  return multi.zAdd(occurrencesKey(prefix, fingerprint), [{
+    score: new Date(occurrence.timestamp).getTime(),
+    value: JSON.stringify(occurrence)
+  }]);
+}
+
+/**
+ * Queue dropping an exception's occurrences that are past retention. The
+ * timeline expires altogether once no occurrence has been added for the
+ * retention period.
+ * @param {object} multi - Redis MULTI the writes are added to
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {number} now - Current time in milliseconds
+ * @returns {object} The MULTI, for chaining
+ */
+function trimOccurrences(multi, prefix, fingerprint, now) {
+  const key = occurrencesKey(prefix, fingerprint);
+  return multi
+    .zRemRangeByScore(key, '-inf', now - RETENTION_MS)
+    .zRemRangeByRank(key, 0, -RETENTION_MAX_COUNT - 1)
+    .pExpire(key, RETENTION_MS);
+}
+
+/**
+ * Read a page of an exception's occurrence timeline
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {object} page - { limit, offset, order: 'asc' (oldest first) or 'desc' }
+ * @returns {{total: number, occurrences: object[]}}
+ */
+async function getOccurrences(redisClient, prefix, fingerprint, { limit, offset, order }) {
+  const key = occurrencesKey(prefix, fingerprint);
+  const [total, members] = await redisClient.multi()
+    .zCard(key)
+    .zRange(key, offset, offset + limit - 1, { REV: order === 'desc' })
+    .exec();
+
+  return {
+    total,
+    occurrences: members.map(member => JSON.parse(member))
+  };
+}
+
+module.exports = {
+  RETENTION_MS,
+  occurrencesKey,
+  createOccurrence,
+  addOccurrence,
+  trimOccurrences,
+  getOccurrences
+};
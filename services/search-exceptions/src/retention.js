@@ -0,0 +1,165 @@
+const { computeFingerprint } = require('./fingerprint');
+const { unindexException } = require('./similarity');
+const { unindexStructure } = require('./filters');
+const { RETENTION_MS, occurrencesKey } = require('./occurrences');
+const { removeFromBuckets } = require('./stats');
+const { SORT_INDEXES, removeFromSortIndexes } = require('./listing');
+
+/**
+ * Set of the fingerprints an upload's occurrences were stored under
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} uploadId
+ * @returns {string}
+ */
+function uploadKey(prefix, uploadId) {
+  return `${prefix}exceptions:upload:${uploadId}`;
+}
+
+/**
+ * Set of the fingerprints a customer's occurrences were stored under
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} customer - Bundle metadata customer
+ * @returns {string}
+ */
+function customerKey(prefix, customer) {
+  return `${prefix}exceptions:customer:${customer}`;
+}
+
+/**
+ * @param {object} occurrence
+ * @returns {string|undefined} Customer named in the bundle's manifest metadata
+ */
+function customerOf(occurrence) {
+  return ((occurrence.bundle || {}).metadata || {}).customer;
+}
+
+/**
+ * Queue recording which upload and customer an occurrence came from, so
+ * they can be purged. The records expire with the occurrences.
+ * @param {object} multi - Redis MULTI the writes are added to
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {object} occurrence - From createOccurrence
+ * @returns {object} The MULTI, for chaining
+ */
+function recordOwners(multi, prefix, fingerprint, occurrence) {
+  const customer = customerOf(occurrence);
+  const keys = [
+    occurrence.uploadId && uploadKey(prefix, occurrence.uploadId),
+    customer && customerKey(prefix, customer)
+  ].filter(Boolean);
+
+  for (const key of keys) {
+    multi.sAdd(key, fingerprint).pExpire(key, RETENTION_MS);
+  }
+  return multi;
+}
+
+/**
+ * Delete an exception whose every occurrence has been purged, along with
+ * its similarity, filter and sort index entries
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ */
+async function deleteException(redisClient, prefix, fingerprint) {
+  const key = `${prefix}exception:${fingerprint}`;
+  const stored = await redisClient.get(`${key}:indexed`);
+  const message = stored ? null : await redisClient.hGet(key, 'message');
+  // Exceptions stored before the indexed text was kept fall back to their
+  // latest message
+  const indexed = stored ? JSON.parse(stored) : message && computeFingerprint(message);
+  if (indexed) {
+    await unindexException(redisClient, prefix, fingerprint, indexed.normalized);
+    if (indexed.parsed) {
+      await unindexStructure(redisClient, prefix, fingerprint, indexed.parsed);
+    }
+  }
+
+  const writes = redisClient.multi()
+    .del(key)
+    .del(`${key}:count`)
+    .del(`${key}:indexed`)
+    .del(occurrencesKey(prefix, fingerprint));
+  await removeFromSortIndexes(writes, prefix, fingerprint).exec();
+}
+
+/**
+ * Remove an exception's matching occurrences and take them out of its
+ * counts. The exception is deleted once its count reaches zero; otherwise
+ * its latest occurrence fields are taken from the newest one left.
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {function} matches - Whether an occurrence is purged
+ * @param {number} now - Current time in milliseconds
+ * @returns {object|null} { fingerprint, occurrences, deleted }, or null if nothing matched
+ */
+async function purgeOccurrences(redisClient, prefix, fingerprint, matches, now) {
+  const key = `${prefix}exception:${fingerprint}`;
+  const timelineKey = occurrencesKey(prefix, fingerprint);
+  const purged = (await redisClient.zRange(timelineKey, 0, -1))
+    .filter(member => matches(JSON.parse(member)));
+  if (purged.length === 0) {
+    return null;
+  }
+
+  const writes = redisClient.multi()
+    .zRem(timelineKey, purged)
+    .decrBy(`${key}:count`, purged.length)
+    .hIncrBy(key, 'count', -purged.length)
+    .zIncrBy(prefix + SORT_INDEXES.count, -purged.length, fingerprint);
+  for (const member of purged) {
+    removeFromBuckets(writes, prefix, fingerprint, new Date(JSON.parse(member).timestamp).getTime(), now);
+  }
+  const [, count] = await writes.exec();
+
+  if (count <= 0) {
+    await deleteException(redisClient, prefix, fingerprint);
+    return { fingerprint, occurrences: purged.length, deleted: true };
+  }
+
+  const [newest] = await redisClient.zRange(timelineKey, 0, 0, { REV: true });
+  if (newest) {
+    const occurrence = JSON.parse(newest);
+    await redisClient.multi()
+      .hSet(key, { zipFile: occurrence.zipFile, timestamp: occurrence.timestamp, lastSeen: occurrence.timestamp })
+      .zAdd(prefix + SORT_INDEXES.lastSeen, [{ score: new Date(occurrence.timestamp).getTime(), value: fingerprint }])
+      .exec();
+  }
+  return { fingerprint, occurrences: purged.length, deleted: false };
+}
+
+/**
+ * Purge every occurrence stored for an upload or a customer
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {object} target - { uploadId } or { customer }
+ * @returns {{occurrences: number, exceptions: object[]}} What was purged, per exception
+ */
+async function purgeExceptions(redisClient, prefix, { uploadId, customer }) {
+  const ownerKey = uploadId ? uploadKey(prefix, uploadId) : customerKey(prefix, customer);
+  const matches = uploadId
+    ? occurrence => occurrence.uploadId === uploadId
+    : occurrence => customerOf(occurrence) === customer;
+  const now = Date.now();
+
+  const exceptions = [];
+  for (const fingerprint of await redisClient.sMembers(ownerKey)) {
+    const purged = await purgeOccurrences(redisClient, prefix, fingerprint, matches, now);
+    if (purged) {
+      exceptions.push(purged);
+    }
+  }
+  await redisClient.del(ownerKey);
+
+  return {
+    occurrences: exceptions.reduce((sum, purged) => sum + purged.occurrences, 0),
+    exceptions
+  };
+}
+
+module.exports = {
+  recordOwners,
+  purgeExceptions
+};
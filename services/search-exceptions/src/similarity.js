@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+
+// Words per shingle; longer shingles are stricter about word order
+const SHINGLE_SIZE = parseInt(process.env.SIMILARITY_SHINGLE_SIZE || '2', 10);
+// Shingles found in more exceptions than this (stack frame boilerplate and
+// the like) tell little apart, and reading them would read most of the index
+const MAX_SHINGLE_MEMBERS = parseInt(process.env.SIMILARITY_MAX_SHINGLE_MEMBERS || '1000', 10);
+
+/**
+ * Split normalized exception text into word tokens
+ * @param {string} normalized - Output of normalizeMessage
+ * @returns {string[]} Tokens
+ */
+function tokenize(normalized) {
+  return normalized.split(/[^\w<>$]+/).filter(Boolean);
+}
+
+/**
+ * Build the set of word shingles for a piece of normalized text
+ * @param {string} normalized - Output of normalizeMessage
+ * @returns {string[]} Distinct shingles
+ */
+function shingles(normalized) {
+  const tokens = tokenize(normalized);
+  const result = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    result.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return [...result];
+}
+
+/**
+ * Redis set key holding every fingerprint that contains a shingle
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} shingle - Shingle text
+ * @returns {string} Redis key
+ */
+function shingleKey(prefix, shingle) {
+  const digest = crypto.createHash('sha1').update(shingle).digest('hex').substring(0, 16);
+  return `${prefix}exceptions:shingle:${digest}`;
+}
+
+/**
+ * Add an exception to the shingle index
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {string} normalized - Normalized exception text
+ * @returns {Promise<number>} Number of shingles indexed
+ */
+async function indexException(redisClient, prefix, fingerprint, normalized) {
+  const docShingles = shingles(normalized);
+  if (docShingles.length === 0) {
+    return 0;
+  }
+
+  const multi = redisClient.multi();
+  for (const shingle of docShingles) {
+    multi.sAdd(shingleKey(prefix, shingle), fingerprint);
+  }
+  multi.hSet(`${prefix}exception:${fingerprint}`, 'shingleCount', docShingles.length.toString());
+  await multi.exec();
+
+  return docShingles.length;
+}
+
+/**
+ * Remove a deleted exception from the shingle index
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {string} normalized - Normalized exception text
+ */
+async function unindexException(redisClient, prefix, fingerprint, normalized) {
+  const docShingles = shingles(normalized);
+  if (docShingles.length === 0) {
+    return;
+  }
+
+  const multi = redisClient.multi();
+  for (const shingle of docShingles) {
+    multi.sRem(shingleKey(prefix, shingle), fingerprint);
+  }
+  await multi.exec();
+}
+
+/**
+ * Count the shingles each exception shares with a query by reading every
+ * exception indexed under them
+ * @param {object} redisClient - Connected Redis client
+ * @param {string[]} keys - Shingle keys of the query
+ * @returns {Promise<Map<string, number>>} Shared shingle count per fingerprint
+ */
+async function countShared(redisClient, keys) {
+  const multi = redisClient.multi();
+  for (const key of keys) {
+    multi.sMembers(key);
+  }
+  const memberLists = await multi.exec();
+
+  const overlap = new Map();
+  for (const members of memberLists) {
+    for (const hash of members) {
+      overlap.set(hash, (overlap.get(hash) || 0) + 1);
+    }
+  }
+  return overlap;
+}
+
+/**
+ * Count the shingles each exception shares with a query whose shingles are
+ * all common, for a random sample of the exceptions with its rarest shingle
+ * @param {object} redisClient - Connected Redis client
+ * @param {string[]} keys - Shingle keys of the query
+ * @param {number[]} sizes - Exceptions indexed under each key
+ * @returns {Promise<Map<string, number>>} Shared shingle count per sampled fingerprint
+ */
+async function countSharedSample(redisClient, keys, sizes) {
+  const rarest = keys[sizes.indexOf(Math.min(...sizes))];
+  const sample = await redisClient.sRandMemberCount(rarest, MAX_SHINGLE_MEMBERS);
+
+  const multi = redisClient.multi();
+  for (const key of keys) {
+    multi.smIsMember(key, sample);
+  }
+  const memberships = await multi.exec();
+
+  const overlap = new Map(sample.map(hash => [hash, 0]));
+  for (const found of memberships) {
+    sample.forEach((hash, i) => {
+      if (found[i]) {
+        overlap.set(hash, overlap.get(hash) + 1);
+      }
+    });
+  }
+  return overlap;
+}
+
+/**
+ * Rank stored exceptions by similarity to a query.
+ *
+ * Every stored exception sharing a shingle with the query is a candidate.
+ * `score` is the fraction of the query's shingles found in the exception,
+ * so partial pastes still rank highly; `jaccard` is the symmetric overlap
+ * and breaks ties in favour of closer matches.
+ *
+ * Shingles indexed for more than SIMILARITY_MAX_SHINGLE_MEMBERS exceptions
+ * are left out of both, so a search reads a bounded part of the index. When
+ * every shingle of the query is that common, a sample of the exceptions with
+ * the rarest one is scored instead.
+ *
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} normalized - Normalized query text
+ * @param {object} options
+ * @param {number} options.limit - Maximum matches to return
+ * @param {number} options.threshold - Minimum score (0-1) to include
+ * @returns {Promise<Array<{hash: string, score: number, jaccard: number}>>} Ranked matches
+ */
+async function findSimilar(redisClient, prefix, normalized, { limit, threshold }) {
+  const queryShingles = shingles(normalized);
+  if (queryShingles.length === 0) {
+    return [];
+  }
+
+  const keys = queryShingles.map(shingle => shingleKey(prefix, shingle));
+  const cardinalities = redisClient.multi();
+  for (const key of keys) {
+    cardinalities.sCard(key);
+  }
+  const sizes = (await cardinalities.exec()).map(Number);
+  const rareKeys = keys.filter((key, i) => sizes[i] <= MAX_SHINGLE_MEMBERS);
+
+  const overlap = rareKeys.length > 0
+    ? await countShared(redisClient, rareKeys)
+    : await countSharedSample(redisClient, keys, sizes);
+  const scoredShingles = rareKeys.length > 0 ? rareKeys.length : keys.length;
+
+  const candidates = [...overlap.entries()]
+    .map(([hash, shared]) => ({ hash, shared, score: shared / scoredShingles }))
+    .filter(candidate => candidate.score >= threshold);
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const docSizes = redisClient.multi();
+  for (const candidate of candidates) {
+    docSizes.hGet(`${prefix}exception:${candidate.hash}`, 'shingleCount');
+  }
+  const shingleCounts = await docSizes.exec();
+
+  return candidates
+    .map((candidate, i) => ({ ...candidate, shingleCount: shingleCounts[i] }))
+    // Skip index entries left behind by exceptions that are gone
+    .filter(candidate => candidate.shingleCount !== null)
+    .map((candidate) => {
+      const docSize = parseInt(candidate.shingleCount, 10) || candidate.shared;
+      const union = scoredShingles + docSize - candidate.shared;
+      return {
+        hash: candidate.hash,
+        score: round(candidate.score),
+        jaccard: round(candidate.shared / union)
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.jaccard - a.jaccard)
+    .slice(0, limit);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  SHINGLE_SIZE,
+  shingles,
+  indexException,
+  unindexException,
+  findSimilar
+};
@@ -0,0 +1,348 @@
+/**
+ * Parse stack traces from Java, .NET, Node.js and Python, and JSON log
+ * entries carrying one of those, into a common structure:
+ *
+ *   { format, type, message, frames: [{ function, module, file, line }], causes: [...] }
+ *
+ * Frames are ordered innermost (where the exception was thrown) first for
+ * every format. `causes` lists the exceptions that led to this one, from
+ * the direct cause down to the root cause, each with the same shape.
+ */
+
+const TYPE = String.raw`(?:[A-Za-z_$][\w$]*\.)*[\w$]*(?:Exception|Error|Throwable|Fault)`;
+
+// Exception header anywhere in the first line, e.g. after a log prefix
+const FIRST_HEADER = new RegExp(String.raw`(?:^|[\s:\]"])(?:Exception in thread "[^"]*" )?(${TYPE})(?::\s*(.*))?$`);
+
+// Header of a chained exception
+const CAUSE_HEADER = new RegExp(String.raw`^(?:Caused by:\s*|\[cause\]:\s*|--->\s*|Suppressed:\s*)(${TYPE})(?::\s*(.*))?$`);
+
+const JAVA_FRAME = /^at (?:([\w.$-]+(?:@[\w.-]+)?)\/\/?)?([\w$.<>]+)\((?:([\w$.-]+\.(?:java|kt|scala|groovy|clj)):(\d+)|Native Method|Unknown Source)\)(?:\s*~?\[([^\]:]+))?/;
+const NODE_FRAME = /^at (?:async )?(?:(.+?) \()?((?:[a-zA-Z]:)?[^():]+(?::[^():\d][^():]*)?):(\d+):(\d+)\)?$/;
+const DOTNET_FRAME = /^at (?:([\w.-]+\.(?:dll|exe))!)?([^(]+)\(([^)]*)\)(?: in (.+?):line (\d+))?/;
+const PYTHON_FRAME = /^File "([^"]+)", line (\d+), in (.+)$/;
+
+const PYTHON_TRACEBACK = /^Traceback \(most recent call last\):/;
+const PYTHON_EXCEPTION = /^([A-Za-z_][\w.]*)(?::\s*(.*))?$/;
+const PYTHON_EXCEPTION_NAME = /^[A-Za-z_][\w.]*(?:Error|Exception|Warning|Interrupt|Exit|Iteration)(?::|$)/;
+const DOTNET_INNER_END = /^--- End of inner exception stack trace ---/;
+
+/**
+ * Lowercase a module name and drop the binary/source extension so that
+ * "Billing.dll", "billing.jar" and the "Billing" namespace compare equal
+ * @param {string} module
+ * @returns {string}
+ */
+function normalizeModule(module) {
+  return module.toLowerCase().replace(/\.(dll|exe|jar|js|mjs|cjs|ts|py|cs)$/, '');
+}
+
+/**
+ * Every module name a frame can be found under: the explicit module plus
+ * each enclosing namespace/package prefix
+ * @param {object} frame - Parsed frame
+ * @returns {string[]} Normalized module names
+ */
+function moduleAliases(frame) {
+  if (!frame.module) {
+    return [];
+  }
+  const normalized = normalizeModule(frame.module);
+  const segments = normalized.split('.');
+  const aliases = new Set([normalized]);
+  for (let i = 1; i < segments.length; i++) {
+    aliases.add(segments.slice(0, i).join('.'));
+  }
+  return [...aliases];
+}
+
+/**
+ * Enclosing namespace of a qualified Type.method name
+ * @param {string} qualified - e.g. com.acme.Billing.total
+ * @returns {string|null}
+ */
+function namespaceOf(qualified) {
+  const segments = qualified.split('.');
+  if (segments.length <= 1) {
+    return null;
+  }
+  return segments.slice(0, Math.max(1, segments.length - 2)).join('.');
+}
+
+/**
+ * Module of a Node.js or Python source file: the installed package it
+ * belongs to, or the file's base name
+ * @param {string} file
+ * @returns {string}
+ */
+function moduleOfFile(file) {
+  const pkg = file.match(/(?:node_modules|site-packages|dist-packages)[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/);
+  if (pkg) {
+    return pkg[1].replace(/\\/g, '/');
+  }
+  if (file.startsWith('node:')) {
+    return 'node';
+  }
+  return file.split(/[\\/]/).pop().replace(/\.\w+$/, '');
+}
+
+/**
+ * Parse one Java, .NET or Node.js "at ..." frame line
+ * @param {string} line - Trimmed line
+ * @returns {object|null} Frame and the format it was recognised as
+ */
+function parseAtFrame(line) {
+  let match;
+  if ((match = line.match(JAVA_FRAME))) {
+    return {
+      format: 'java',
+      frame: {
+        function: match[2],
+        module: match[5] || match[1] || namespaceOf(match[2]),
+        file: match[3] || null,
+        line: match[4] ? parseInt(match[4], 10) : null
+      }
+    };
+  }
+  if ((match = line.match(NODE_FRAME))) {
+    return {
+      format: 'node',
+      frame: {
+        function: match[1] || '<anonymous>',
+        module: moduleOfFile(match[2]),
+        file: match[2],
+        line: parseInt(match[3], 10)
+      }
+    };
+  }
+  if ((match = line.match(DOTNET_FRAME))) {
+    const fn = match[2].trim();
+    return {
+      format: 'dotnet',
+      frame: {
+        function: fn,
+        module: match[1] || namespaceOf(fn),
+        file: match[4] || null,
+        line: match[5] ? parseInt(match[5], 10) : null
+      }
+    };
+  }
+  return null;
+}
+
+function createException(type, message) {
+  return { type, message: (message || '').trim(), frames: [] };
+}
+
+/**
+ * Parse a Python traceback, including chained tracebacks
+ * @param {string[]} lines - Trimmed lines
+ * @returns {object|null}
+ */
+function parsePython(lines) {
+  const tracebacks = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+    if (PYTHON_TRACEBACK.test(line)) {
+      current = createException(null, '');
+      tracebacks.push(current);
+    } else if (current && (match = line.match(PYTHON_FRAME))) {
+      current.frames.push({
+        function: match[3],
+        module: moduleOfFile(match[1]),
+        file: match[1],
+        line: parseInt(match[2], 10)
+      });
+      // The next line echoes the source, unless it was unavailable
+      const next = lines[i + 1];
+      if (next && !PYTHON_FRAME.test(next) && !PYTHON_EXCEPTION_NAME.test(next)) {
+        i++;
+      }
+    } else if (current && !current.type && current.frames.length > 0 && (match = line.match(PYTHON_EXCEPTION))) {
+      current.type = match[1];
+      current.message = (match[2] || '').trim();
+    }
+  }
+
+  const complete = tracebacks.filter(tb => tb.type);
+  if (complete.length === 0) {
+    return null;
+  }
+
+  // Python prints frames outermost first and chained tracebacks root cause first
+  complete.forEach(tb => tb.frames.reverse());
+  complete.reverse();
+  const [top, ...causes] = complete;
+  return { format: 'python', ...top, causes };
+}
+
+/**
+ * Parse Java, .NET or Node.js traces
+ * @param {string[]} lines - Trimmed lines
+ * @returns {object|null}
+ */
+function parseAtStyle(lines) {
+  const chain = [];
+  let current = null;
+  let format = null;
+  // .NET prints inner exception frames first, separated by end markers
+  const segments = [[]];
+
+  for (const line of lines) {
+    let match;
+    if ((match = line.match(CAUSE_HEADER)) && chain.length > 0) {
+      current = createException(match[1], match[2]);
+      chain.push(current);
+      continue;
+    }
+    if (chain.length === 0 && (match = line.match(FIRST_HEADER))) {
+      // .NET Framework puts the whole chain on one line
+      const [outer, ...inner] = line.slice(match.index).split(/\s+--->\s+/);
+      for (const part of [outer, ...inner]) {
+        const header = part.match(FIRST_HEADER);
+        if (header) {
+          chain.push(createException(header[1], header[2]));
+        }
+      }
+      current = chain[0];
+      continue;
+    }
+    if (DOTNET_INNER_END.test(line)) {
+      format = 'dotnet';
+      segments.push([]);
+      continue;
+    }
+    const parsed = /^at\s/.test(line) ? parseAtFrame(line) : null;
+    if (parsed) {
+      format = format === 'dotnet' ? format : parsed.format;
+      segments[segments.length - 1].push(parsed.frame);
+      if (current && format !== 'dotnet') {
+        current.frames.push(parsed.frame);
+      }
+    }
+  }
+
+  if (chain.length === 0) {
+    // Bare frames, e.g. the stack field of a JSON log entry
+    const frames = segments.flat();
+    return frames.length > 0 ? { format, type: null, message: '', frames, causes: [] } : null;
+  }
+
+  if (format === 'dotnet') {
+    // Inner-most exception's frames come first; the outer exception's last
+    chain.forEach(exception => { exception.frames = []; });
+    const ordered = [...chain].reverse();
+    segments.forEach((frames, i) => {
+      const owner = ordered[Math.min(i + Math.max(0, ordered.length - segments.length), ordered.length - 1)];
+      owner.frames.push(...frames);
+    });
+  }
+
+  const [top, ...causes] = chain;
+  return { format: format || 'text', ...top, causes };
+}
+
+/**
+ * Find the error object in a structured (JSON) log entry
+ * @param {object} entry - Parsed JSON log entry
+ * @returns {object|string|null}
+ */
+function findJsonError(entry) {
+  const candidates = [
+    entry.exception, entry.Exception, entry['@x'], entry.error, entry.err, entry.exc_info,
+    entry['error.stack_trace'], entry.stack_trace, entry.stackTrace, entry.stack
+  ];
+  return candidates.find(value => value && (typeof value === 'string' || typeof value === 'object')) || null;
+}
+
+/**
+ * The first of some log entry fields that is a non-empty string; other
+ * values (numbers, objects) can't be a type or message
+ * @param {...*} values
+ * @returns {string|undefined}
+ */
+function firstString(...values) {
+  return values.find(value => typeof value === 'string' && value);
+}
+
+/**
+ * Parse a JSON log entry that carries an exception
+ * @param {string} text - Raw text
+ * @returns {object|null}
+ */
+function parseJson(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) {
+    return null;
+  }
+
+  let entry;
+  try {
+    entry = JSON.parse(trimmed);
+  } catch {
+    return null;
+  }
+
+  const error = findJsonError(entry);
+  const logMessage = firstString(entry.message, entry.msg) || '';
+
+  if (typeof error === 'string') {
+    const parsed = parseText(error);
+    return parsed ? { ...parsed, format: 'json' } : null;
+  }
+
+  const fields = error || {};
+  const stack = fields.stack || fields.stack_trace || fields.stackTrace || fields.stacktrace || fields.trace
+    || entry['error.stack_trace'];
+  const stackText = Array.isArray(stack)
+    ? stack.map(frame => (typeof frame === 'string' ? frame : JSON.stringify(frame))).join('\n')
+    : stack;
+  const parsed = typeof stackText === 'string' ? parseText(stackText) : null;
+
+  const type = firstString(fields.type, fields.class, fields.name, fields.kind, entry['error.type'])
+    || (parsed && parsed.type);
+  if (!type) {
+    return null;
+  }
+
+  return {
+    format: 'json',
+    type,
+    message: firstString(fields.message, fields.msg, entry['error.message']) || (parsed && parsed.message) || logMessage,
+    frames: parsed ? parsed.frames : [],
+    causes: parsed ? parsed.causes : []
+  };
+}
+
+/**
+ * Parse plain-text stack traces
+ * @param {string} text - Raw text
+ * @returns {object|null} Parsed exception; `type` is null for bare frames
+ */
+function parseText(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.some(line => PYTHON_TRACEBACK.test(line))) {
+    return parsePython(lines);
+  }
+  return parseAtStyle(lines);
+}
+
+/**
+ * Parse an exception into type, message, frames and cause chain
+ * @param {string} text - Raw exception text
+ * @returns {{format: string, type: string, message: string, frames: object[], causes: object[]}|null}
+ *   Parsed exception, or null if no exception type could be found
+ */
+function parseStackTrace(text) {
+  const parsed = parseJson(text) || parseText(text);
+  return parsed && parsed.type ? parsed : null;
+}
+
+module.exports = {
+  parseStackTrace,
+  normalizeModule,
+  moduleAliases
+};
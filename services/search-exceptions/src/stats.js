@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Occurrences are counted per UTC hour and per UTC day. Each bucket is a
+ * sorted set of fingerprint -> occurrences in that bucket, with a total
+ * alongside it, and expires after the granularity's retention.
+ */
+const GRANULARITIES = {
+  hour: {
+    ms: HOUR_MS,
+    idLength: 13, // 2026-10-19T18
+    retentionMs: parseInt(process.env.STATS_HOURLY_RETENTION_DAYS || '8', 10) * DAY_MS
+  },
+  day: {
+    ms: DAY_MS,
+    idLength: 10, // 2026-10-19
+    retentionMs: parseInt(process.env.STATS_DAILY_RETENTION_DAYS || '400', 10) * DAY_MS
+  }
+};
+
+// An hour is a spike when it has at least SPIKE_MIN_OCCURRENCES occurrences
+// and SPIKE_FACTOR times the hourly average of the SPIKE_BASELINE_HOURS before it
+const SPIKE_FACTOR = parseFloat(process.env.SPIKE_FACTOR || '5');
+const SPIKE_MIN_OCCURRENCES = parseInt(process.env.SPIKE_MIN_OCCURRENCES || '10', 10);
+const SPIKE_BASELINE_HOURS = parseInt(process.env.SPIKE_BASELINE_HOURS || '24', 10);
+
+// Buckets returned in an exception's trend
+const TREND_HOURS = 24;
+const TREND_DAYS = 30;
+
+// Windows are written as a number and a unit, e.g. 24h or 7d
+const WINDOW_PATTERN = /^(\d+)([hd])$/;
+
+// Window totals are unioned into a temporary sorted set, which expires on
+// its own if the request dies before deleting it
+const RESULT_TTL_SECONDS = 60;
+
+/**
+ * @param {number} time - Milliseconds
+ * @param {string} granularity - hour or day
+ * @returns {number} Start of the bucket the time falls in
+ */
+function bucketStart(time, granularity) {
+  const { ms } = GRANULARITIES[granularity];
+  return Math.floor(time / ms) * ms;
+}
+
+/**
+ * @param {number} time - Milliseconds
+ * @param {string} granularity - hour or day
+ * @returns {string} Bucket id, e.g. 2026-10-19T18 or 2026-10-19
+ */
+function bucketId(time, granularity) {
+  return new Date(time).toISOString().slice(0, GRANULARITIES[granularity].idLength);
+}
+
+/**
+ * @param {string} prefix - Tenant key prefix
+ * @param {number} time - Milliseconds
+ * @param {string} granularity - hour or day
+ * @returns {string} Sorted set of fingerprint occurrences in the bucket
+ */
+function bucketKey(prefix, time, granularity) {
+  return `${prefix}exceptions:${granularity}:${bucketId(time, granularity)}`;
+}
+
+/**
+ * Start of each bucket from the one containing `from` to the one containing `to`
+ * @param {number} from - Milliseconds
+ * @param {number} to - Milliseconds
+ * @param {string} granularity - hour or day
+ * @returns {number[]}
+ */
+function bucketRange(from, to, granularity) {
+  const starts = [];
+  for (let start = bucketStart(from, granularity); start <= to; start += GRANULARITIES[granularity].ms) {
+    starts.push(start);
+  }
+  return starts;
+}
+
+/**
+ * Queue the bucket counts for one stored occurrence
+ * @param {object} multi - Redis MULTI the writes are added to
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {number} time - Occurrence time in milliseconds
+ * @returns {object} The MULTI, for chaining
+ */
+function recordBuckets(multi, prefix, fingerprint, time) {
+  for (const [granularity, { retentionMs }] of Object.entries(GRANULARITIES)) {
+    const key = bucketKey(prefix, time, granularity);
+    const expiresAt = Math.ceil((bucketStart(time, granularity) + retentionMs) / 1000);
+    multi
+      .zIncrBy(key, 1, fingerprint)
+      .incr(`${key}:total`)
+      .expireAt(key, expiresAt)
+      .expireAt(`${key}:total`, expiresAt);
+  }
+  return multi;
+}
+
+/**
+ * Queue taking a purged occurrence back out of its bucket counts. Buckets
+ * that have already expired are left alone.
+ * @param {object} multi - Redis MULTI the writes are added to
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {number} time - Occurrence time in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {object} The MULTI, for chaining
+ */
+function removeFromBuckets(multi, prefix, fingerprint, time, now) {
+  for (const [granularity, { retentionMs }] of Object.entries(GRANULARITIES)) {
+    if (bucketStart(time, granularity) + retentionMs <= now) {
+      continue;
+    }
+    const key = bucketKey(prefix, time, granularity);
+    multi
+      .zIncrBy(key, -1, fingerprint)
+      .zRemRangeByScore(key, '-inf', 0)
+      .decr(`${key}:total`);
+  }
+  return multi;
+}
+
+/**
+ * Check whether an exception's occurrences this hour are a spike. A spike is
+ * only reported once per exception per hour.
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {number} time - Time of the latest occurrence in milliseconds
+ * @returns {object|null} { hour, occurrences, baseline, factor }, or null
+ */
+async function detectSpike(redisClient, prefix, fingerprint, time) {
+  const hours = bucketRange(time - SPIKE_BASELINE_HOURS * HOUR_MS, time, 'hour');
+  const reads = redisClient.multi();
+  hours.forEach(start => reads.zScore(bucketKey(prefix, start, 'hour'), fingerprint));
+  const scores = (await reads.exec()).map(score => score || 0);
+
+  const occurrences = scores.pop();
+  const baseline = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  if (occurrences < SPIKE_MIN_OCCURRENCES || occurrences < SPIKE_FACTOR * Math.max(baseline, 1)) {
+    return null;
+  }
+
+  const hour = bucketId(time, 'hour');
+  const first = await redisClient.set(`${prefix}exception:${fingerprint}:spike:${hour}`, hour, { NX: true, EX: 2 * HOUR_MS / 1000 });
+  if (!first) {
+    return null;
+  }
+
+  return {
+    hour,
+    occurrences,
+    baseline: Math.round(baseline * 100) / 100,
+    factor: Math.round((occurrences / Math.max(baseline, 1)) * 10) / 10
+  };
+}
+
+/**
+ * An exception's occurrences in each of the last TREND_HOURS hours and TREND_DAYS days
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {string} fingerprint - Exception fingerprint
+ * @param {number} now - Milliseconds
+ * @returns {{hourly: object[], daily: object[]}} Buckets as { bucket, occurrences }, oldest first
+ */
+async function getTrend(redisClient, prefix, fingerprint, now) {
+  const hours = bucketRange(now - (TREND_HOURS - 1) * HOUR_MS, now, 'hour');
+  const days = bucketRange(now - (TREND_DAYS - 1) * DAY_MS, now, 'day');
+  const reads = redisClient.multi();
+  hours.forEach(start => reads.zScore(bucketKey(prefix, start, 'hour'), fingerprint));
+  days.forEach(start => reads.zScore(bucketKey(prefix, start, 'day'), fingerprint));
+  const scores = await reads.exec();
+
+  const series = (starts, granularity, offset) => starts.map((start, i) => ({
+    bucket: bucketId(start, granularity),
+    occurrences: scores[offset + i] || 0
+  }));
+
+  return {
+    hourly: series(hours, 'hour', 0),
+    daily: series(days, 'day', hours.length)
+  };
+}
+
+/**
+ * Parse a stats window and pick its granularity
+ * @param {string} window - e.g. 24h or 7d
+ * @param {string} [granularity] - hour or day; defaults to hour for windows up to 48h
+ * @returns {{windowMs: number, granularity: string}|{error: string}}
+ */
+function parseWindow(window, granularity) {
+  const match = WINDOW_PATTERN.exec(window);
+  if (!match || parseInt(match[1], 10) < 1) {
+    return { error: 'window must be a number of hours or days, e.g. 24h or 7d' };
+  }
+  const windowMs = parseInt(match[1], 10) * (match[2] === 'h' ? HOUR_MS : DAY_MS);
+  const resolved = granularity || (windowMs <= 2 * DAY_MS ? 'hour' : 'day');
+
+  if (!GRANULARITIES[resolved]) {
+    return { error: `granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}` };
+  }
+  if (windowMs < GRANULARITIES[resolved].ms) {
+    return { error: `window must be at least one ${resolved}` };
+  }
+  if (windowMs > GRANULARITIES[resolved].retentionMs) {
+    return { error: `${resolved} buckets are kept for ${GRANULARITIES[resolved].retentionMs / DAY_MS} days; use a shorter window` };
+  }
+  return { windowMs, granularity: resolved };
+}
+
+/**
+ * Occurrence totals, the new-vs-recurring breakdown and the top exceptions
+ * over a window. The window is aligned to whole buckets and ends with the
+ * current one. An exception is new if it was first seen in the window.
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} prefix - Tenant key prefix
+ * @param {object} options - { windowMs, granularity, top, now }
+ * @returns {object} Stats
+ */
+async function getStats(redisClient, prefix, { windowMs, granularity, top, now }) {
+  const starts = bucketRange(now - windowMs + GRANULARITIES[granularity].ms, now, granularity);
+  const from = starts[0];
+  const keys = starts.map(start => bucketKey(prefix, start, granularity));
+  const unionKey = `${prefix}exceptions:stats:${crypto.randomUUID()}`;
+
+  try {
+    const reads = redisClient.multi()
+      .zUnionStore(unionKey, keys)
+      .expire(unionKey, RESULT_TTL_SECONDS)
+      .zRangeWithScores(unionKey, 0, top - 1, { REV: true })
+      .zRangeByScore(`${prefix}exceptions:all`, from, now);
+    keys.forEach(key => reads.get(`${key}:total`));
+    starts.forEach(start => reads.zCount(`${prefix}exceptions:all`, start, start + GRANULARITIES[granularity].ms - 1));
+    const [uniqueExceptions, , topExceptions, newFingerprints, ...bucketReplies] = await reads.exec();
+    const totals = bucketReplies.slice(0, starts.length).map(total => parseInt(total, 10) || 0);
+    const firstSeenCounts = bucketReplies.slice(starts.length);
+
+    const details = redisClient.multi();
+    newFingerprints.forEach(fingerprint => details.zScore(unionKey, fingerprint));
+    topExceptions.forEach(({ value }) => {
+      details.hmGet(`${prefix}exception:${value}`, ['exceptionType', 'exceptionMessage', 'firstSeen', 'lastSeen', 'timestamp']);
+      details.get(`${prefix}exception:${value}:count`);
+    });
+    const detailReplies = newFingerprints.length + topExceptions.length > 0 ? await details.exec() : [];
+
+    const newSet = new Set(newFingerprints);
+    const occurrences = totals.reduce((sum, total) => sum + total, 0);
+    const newOccurrences = detailReplies
+      .slice(0, newFingerprints.length)
+      .reduce((sum, score) => sum + (score || 0), 0);
+    const topReplies = detailReplies.slice(newFingerprints.length);
+
+    return {
+      window: {
+        from: new Date(from).toISOString(),
+        to: new Date(now).toISOString(),
+        granularity,
+        buckets: starts.length
+      },
+      occurrences,
+      uniqueExceptions,
+      new: { exceptions: newFingerprints.length, occurrences: newOccurrences },
+      recurring: { exceptions: uniqueExceptions - newFingerprints.length, occurrences: occurrences - newOccurrences },
+      series: starts.map((start, i) => ({
+        bucket: bucketId(start, granularity),
+        occurrences: totals[i],
+        newExceptions: firstSeenCounts[i]
+      })),
+      top: topExceptions.map(({ value, score }, i) => {
+        const [exceptionType, exceptionMessage, firstSeen, lastSeen, timestamp] = topReplies[i * 2];
+        return {
+          hash: value,
+          occurrences: score,
+          totalCount: parseInt(topReplies[i * 2 + 1], 10) || 0,
+          isNew: newSet.has(value),
+          exceptionType,
+          exceptionMessage,
+          firstSeen: firstSeen || timestamp,
+          lastSeen: lastSeen || timestamp
+        };
+      })
+    };
+  } finally {
+    await redisClient.del(unionKey);
+  }
+}
+
+module.exports = {
+  recordBuckets,
+  removeFromBuckets,
+  detectSpike,
+  getTrend,
+  parseWindow,
+  getStats
+};
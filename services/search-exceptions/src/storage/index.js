@@ -0,0 +1,43 @@
+const path = require('path');
+const redis = require('redis');
+const { createMemoryClient } = require('./memory');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const STORE_FILE = process.env.EXCEPTION_STORE_FILE
+  ? path.resolve(__dirname, '..', '..', process.env.EXCEPTION_STORE_FILE)
+  : null;
+
+/**
+ * Storage backends by name. Both return a client with the node-redis v4
+ * API, which is what the rest of the service is written against:
+ *   redis  - the Redis server at REDIS_URL
+ *   memory - kept in this process, and in EXCEPTION_STORE_FILE if set
+ */
+const STORAGE_TYPES = {
+  redis: () => redis.createClient({
+    url: REDIS_URL,
+    socket: {
+      reconnectStrategy: (retries) => Math.min(retries * 50, 500)
+    }
+  }),
+  memory: () => createMemoryClient({ file: STORE_FILE })
+};
+
+/**
+ * Create the (not yet connected) client exceptions are stored with
+ * @param {string} type - Backend name: redis or memory
+ * @returns {object} node-redis compatible client
+ */
+function createStorage(type) {
+  const factory = STORAGE_TYPES[type];
+  if (!factory) {
+    throw new Error(`Unknown exception store "${type}": use one of ${Object.keys(STORAGE_TYPES).join(', ')}`);
+  }
+  return factory();
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  STORE_FILE,
+  createStorage
+};
@@ -0,0 +1,560 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// How long after a change the snapshot file is written
+const SNAPSHOT_DELAY_MS = 1000;
+// How often keys past their expiry are dropped
+const EXPIRY_SWEEP_INTERVAL_MS = 60000;
+
+class WrongTypeError extends Error {
+  constructor() {
+    super('WRONGTYPE Operation against a key holding the wrong kind of value');
+    this.name = 'WrongTypeError';
+  }
+}
+
+function parseInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new Error('ERR value is not an integer or out of range');
+  }
+  return number;
+}
+
+/**
+ * Parse a sorted set score bound: a number, -inf, +inf, or ( for exclusive
+ * @param {number|string} bound
+ * @returns {{value: number, exclusive: boolean}}
+ */
+function parseBound(bound) {
+  const text = String(bound);
+  const exclusive = text.startsWith('(');
+  const value = exclusive ? text.slice(1) : text;
+  if (value === '-inf') {
+    return { value: -Infinity, exclusive };
+  }
+  if (value === '+inf' || value === 'inf') {
+    return { value: Infinity, exclusive };
+  }
+  return { value: Number(value), exclusive };
+}
+
+function aboveMin(score, min) {
+  return min.exclusive ? score > min.value : score >= min.value;
+}
+
+function belowMax(score, max) {
+  return max.exclusive ? score < max.value : score <= max.value;
+}
+
+/**
+ * Start and stop indexes as Redis reads them: negative counts from the end
+ * @returns {number[]} [start, end) to slice with
+ */
+function sliceRange(length, start, stop) {
+  const from = Math.max(start < 0 ? length + start : start, 0);
+  const to = Math.min(stop < 0 ? length + stop : stop, length - 1);
+  return from > to ? [0, 0] : [from, to + 1];
+}
+
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+function encodeScore(score) {
+  return Number.isFinite(score) ? score : (score > 0 ? '+inf' : '-inf');
+}
+
+/**
+ * In-memory store with the node-redis v4 API for the commands this service
+ * uses, for tests and for running without Redis. Commands run synchronously,
+ * so a MULTI is applied as a whole like a Redis transaction.
+ *
+ * With a file, the data is loaded on connect and written back shortly after
+ * each change, so it survives restarts; without one it is lost on exit.
+ * @param {object} [options]
+ * @param {string} [options.file] - Snapshot file
+ * @returns {object} Client
+ */
+function createMemoryClient({ file } = {}) {
+  // key -> { type: string|hash|set|zset, value, expiresAt: ms|null }
+  const data = new Map();
+  let snapshotTimer = null;
+  let sweepTimer = null;
+
+  function live(key) {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  function read(key, type) {
+    const entry = live(key);
+    if (entry && entry.type !== type) {
+      throw new WrongTypeError();
+    }
+    return entry;
+  }
+
+  function readOrCreate(key, type, empty) {
+    const entry = read(key, type);
+    if (entry) {
+      return entry;
+    }
+    const created = { type, value: empty(), expiresAt: null };
+    data.set(key, created);
+    return created;
+  }
+
+  // Collections left empty are removed, as in Redis
+  function dropIfEmpty(key, entry) {
+    if (entry && entry.value.size === 0) {
+      data.delete(key);
+    }
+  }
+
+  function changed() {
+    if (file && !snapshotTimer) {
+      snapshotTimer = setTimeout(saveSnapshot, SNAPSHOT_DELAY_MS);
+    }
+  }
+
+  function sortedEntries(key) {
+    const entry = read(key, 'zset');
+    if (!entry) {
+      return [];
+    }
+    return [...entry.value.entries()].sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  }
+
+  function readAsZset(key) {
+    const entry = live(key);
+    if (!entry) {
+      return new Map();
+    }
+    if (entry.type === 'set') {
+      return new Map([...entry.value].map(member => [member, 1]));
+    }
+    if (entry.type !== 'zset') {
+      throw new WrongTypeError();
+    }
+    return entry.value;
+  }
+
+  function storeZset(destination, members) {
+    data.delete(destination);
+    if (members.size > 0) {
+      data.set(destination, { type: 'zset', value: members, expiresAt: null });
+    }
+    changed();
+    return members.size;
+  }
+
+  function setExpiry(key, expiresAt) {
+    const entry = live(key);
+    if (!entry) {
+      return false;
+    }
+    entry.expiresAt = expiresAt;
+    if (expiresAt <= Date.now()) {
+      data.delete(key);
+    }
+    changed();
+    return true;
+  }
+
+  function incrementBy(key, amount) {
+    const entry = read(key, 'string');
+    const value = (entry ? parseInteger(entry.value) : 0) + amount;
+    if (entry) {
+      entry.value = String(value);
+    } else {
+      data.set(key, { type: 'string', value: String(value), expiresAt: null });
+    }
+    changed();
+    return value;
+  }
+
+  const commands = {
+    ping: () => 'PONG',
+
+    get(key) {
+      const entry = read(key, 'string');
+      return entry ? entry.value : null;
+    },
+    set(key, value, options = {}) {
+      const existing = live(key);
+      if ((options.NX && existing) || (options.XX && !existing)) {
+        return null;
+      }
+      let expiresAt = options.KEEPTTL && existing ? existing.expiresAt : null;
+      if (options.EX) {
+        expiresAt = Date.now() + options.EX * 1000;
+      } else if (options.PX) {
+        expiresAt = Date.now() + options.PX;
+      }
+      data.set(key, { type: 'string', value: String(value), expiresAt });
+      changed();
+      return 'OK';
+    },
+    incr: key => incrementBy(key, 1),
+    decr: key => incrementBy(key, -1),
+    incrBy: (key, amount) => incrementBy(key, parseInteger(amount)),
+    decrBy: (key, amount) => incrementBy(key, -parseInteger(amount)),
+
+    hSet(key, field, value) {
+      const entry = readOrCreate(key, 'hash', () => new Map());
+      const fields = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+      let added = 0;
+      for (const [name, fieldValue] of fields) {
+        added += entry.value.has(name) ? 0 : 1;
+        entry.value.set(name, String(fieldValue));
+      }
+      changed();
+      return added;
+    },
+    hSetNX(key, field, value) {
+      const entry = readOrCreate(key, 'hash', () => new Map());
+      if (entry.value.has(field)) {
+        return false;
+      }
+      entry.value.set(field, String(value));
+      changed();
+      return true;
+    },
+    hGet(key, field) {
+      const entry = read(key, 'hash');
+      return entry && entry.value.has(field) ? entry.value.get(field) : null;
+    },
+    hGetAll(key) {
+      const entry = read(key, 'hash');
+      return entry ? Object.fromEntries(entry.value) : {};
+    },
+    hmGet(key, fields) {
+      const entry = read(key, 'hash');
+      return [].concat(fields).map(field => (entry && entry.value.has(field) ? entry.value.get(field) : null));
+    },
+    hIncrBy(key, field, amount) {
+      const entry = readOrCreate(key, 'hash', () => new Map());
+      const value = parseInteger(entry.value.get(field) || 0) + parseInteger(amount);
+      entry.value.set(field, String(value));
+      changed();
+      return value;
+    },
+    hDel(key, fields) {
+      const entry = read(key, 'hash');
+      if (!entry) {
+        return 0;
+      }
+      const removed = [].concat(fields).filter(field => entry.value.delete(field)).length;
+      dropIfEmpty(key, entry);
+      changed();
+      return removed;
+    },
+
+    sAdd(key, members) {
+      const entry = readOrCreate(key, 'set', () => new Set());
+      const added = [].concat(members).map(String).filter(member => !entry.value.has(member) && entry.value.add(member)).length;
+      changed();
+      return added;
+    },
+    sRem(key, members) {
+      const entry = read(key, 'set');
+      if (!entry) {
+        return 0;
+      }
+      const removed = [].concat(members).map(String).filter(member => entry.value.delete(member)).length;
+      dropIfEmpty(key, entry);
+      changed();
+      return removed;
+    },
+    sMembers(key) {
+      const entry = read(key, 'set');
+      return entry ? [...entry.value] : [];
+    },
+    sCard(key) {
+      const entry = read(key, 'set');
+      return entry ? entry.value.size : 0;
+    },
+    smIsMember(key, members) {
+      const entry = read(key, 'set');
+      return [].concat(members).map(member => Boolean(entry && entry.value.has(String(member))));
+    },
+    // Distinct members picked at random, as SRANDMEMBER with a positive count
+    sRandMemberCount(key, count) {
+      const entry = read(key, 'set');
+      const members = entry ? [...entry.value] : [];
+      const picked = Math.min(parseInteger(count), members.length);
+      for (let i = 0; i < picked; i++) {
+        const j = i + Math.floor(Math.random() * (members.length - i));
+        [members[i], members[j]] = [members[j], members[i]];
+      }
+      return members.slice(0, picked);
+    },
+
+    zAdd(key, members, options = {}) {
+      const entry = readOrCreate(key, 'zset', () => new Map());
+      let added = 0;
+      for (const { score, value } of [].concat(members)) {
+        const member = String(value);
+        const exists = entry.value.has(member);
+        if ((options.NX && exists) || (options.XX && !exists)) {
+          continue;
+        }
+        added += exists ? 0 : 1;
+        entry.value.set(member, Number(score));
+      }
+      dropIfEmpty(key, entry);
+      changed();
+      return added;
+    },
+    zIncrBy(key, increment, member) {
+      const entry = readOrCreate(key, 'zset', () => new Map());
+      const score = (entry.value.get(String(member)) || 0) + Number(increment);
+      entry.value.set(String(member), score);
+      changed();
+      return score;
+    },
+    zRem(key, members) {
+      const entry = read(key, 'zset');
+      if (!entry) {
+        return 0;
+      }
+      const removed = [].concat(members).map(String).filter(member => entry.value.delete(member)).length;
+      dropIfEmpty(key, entry);
+      changed();
+      return removed;
+    },
+    zCard(key) {
+      const entry = read(key, 'zset');
+      return entry ? entry.value.size : 0;
+    },
+    zScore(key, member) {
+      const entry = read(key, 'zset');
+      return entry && entry.value.has(String(member)) ? entry.value.get(String(member)) : null;
+    },
+    zRank(key, member) {
+      const index = sortedEntries(key).findIndex(([candidate]) => candidate === String(member));
+      return index < 0 ? null : index;
+    },
+    zRevRank(key, member) {
+      const index = sortedEntries(key).reverse().findIndex(([candidate]) => candidate === String(member));
+      return index < 0 ? null : index;
+    },
+    zRange(key, start, stop, options = {}) {
+      return commands.zRangeWithScores(key, start, stop, options).map(({ value }) => value);
+    },
+    zRangeWithScores(key, start, stop, options = {}) {
+      const entries = sortedEntries(key);
+      if (options.REV) {
+        entries.reverse();
+      }
+      return entries.slice(...sliceRange(entries.length, Number(start), Number(stop)))
+        .map(([value, score]) => ({ value, score }));
+    },
+    zRangeByScore(key, min, max, options = {}) {
+      const [low, high] = [parseBound(min), parseBound(max)];
+      const members = sortedEntries(key)
+        .filter(([, score]) => aboveMin(score, low) && belowMax(score, high))
+        .map(([member]) => member);
+      return options.LIMIT ? members.slice(options.LIMIT.offset, options.LIMIT.offset + options.LIMIT.count) : members;
+    },
+    zCount(key, min, max) {
+      const [low, high] = [parseBound(min), parseBound(max)];
+      return sortedEntries(key).filter(([, score]) => aboveMin(score, low) && belowMax(score, high)).length;
+    },
+    zRemRangeByScore(key, min, max) {
+      const entry = read(key, 'zset');
+      if (!entry) {
+        return 0;
+      }
+      const [low, high] = [parseBound(min), parseBound(max)];
+      let removed = 0;
+      for (const [member, score] of [...entry.value]) {
+        if (aboveMin(score, low) && belowMax(score, high)) {
+          entry.value.delete(member);
+          removed++;
+        }
+      }
+      dropIfEmpty(key, entry);
+      changed();
+      return removed;
+    },
+    zRemRangeByRank(key, start, stop) {
+      const entries = sortedEntries(key);
+      const doomed = entries.slice(...sliceRange(entries.length, Number(start), Number(stop)));
+      const entry = read(key, 'zset');
+      doomed.forEach(([member]) => entry.value.delete(member));
+      dropIfEmpty(key, entry);
+      changed();
+      return doomed.length;
+    },
+    // Sets count as sorted sets with every score 1. Scores are summed.
+    zInterStore(destination, keys, options = {}) {
+      const weights = options.WEIGHTS || keys.map(() => 1);
+      const [first, ...rest] = keys.map(readAsZset);
+      const members = new Map();
+      for (const [member, score] of first) {
+        if (rest.every(set => set.has(member))) {
+          members.set(member, rest.reduce((sum, set, i) => sum + set.get(member) * weights[i + 1], score * weights[0]));
+        }
+      }
+      return storeZset(destination, members);
+    },
+    zUnionStore(destination, keys, options = {}) {
+      const weights = options.WEIGHTS || keys.map(() => 1);
+      const members = new Map();
+      keys.map(readAsZset).forEach((set, i) => {
+        for (const [member, score] of set) {
+          members.set(member, (members.get(member) || 0) + score * weights[i]);
+        }
+      });
+      return storeZset(destination, members);
+    },
+
+    del(keys) {
+      const removed = [].concat(keys).filter(key => live(key) && data.delete(key)).length;
+      changed();
+      return removed;
+    },
+    exists(keys) {
+      return [].concat(keys).filter(key => live(key)).length;
+    },
+    type(key) {
+      const entry = live(key);
+      return entry ? entry.type : 'none';
+    },
+    keys(pattern) {
+      const matcher = globToRegExp(pattern);
+      return [...data.keys()].filter(key => matcher.test(key) && live(key));
+    },
+    expire: (key, seconds) => setExpiry(key, Date.now() + seconds * 1000),
+    pExpire: (key, milliseconds) => setExpiry(key, Date.now() + milliseconds),
+    expireAt: (key, timestamp) => setExpiry(key, timestamp * 1000),
+    pTTL(key) {
+      const entry = live(key);
+      if (!entry) {
+        return -2;
+      }
+      return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    }
+  };
+
+  function serialize(entry) {
+    switch (entry.type) {
+      case 'hash':
+        return Object.fromEntries(entry.value);
+      case 'set':
+        return [...entry.value];
+      case 'zset':
+        return [...entry.value].map(([member, score]) => [member, encodeScore(score)]);
+      default:
+        return entry.value;
+    }
+  }
+
+  function deserialize(type, value) {
+    switch (type) {
+      case 'hash':
+        return new Map(Object.entries(value));
+      case 'set':
+        return new Set(value);
+      case 'zset':
+        return new Map(value.map(([member, score]) => [member, parseBound(score).value]));
+      default:
+        return value;
+    }
+  }
+
+  function saveSnapshot() {
+    clearTimeout(snapshotTimer);
+    snapshotTimer = null;
+    const keys = [];
+    for (const key of data.keys()) {
+      const entry = live(key);
+      if (entry) {
+        keys.push({ key, type: entry.type, value: serialize(entry), expiresAt: entry.expiresAt });
+      }
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ keys }));
+    fs.renameSync(tempPath, file);
+  }
+
+  function loadSnapshot() {
+    if (!fs.existsSync(file)) {
+      return;
+    }
+    const { keys } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const { key, type, value, expiresAt } of keys) {
+      data.set(key, { type, value: deserialize(type, value), expiresAt });
+    }
+  }
+
+  const client = new EventEmitter();
+
+  for (const [name, command] of Object.entries(commands)) {
+    client[name] = async (...args) => command(...args);
+  }
+
+  // Queued commands run one after another with nothing in between
+  client.multi = () => {
+    const queued = [];
+    const transaction = {
+      exec: async () => queued.map(([name, args]) => commands[name](...args))
+    };
+    for (const name of Object.keys(commands)) {
+      transaction[name] = (...args) => {
+        queued.push([name, args]);
+        return transaction;
+      };
+    }
+    return transaction;
+  };
+
+  client.scanIterator = async function* ({ MATCH = '*' } = {}) {
+    for (const key of commands.keys(MATCH)) {
+      yield key;
+    }
+  };
+
+  client.isOpen = false;
+  client.isReady = false;
+
+  client.connect = async () => {
+    if (file) {
+      loadSnapshot();
+    }
+    sweepTimer = setInterval(() => [...data.keys()].forEach(live), EXPIRY_SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+    client.isOpen = true;
+    client.isReady = true;
+    client.emit('connect');
+    client.emit('ready');
+    return client;
+  };
+
+  client.quit = async () => {
+    clearInterval(sweepTimer);
+    if (file && snapshotTimer) {
+      saveSnapshot();
+    }
+    client.isOpen = false;
+    client.isReady = false;
+    client.emit('end');
+    return 'OK';
+  };
+  client.disconnect = client.quit;
+
+  return client;
+}
+
+module.exports = {
+  createMemoryClient
+};
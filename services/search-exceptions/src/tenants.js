@@ -0,0 +1,20 @@
+const { DEFAULT_TENANT, loadTenants, listTenants, authenticate, requireAdmin } = require('faas-service-common');
+
+/**
+ * Prefix of every Redis key holding a tenant's exceptions. The default
+ * tenant's keys keep the names they had before tenants were configured.
+ * @param {string} tenantId
+ * @returns {string} Empty for the default tenant
+ */
+function tenantPrefix(tenantId) {
+  return tenantId === DEFAULT_TENANT ? '' : `tenant:${tenantId}:`;
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  loadTenants,
+  listTenants,
+  authenticate,
+  requireAdmin,
+  tenantPrefix
+};
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { indexStructure, unindexStructure, filterKeys } = require('../src/filters');
+const { parseStackTrace } = require('../src/stacktrace');
+const { createMemoryClient } = require('../src/storage/memory');
+
+const PREFIX = 'tenant:acme:';
+
+const parsed = parseStackTrace([
+  'java.lang.IllegalStateException: boom',
+  '\tat com.acme.orders.OrderService.place(OrderService.java:42)',
+  'Caused by: java.io.IOException: disk full',
+  '\tat com.acme.io.Disk.write(Disk.java:10)'
+].join('\n'));
+
+test('filterKeys builds one index key per filter, normalised', () => {
+  assert.deepStrictEqual(filterKeys(PREFIX, {}), []);
+  assert.deepStrictEqual(filterKeys(PREFIX, { type: 'IOException', module: 'Acme.Billing.dll', function: 'Disk.Write' }), [
+    'tenant:acme:exceptions:type:ioexception',
+    'tenant:acme:exceptions:module:acme.billing',
+    'tenant:acme:exceptions:function:disk.write'
+  ]);
+});
+
+test('an indexed exception is found by its type, causes, modules and functions', async (t) => {
+  const client = createMemoryClient();
+  await client.connect();
+  t.after(() => client.quit());
+
+  await indexStructure(client, PREFIX, 'fp1', parsed);
+
+  // Fingerprints in every index the filters name
+  const find = async (filters) => {
+    const members = await Promise.all(filterKeys(PREFIX, filters).map(key => client.sMembers(key)));
+    return members.reduce((common, next) => common.filter(fingerprint => next.includes(fingerprint)));
+  };
+  assert.deepStrictEqual(await find({ type: 'IllegalStateException' }), ['fp1']);
+  assert.deepStrictEqual(await find({ type: 'java.io.IOException' }), ['fp1']);
+  assert.deepStrictEqual(await find({ module: 'com.acme' }), ['fp1']);
+  assert.deepStrictEqual(await find({ function: 'OrderService.place', type: 'IOException' }), ['fp1']);
+  assert.deepStrictEqual(await find({ type: 'NullPointerException' }), []);
+});
+
+test('unindexStructure takes the exception back out of every index', async (t) => {
+  const client = createMemoryClient();
+  await client.connect();
+  t.after(() => client.quit());
+
+  await indexStructure(client, PREFIX, 'fp1', parsed);
+  await unindexStructure(client, PREFIX, 'fp1', parsed);
+
+  assert.deepStrictEqual(await client.keys(`${PREFIX}exceptions:*`), []);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeMessage, computeFingerprint } = require('../src/fingerprint');
+
+const javaTrace = (message, line) => [
+  `java.lang.IllegalStateException: ${message}`,
+  `\tat com.acme.orders.OrderService.place(OrderService.java:${line})`,
+  '\tat com.acme.orders.OrderController.create(OrderController.java:27)',
+  '\tat org.springframework.web.servlet.FrameworkServlet.service(FrameworkServlet.java:897)',
+  '\tat java.base/java.lang.Thread.run(Thread.java:833)'
+].join('\n');
+
+test('normalizeMessage replaces volatile tokens', () => {
+  const normalized = normalizeMessage(
+    '2024-03-01T10:15:30.123Z Request 4f9c2b1e-8d3a-4e5f-9a1b-2c3d4e5f6a7b failed on thread-42 at 0x7ffe12ab in /tmp/upload-123/a.zip after 350 ms'
+  );
+  assert.strictEqual(normalized, '<ts> request <guid> failed on thread-<id> at <addr> in <tmp> after <n> ms');
+});
+
+test('normalizeMessage collapses whitespace and drops blank lines', () => {
+  assert.strictEqual(normalizeMessage('  Error:   boom \r\n\r\n\tat   main  '), 'error: boom\nat main');
+});
+
+test('occurrences that differ only in message and line numbers share a fingerprint', () => {
+  const first = computeFingerprint(javaTrace('order 1001 is closed', 42));
+  const second = computeFingerprint(javaTrace('order 2002 is closed', 57));
+  assert.strictEqual(first.fingerprint, second.fingerprint);
+  assert.strictEqual(first.exceptionType, 'java.lang.IllegalStateException');
+});
+
+test('the signature is the exception type and in-app frames only', () => {
+  const { signature, frames } = computeFingerprint(javaTrace('closed', 42));
+  assert.strictEqual(frames.length, 2);
+  assert.ok(frames.every(frame => frame.includes('com.acme.orders')));
+  assert.strictEqual(signature.split('\n')[0], 'java.lang.IllegalStateException');
+});
+
+test('a different exception type gets a different fingerprint', () => {
+  const state = computeFingerprint(javaTrace('closed', 42));
+  const argument = computeFingerprint(javaTrace('closed', 42).replace('IllegalStateException', 'IllegalArgumentException'));
+  assert.notStrictEqual(state.fingerprint, argument.fingerprint);
+});
+
+test('text without a stack trace is fingerprinted by its normalized form', () => {
+  const first = computeFingerprint('Connection refused after 3 retries');
+  const second = computeFingerprint('Connection refused after 5 retries');
+  assert.strictEqual(first.parsed, null);
+  assert.strictEqual(first.signature, first.normalized);
+  assert.strictEqual(first.fingerprint, second.fingerprint);
+  assert.match(first.fingerprint, /^[0-9a-f]{64}$/);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Shingles in more than 3 exceptions count as common
+process.env.SIMILARITY_MAX_SHINGLE_MEMBERS = '3';
+const { indexException, unindexException, findSimilar } = require('../src/similarity');
+const { createMemoryClient } = require('../src/storage/memory');
+
+const PREFIX = 'tenant:acme:';
+const BOILERPLATE = 'at java lang thread run';
+
+const EXCEPTIONS = {
+  fp1: `order service failed to place order ${BOILERPLATE}`,
+  fp2: `billing service failed to charge card ${BOILERPLATE}`,
+  fp3: `disk full while writing invoice ${BOILERPLATE}`,
+  fp4: `queue consumer lost its connection ${BOILERPLATE}`,
+  fp5: `cache refresh timed out ${BOILERPLATE}`
+};
+
+async function indexedClient(t) {
+  const client = createMemoryClient();
+  await client.connect();
+  t.after(() => client.quit());
+  for (const [fingerprint, normalized] of Object.entries(EXCEPTIONS)) {
+    await indexException(client, PREFIX, fingerprint, normalized);
+  }
+  return client;
+}
+
+test('ranks exceptions by the share of the query found in them', async (t) => {
+  const client = await indexedClient(t);
+
+  const matches = await findSimilar(client, PREFIX, 'order service failed to place', { limit: 10, threshold: 0 });
+  assert.deepStrictEqual(matches.map(match => match.hash), ['fp1', 'fp2']);
+  assert.strictEqual(matches[0].score, 1);
+  assert.strictEqual(matches[1].score, 0.5);
+});
+
+test('leaves out shingles indexed for too many exceptions', async (t) => {
+  const client = await indexedClient(t);
+
+  // Only the shingles before the boilerplate are rare enough to score
+  const matches = await findSimilar(client, PREFIX, `failed to place order ${BOILERPLATE}`, { limit: 10, threshold: 0.5 });
+  assert.deepStrictEqual(matches.map(match => [match.hash, match.score]), [['fp1', 1]]);
+});
+
+test('scores a sample when every shingle of the query is common', async (t) => {
+  const client = await indexedClient(t);
+
+  const matches = await findSimilar(client, PREFIX, BOILERPLATE, { limit: 10, threshold: 1 });
+  assert.strictEqual(matches.length, 3);
+  assert.ok(matches.every(match => EXCEPTIONS[match.hash] && match.score === 1));
+});
+
+test('skips exceptions removed from the index', async (t) => {
+  const client = await indexedClient(t);
+
+  await unindexException(client, PREFIX, 'fp1', EXCEPTIONS.fp1);
+  const matches = await findSimilar(client, PREFIX, 'order service failed to place', { limit: 10, threshold: 0 });
+  assert.deepStrictEqual(matches.map(match => match.hash), ['fp2']);
+});
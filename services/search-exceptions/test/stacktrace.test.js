@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseStackTrace, normalizeModule, moduleAliases } = require('../src/stacktrace');
+
+test('parses a Java trace with its cause chain', () => {
+  const parsed = parseStackTrace([
+    'Exception in thread "main" java.lang.IllegalStateException: boom',
+    '\tat com.acme.orders.OrderService.place(OrderService.java:42)',
+    '\tat com.acme.App.main(App.java:7)',
+    'Caused by: java.io.IOException: disk full',
+    '\tat com.acme.io.Disk.write(Disk.java:10)',
+    '\t... 2 more'
+  ].join('\n'));
+
+  assert.strictEqual(parsed.format, 'java');
+  assert.strictEqual(parsed.type, 'java.lang.IllegalStateException');
+  assert.strictEqual(parsed.message, 'boom');
+  assert.deepStrictEqual(parsed.frames[0], {
+    function: 'com.acme.orders.OrderService.place',
+    module: 'com.acme.orders',
+    file: 'OrderService.java',
+    line: 42
+  });
+  assert.strictEqual(parsed.frames.length, 2);
+  assert.deepStrictEqual(parsed.causes.map(cause => [cause.type, cause.message, cause.frames.length]), [
+    ['java.io.IOException', 'disk full', 1]
+  ]);
+});
+
+test('parses a Node.js trace, naming modules after files and packages', () => {
+  const parsed = parseStackTrace([
+    'TypeError: Cannot read properties of undefined (reading \'id\')',
+    '    at getUser (/app/src/users.js:12:5)',
+    '    at async Server.handle (/app/node_modules/express/lib/router.js:80:3)'
+  ].join('\n'));
+
+  assert.strictEqual(parsed.format, 'node');
+  assert.strictEqual(parsed.type, 'TypeError');
+  assert.deepStrictEqual(parsed.frames.map(frame => [frame.function, frame.module, frame.line]), [
+    ['getUser', 'users', 12],
+    ['Server.handle', 'express', 80]
+  ]);
+});
+
+test('parses a Python traceback innermost frame first', () => {
+  const parsed = parseStackTrace([
+    'Traceback (most recent call last):',
+    '  File "/app/main.py", line 10, in <module>',
+    '    run()',
+    '  File "/app/jobs/runner.py", line 3, in run',
+    '    raise ValueError("bad")',
+    'ValueError: bad'
+  ].join('\n'));
+
+  assert.strictEqual(parsed.format, 'python');
+  assert.strictEqual(parsed.type, 'ValueError');
+  assert.strictEqual(parsed.message, 'bad');
+  assert.deepStrictEqual(parsed.frames.map(frame => frame.function), ['run', '<module>']);
+});
+
+test('parses a .NET trace with file and line', () => {
+  const parsed = parseStackTrace([
+    'System.InvalidOperationException: Nope',
+    '   at Acme.Billing.Invoice.Total() in C:\\src\\Invoice.cs:line 12'
+  ].join('\n'));
+
+  assert.strictEqual(parsed.format, 'dotnet');
+  assert.deepStrictEqual(parsed.frames, [
+    { function: 'Acme.Billing.Invoice.Total', module: 'Acme.Billing', file: 'C:\\src\\Invoice.cs', line: 12 }
+  ]);
+});
+
+test('reads the error of a JSON log entry', () => {
+  const parsed = parseStackTrace(JSON.stringify({ level: 'error', error: { type: 'KeyError', message: 'x', stack: 'KeyError: x' } }));
+  assert.strictEqual(parsed.format, 'json');
+  assert.strictEqual(parsed.type, 'KeyError');
+  assert.strictEqual(parsed.message, 'x');
+});
+
+test('ignores JSON log fields that are not strings', () => {
+  assert.strictEqual(parseStackTrace(JSON.stringify({ error: { type: 42, message: 'x' } })), null);
+
+  const parsed = parseStackTrace(JSON.stringify({
+    message: { text: 'request failed' },
+    error: { name: 'KeyError', type: ['x'], message: { detail: 'y' }, msg: 'missing key' }
+  }));
+  assert.strictEqual(parsed.type, 'KeyError');
+  assert.strictEqual(parsed.message, 'missing key');
+});
+
+test('returns null for text without an exception', () => {
+  assert.strictEqual(parseStackTrace('just some text'), null);
+});
+
+test('modules compare equal without binary extensions, and match their namespaces', () => {
+  assert.strictEqual(normalizeModule('Billing.dll'), 'billing');
+  assert.strictEqual(normalizeModule('billing.jar'), 'billing');
+  assert.deepStrictEqual(moduleAliases({ module: 'Acme.Billing.dll' }), ['acme.billing', 'acme']);
+  assert.deepStrictEqual(moduleAliases({ module: null }), []);
+});
@@ -0,0 +1,45 @@
+const http = require('http');
+
+// Time allowed for each dependency check
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000', 10);
+
+/**
+ * Check another service's GET /health. A service that answers but reports
+ * itself down counts as down.
+ * @param {string} baseUrl - e.g. http://localhost:3002
+ * @returns {{status: string, latencyMs?: number, error?: string}}
+ */
+function checkService(baseUrl) {
+  const started = Date.now();
+  return new Promise((resolve) => {
+    const req = http.get(`${baseUrl}/health`, { timeout: HEALTH_CHECK_TIMEOUT_MS }, (res) => {
+      res.resume();
+      const latencyMs = Date.now() - started;
+      resolve(res.statusCode === 200
+        ? { status: 'up', latencyMs }
+        : { status: 'down', latencyMs, error: `HTTP ${res.statusCode}` });
+    });
+    req.on('timeout', () => req.destroy(new Error(`No response after ${HEALTH_CHECK_TIMEOUT_MS}ms`)));
+    req.on('error', error => resolve({ status: 'down', error: error.message }));
+  });
+}
+
+/**
+ * Overall status from dependency checks: down when a required dependency
+ * is down, degraded when only an optional one is
+ * @param {object} checks - Dependency name to check result
+ * @param {string[]} required - Dependencies the service cannot work without
+ * @returns {string} ok, degraded or down
+ */
+function overallStatus(checks, required) {
+  const failing = Object.keys(checks).filter(name => checks[name].status !== 'up');
+  if (failing.some(name => required.includes(name))) {
+    return 'down';
+  }
+  return failing.length > 0 ? 'degraded' : 'ok';
+}
+
+module.exports = {
+  checkService,
+  overallStatus
+};
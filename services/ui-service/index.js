@@ -2,19 +2,72 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
+const { log, requestContext } = require('./logger');
+const metrics = require('./metrics');
+const { checkService, overallStatus } = require('./health');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+app.use(requestContext);
+app.use(metrics.httpMetrics);
 app.use(express.static('public'));
 
+// Service URLs as seen from the browser
+const SERVICE_URLS = {
+  uploadService: process.env.UPLOAD_SERVICE_PUBLIC_URL || 'http://localhost:3001',
+  searchExceptions: process.env.SEARCH_EXCEPTIONS_PUBLIC_URL || 'http://localhost:3002',
+  notifyService: process.env.NOTIFY_SERVICE_PUBLIC_URL || 'http://localhost:3003'
+};
+
+// Service URLs as seen from this service, for health checks
+const INTERNAL_SERVICE_URLS = {
+  uploadService: process.env.UPLOAD_SERVICE_URL || 'http://localhost:3001',
+  searchExceptions: process.env.SEARCH_EXCEPTIONS_URL || 'http://localhost:3002',
+  notifyService: process.env.NOTIFY_SERVICE_URL || 'http://localhost:3003'
+};
+
 // Routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
+/**
+ * GET /config - Service URLs the dashboard calls
+ */
+app.get('/config', (req, res) => {
+  res.json(SERVICE_URLS);
+});
+
+/**
+ * GET /health - Health check endpoint
+ * The pages are served whatever the state of the other services; the
+ * service is degraded while one of them is down.
+ */
+app.get('/health', async (req, res) => {
+  const names = Object.keys(INTERNAL_SERVICE_URLS);
+  const checks = await Promise.all(names.map(name => checkService(INTERNAL_SERVICE_URLS[name])));
+  const dependencies = Object.fromEntries(names.map((name, i) => [name, checks[i]]));
+
+  res.json({
+    status: overallStatus(dependencies, []),
+    service: 'ui-service',
+    uptimeSeconds: Math.round(process.uptime()),
+    dependencies
+  });
+});
+
+/**
+ * GET /metrics - Prometheus metrics: request latencies
+ */
+app.get('/metrics', metrics.metricsHandler);
+
 app.listen(PORT, () => {
-  console.log(`UI Service running on http://localhost:${PORT}`);
+  log.info('UI Service running', { url: `http://localhost:${PORT}`, dashboard: `http://localhost:${PORT}/dashboard` });
 });
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { findExceptionBlocks } = require('../../src/log-parser');
+const { log } = require('../../src/logger');
+
+/**
+ * Find the exception blocks in an exception file.
+ * Files with no recognisable log entries or stack traces are treated as a
+ * single exception report when the manifest or the file name says so.
+ * @param {object} event - file.extracted event
+ * @param {string} content - File content
+ * @returns {Array<{text: string, line: number}>} Exception blocks
+ */
+function extractExceptionBlocks(event, content) {
+  const blocks = findExceptionBlocks(content);
+  const isReport = event.classifiedBy === 'manifest' || /exception|error/i.test(event.file);
+  if (blocks.length === 0 && isReport) {
+    return [{ text: content, line: 1 }];
+  }
+  return blocks;
+}
+
+/**
+ * WORKFLOW 2: For every exception block in the file:
+ *   1. Store the exception in Redis and check for duplicates (store-exception)
+ *   2. Notify support if it is a duplicate (queued by store-exception)
+ *
+ * Triggered by file.extracted for files classified as "exception". The
+ * store-exception calls are made through the outbox by the next job step.
+ * @param {object} event - { file, role, classifiedBy, extractDir, zipFile, uploadId, tenantId, bundle }
+ * @returns {{records: object[], calls: object[]}}
+ */
+exports.handler = async (event) => {
+  let exceptionContent;
+  try {
+    exceptionContent = fs.readFileSync(path.join(event.extractDir, event.file), 'utf8').trim();
+  } catch (error) {
+    exceptionContent = null;
+  }
+
+  if (!exceptionContent) {
+    return { records: [], calls: [] };
+  }
+
+  const blocks = extractExceptionBlocks(event, exceptionContent);
+  log.info('WORKFLOW 2: exceptions found', { file: event.file, exceptions: blocks.length, uploadId: event.uploadId });
+
+  return {
+    records: blocks.map(block => ({ file: event.file, line: block.line })),
+    calls: blocks.map(block => ({
+      function: 'store-exception',
+      event: {
+        file: event.file,
+        line: block.line,
+        text: block.text,
+        zipFile: event.zipFile,
+        uploadId: event.uploadId,
+        tenantId: event.tenantId,
+        bundle: event.bundle
+      }
+    }))
+  };
+};
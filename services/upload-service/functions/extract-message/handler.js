@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../../src/logger');
+
+/**
+ * WORKFLOW 1: Support message -> notify support
+ *
+ * Triggered by file.extracted for files classified as "message". The notify
+ * call is made through the outbox by the next job step.
+ * @param {object} event - { file, role, classifiedBy, extractDir, zipFile, uploadId, tenantId, bundle }
+ * @returns {{records: object[], calls: object[]}}
+ */
+exports.handler = async (event) => {
+  const messageFile = event.file;
+  let messageContent;
+  try {
+    messageContent = fs.readFileSync(path.join(event.extractDir, messageFile), 'utf8').trim();
+  } catch (error) {
+    messageContent = null;
+  }
+
+  if (!messageContent) {
+    return { records: [], calls: [] };
+  }
+
+  // uploadId and customer let the notification be purged with the upload
+  const { customer } = (event.bundle && event.bundle.metadata) || {};
+
+  log.info('WORKFLOW 1: support message found', { file: messageFile, length: messageContent.length, uploadId: event.uploadId });
+
+  return {
+    records: [{ file: messageFile, text: messageContent }],
+    calls: [{
+      function: 'notify',
+      event: {
+        type: 'message',
+        title: 'New Support Message',
+        message: messageContent,
+        zipFile: event.zipFile,
+        details: { file: messageFile, uploadId: event.uploadId, customer },
+        tenantId: event.tenantId
+      }
+    }]
+  };
+};
@@ -0,0 +1,29 @@
+const { postJson } = require('../../src/http-client');
+const { serviceHeaders } = require('../../src/tenants');
+
+const NOTIFY_SERVICE_URL = process.env.NOTIFY_SERVICE_URL || 'http://localhost:3003';
+
+/**
+ * Notify: send a notification to the support team
+ *
+ * Called through the outbox for each notification queued by the other
+ * functions. Throws when notify-service cannot be reached so the call is retried.
+ * Every attempt sends the outbox message's idempotency key, so a retry of a
+ * call that was sent but not answered doesn't notify twice.
+ * @param {object} event - { type, title, message, zipFile, details, tenantId, redacted? }
+ *   redacted (kinds of data masked in the message) is sent in details
+ * @param {object} context - Invocation context, with idempotencyKey
+ * @returns {object} notify-service response
+ */
+exports.handler = async (event, context) => {
+  const { tenantId, redacted, ...notification } = event;
+  if (redacted) {
+    notification.details = { ...notification.details, redacted };
+  }
+  return postJson(`${NOTIFY_SERVICE_URL}/notify`, notification, {
+    headers: {
+      ...serviceHeaders(tenantId),
+      ...(context.idempotencyKey && { 'Idempotency-Key': context.idempotencyKey })
+    }
+  });
+};
@@ -0,0 +1,113 @@
+const { postJson } = require('../../src/http-client');
+const { serviceHeaders } = require('../../src/tenants');
+const { log } = require('../../src/logger');
+
+const SEARCH_EXCEPTIONS_URL = process.env.SEARCH_EXCEPTIONS_URL || 'http://localhost:3002';
+
+/**
+ * Store Exception: store one exception block and check for duplicates and spikes
+ *
+ * Called through the outbox for each block found by extract-exception.
+ * Throws when search-exceptions cannot be reached so the call is retried.
+ * Every attempt sends the outbox message's idempotency key, so a retry of a
+ * call that was stored but not answered isn't counted twice.
+ * @param {object} event - { file, line, text, zipFile, uploadId, tenantId, bundle, redacted }
+ * @param {object} context - Invocation context, with idempotencyKey
+ * @returns {{record: object, calls: object[]}} Stored exception, and notify calls for duplicates and spikes
+ */
+exports.handler = async (event, context) => {
+  const { file, line, uploadId, tenantId, redacted } = event;
+  const { customer } = (event.bundle && event.bundle.metadata) || {};
+
+  // The POST /exceptions endpoint stores AND detects duplicates
+  const storeResult = await postJson(`${SEARCH_EXCEPTIONS_URL}/exceptions`, {
+    message: event.text,
+    zipFile: event.zipFile,
+    uploadId,
+    file,
+    line,
+    bundle: event.bundle,
+    redacted
+  }, {
+    headers: {
+      ...serviceHeaders(tenantId),
+      ...(context.idempotencyKey && { 'Idempotency-Key': context.idempotencyKey })
+    }
+  });
+
+  const record = {
+    file,
+    line,
+    fingerprint: storeResult.fingerprint,
+    occurrenceId: storeResult.occurrenceId,
+    isDuplicate: Boolean(storeResult.isDuplicate),
+    duplicateCount: storeResult.duplicateCount
+  };
+  const calls = [];
+
+  if (!storeResult.isDuplicate) {
+    // No notification sent for new exceptions (only duplicates are reported)
+    log.info('New exception', { file, line, fingerprint: storeResult.fingerprint, uploadId });
+  } else {
+    log.info('Duplicate exception', {
+      file,
+      line,
+      fingerprint: storeResult.fingerprint,
+      duplicateCount: storeResult.duplicateCount,
+      uploadId
+    });
+
+    // Notify support team of duplicate exception
+    calls.push({
+      function: 'notify',
+      event: {
+        type: 'duplicate_exception',
+        title: `Duplicate Exception (Occurrence #${storeResult.duplicateCount})`,
+        message: event.text,
+        zipFile: event.zipFile,
+        details: {
+          file,
+          line,
+          fingerprint: storeResult.fingerprint,
+          duplicateCount: storeResult.duplicateCount,
+          exception: event.text.substring(0, 100),
+          uploadId,
+          customer
+        },
+        tenantId,
+        redacted
+      }
+    });
+  }
+
+  if (storeResult.spike) {
+    const { spike } = storeResult;
+    log.warn('Exception spike', { file, line, fingerprint: storeResult.fingerprint, occurrences: spike.occurrences, uploadId });
+
+    calls.push({
+      function: 'notify',
+      event: {
+        type: 'exception_spike',
+        title: `Exception Spike: ${spike.occurrences} occurrences this hour (${spike.factor}x baseline)`,
+        message: event.text,
+        zipFile: event.zipFile,
+        details: {
+          file,
+          line,
+          fingerprint: storeResult.fingerprint,
+          hour: spike.hour,
+          occurrences: spike.occurrences,
+          baseline: spike.baseline,
+          factor: spike.factor,
+          exception: event.text.substring(0, 100),
+          uploadId,
+          customer
+        },
+        tenantId,
+        redacted
+      }
+    });
+  }
+
+  return { record, calls };
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { Transform, pipeline } = require('stream');
+const unzipper = require('unzipper');
+const tar = require('tar-stream');
+
+/**
+ * Archive formats an upload, or a file inside one, can be in
+ */
+const FORMATS = {
+  ZIP: 'zip',
+  TAR: 'tar',
+  TAR_GZ: 'tar.gz',
+  GZIP: 'gz'
+};
+
+// Local file header, or end of central directory for an empty archive
+const ZIP_SIGNATURES = [Buffer.from('PK\x03\x04', 'latin1'), Buffer.from('PK\x05\x06', 'latin1')];
+const GZIP_SIGNATURE = Buffer.from([0x1f, 0x8b]);
+// POSIX and GNU tar headers carry "ustar" at this offset
+const TAR_MAGIC = Buffer.from('ustar', 'latin1');
+const TAR_MAGIC_OFFSET = 257;
+const TAR_HEADER_BYTES = 512;
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function isTarHeader(header) {
+  return header.length >= TAR_MAGIC_OFFSET + TAR_MAGIC.length &&
+    header.subarray(TAR_MAGIC_OFFSET, TAR_MAGIC_OFFSET + TAR_MAGIC.length).equals(TAR_MAGIC);
+}
+
+/**
+ * Read up to the first tar header's worth of bytes of a gzip file once
+ * decompressed, to tell a .tar.gz from a single gzipped file
+ * @param {string} filePath
+ * @returns {Promise<Buffer>} Empty if the gzip data is unreadable
+ */
+function peekGunzipped(filePath) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let length = 0;
+    const source = fs.createReadStream(filePath);
+    const gunzip = zlib.createGunzip();
+    const finish = () => {
+      source.destroy();
+      gunzip.destroy();
+      resolve(Buffer.concat(chunks).subarray(0, TAR_HEADER_BYTES));
+    };
+    gunzip.on('data', (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= TAR_HEADER_BYTES) {
+        finish();
+      }
+    });
+    gunzip.on('end', finish);
+    gunzip.on('error', finish);
+    source.on('error', finish);
+    source.pipe(gunzip);
+  });
+}
+
+/**
+ * Identify a file's archive format from its content
+ * @param {string} filePath
+ * @returns {Promise<string|null>} One of FORMATS, or null if it isn't an archive
+ */
+async function detectFormat(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  let header;
+  try {
+    const buffer = Buffer.alloc(TAR_HEADER_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, TAR_HEADER_BYTES, 0);
+    header = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  if (header.length >= 4 && ZIP_SIGNATURES.some(signature => signature.equals(header.subarray(0, 4)))) {
+    return FORMATS.ZIP;
+  }
+  if (header.length >= 2 && header.subarray(0, 2).equals(GZIP_SIGNATURE)) {
+    return isTarHeader(await peekGunzipped(filePath)) ? FORMATS.TAR_GZ : FORMATS.GZIP;
+  }
+  if (isTarHeader(header)) {
+    return FORMATS.TAR;
+  }
+  return null;
+}
+
+/**
+ * Entries of a zip archive, from its central directory
+ * @param {string} filePath
+ * @returns {Promise<Array<object>>} { path, type, size, compressedSize, stream() }
+ *   with type file, directory or symlink
+ */
+async function zipEntries(filePath) {
+  const directory = await unzipper.Open.file(filePath);
+  return directory.files.map((file) => {
+    const symlink = ((file.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK;
+    return {
+      path: file.path,
+      type: symlink ? 'symlink' : (file.type === 'Directory' ? 'directory' : 'file'),
+      size: file.uncompressedSize,
+      compressedSize: file.compressedSize,
+      stream: () => file.stream()
+    };
+  });
+}
+
+/**
+ * Decompress a gzip file as a stream, reporting progress so callers can
+ * stop a decompression bomb part way
+ * @param {string} filePath
+ * @param {function} [onProgress] - ({ compressedBytes, bytes }) after each
+ *   chunk; throwing stops the stream with that error
+ * @returns {object} Readable stream of the decompressed bytes
+ */
+function gunzipStream(filePath, onProgress = () => {}) {
+  let compressedBytes = 0;
+  let bytes = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      try {
+        onProgress({ compressedBytes, bytes });
+        callback(null, chunk);
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+  const source = fs.createReadStream(filePath).on('data', (chunk) => { compressedBytes += chunk.length; });
+  return pipeline(source, zlib.createGunzip(), counter, () => {});
+}
+
+/**
+ * Entries of a tar stream, one at a time. Each entry's stream must be read
+ * or drained before the next entry is produced.
+ * @param {object} source - Readable stream of tar data
+ * @returns {AsyncIterable<object>} { path, type, size, stream() } with type
+ *   file, directory, symlink (symbolic and hard links) or other
+ */
+async function* tarEntries(source) {
+  const extract = tar.extract();
+  pipeline(source, extract, () => {});
+
+  const TYPES = { file: 'file', 'contiguous-file': 'file', directory: 'directory', symlink: 'symlink', link: 'symlink' };
+  for await (const entry of extract) {
+    yield {
+      path: entry.header.name,
+      type: TYPES[entry.header.type] || 'other',
+      size: entry.header.size,
+      stream: () => entry
+    };
+    entry.resume();
+  }
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  zipEntries,
+  gunzipStream,
+  tarEntries
+};
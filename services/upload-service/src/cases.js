@@ -0,0 +1,276 @@
+const { ROLES } = require('./classifiers');
+const { JOB_STATUS, STEP_STATUS } = require('./jobs');
+const { describeDelivery } = require('./pipeline');
+const outbox = require('./outbox');
+const { tenantPrefix } = require('./tenants');
+
+const INDEX_KEY = 'cases:all';
+// Cases are listed in pages of this many, read with one MGET each
+const LIST_BATCH_SIZE = 100;
+
+const CASE_STATUS = {
+  PROCESSING: 'processing',
+  READY: 'ready',
+  FAILED: 'failed'
+};
+
+function caseKey(id) {
+  return `case:${id}`;
+}
+
+// Each tenant has its own index of cases, newest last
+function indexKey(tenantId) {
+  return tenantPrefix(tenantId) + INDEX_KEY;
+}
+
+/**
+ * A case for an upload job, before any of its steps have run
+ * @param {object} job - Upload job with a caseId
+ * @returns {object}
+ */
+function newCase(job) {
+  return {
+    id: job.caseId,
+    tenantId: job.tenantId,
+    uploadId: job.id,
+    zipFile: job.fileName,
+    size: job.size,
+    status: CASE_STATUS.PROCESSING,
+    error: null,
+    createdAt: job.createdAt,
+    updatedAt: job.createdAt,
+    customer: null,
+    messages: [],
+    files: [],
+    fingerprints: [],
+    exceptions: [],
+    notifications: []
+  };
+}
+
+/**
+ * The customer a bundle's manifest metadata names
+ * @param {object} [bundle] - Bundle details from the stored step
+ * @returns {string|null}
+ */
+function customerOf(bundle) {
+  const customer = bundle && bundle.metadata && bundle.metadata.customer;
+  return typeof customer === 'string' ? customer : null;
+}
+
+/**
+ * Split deliveries into the case's exceptions and notifications, and
+ * collect the distinct fingerprints of its exceptions
+ * @param {object} supportCase - Case (modified in place)
+ * @param {Array<object>} deliveries - From the delivered step or describeDelivery
+ */
+function setDeliveries(supportCase, deliveries) {
+  supportCase.exceptions = deliveries.filter(delivery => delivery.function === 'store-exception');
+  supportCase.notifications = deliveries.filter(delivery => delivery.function === 'notify');
+  supportCase.fingerprints = [...new Set(supportCase.exceptions.map(exception => exception.fingerprint).filter(Boolean))];
+}
+
+/**
+ * Load a case
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} id - Case id
+ * @returns {object|null}
+ */
+async function getCase(redisClient, id) {
+  const stored = await redisClient.get(caseKey(id));
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Persist a case's current state
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} supportCase
+ */
+async function saveCase(redisClient, supportCase) {
+  supportCase.updatedAt = new Date().toISOString();
+  await redisClient.multi()
+    .set(caseKey(supportCase.id), JSON.stringify(supportCase))
+    .zAdd(indexKey(supportCase.tenantId), [{ score: new Date(supportCase.createdAt).getTime(), value: supportCase.id }])
+    .exec();
+}
+
+/**
+ * Create the case for a new upload job. Does nothing if the worker has
+ * already created it.
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} job - Upload job with a caseId
+ * @returns {object} The new case
+ */
+async function createCase(redisClient, job) {
+  const supportCase = newCase(job);
+  await redisClient.multi()
+    .set(caseKey(supportCase.id), JSON.stringify(supportCase), { NX: true })
+    .zAdd(indexKey(supportCase.tenantId), [{ score: new Date(supportCase.createdAt).getTime(), value: supportCase.id }])
+    .exec();
+  return supportCase;
+}
+
+/**
+ * Update a job's case from the job's status and completed step results:
+ * classified files, customer messages and the customer the bundle's
+ * metadata names, and the exceptions stored and notifications sent
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} job - Upload job
+ * @returns {object|null} The updated case, or null for jobs without one
+ */
+async function syncCase(redisClient, job) {
+  if (!job.caseId) {
+    return null;
+  }
+
+  const supportCase = (await getCase(redisClient, job.caseId)) || newCase(job);
+  const { extracted, classified, stored, delivered } = job.steps;
+
+  supportCase.status = job.status === JOB_STATUS.COMPLETED ? CASE_STATUS.READY
+    : job.status === JOB_STATUS.FAILED ? CASE_STATUS.FAILED
+    : CASE_STATUS.PROCESSING;
+  supportCase.error = job.error;
+
+  // The customer is read as soon as the upload is extracted, so the case of
+  // a job that fails later still names it; older jobs have it from the stored step
+  if (extracted.status === STEP_STATUS.COMPLETED && extracted.result.customer !== undefined) {
+    supportCase.customer = extracted.result.customer;
+  }
+  if (classified.status === STEP_STATUS.COMPLETED) {
+    supportCase.files = classified.result;
+  }
+  if (stored.status === STEP_STATUS.COMPLETED) {
+    supportCase.messages = stored.result.extracted[ROLES.MESSAGE] || [];
+    supportCase.customer = supportCase.customer || customerOf(stored.result.bundle);
+  }
+  if (delivered.status === STEP_STATUS.COMPLETED) {
+    setDeliveries(supportCase, delivered.result);
+  }
+
+  await saveCase(redisClient, supportCase);
+  return supportCase;
+}
+
+/**
+ * Bring a case's pending outbox calls up to date. Calls delivered since the
+ * case was last updated add the fingerprints and follow-up notifications
+ * they produced.
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} supportCase - Case (modified and saved if anything changed)
+ * @returns {object} The case
+ */
+async function refreshCase(redisClient, supportCase) {
+  const deliveries = [...supportCase.exceptions, ...supportCase.notifications];
+  const byId = new Map(deliveries.map(delivery => [delivery.outboxId, delivery]));
+  let changed = false;
+
+  for (const delivery of deliveries.filter(candidate => candidate.status === outbox.MESSAGE_STATUS.PENDING)) {
+    const message = await outbox.getMessage(redisClient, delivery.outboxId);
+    if (message && message.status !== delivery.status) {
+      for (const updated of await describeDelivery(redisClient, message)) {
+        byId.set(updated.outboxId, updated);
+      }
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    setDeliveries(supportCase, [...byId.values()]);
+    await saveCase(redisClient, supportCase);
+  }
+  return supportCase;
+}
+
+/**
+ * A case without its message text and per-call details, for listings
+ * @param {object} supportCase
+ * @returns {object}
+ */
+function summarizeCase(supportCase) {
+  return {
+    id: supportCase.id,
+    tenantId: supportCase.tenantId,
+    uploadId: supportCase.uploadId,
+    zipFile: supportCase.zipFile,
+    status: supportCase.status,
+    createdAt: supportCase.createdAt,
+    updatedAt: supportCase.updatedAt,
+    customer: supportCase.customer,
+    fingerprints: supportCase.fingerprints,
+    counts: {
+      files: supportCase.files.length,
+      messages: supportCase.messages.length,
+      exceptions: supportCase.exceptions.length,
+      notifications: supportCase.notifications.length
+    }
+  };
+}
+
+/**
+ * List a tenant's cases, newest first
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} options
+ * @param {string} options.tenantId - Tenant the cases belong to
+ * @param {string} [options.status] - Only cases with this status
+ * @param {string} [options.fingerprint] - Only cases with this exception
+ * @param {string} [options.customer] - Only cases whose bundle names this customer
+ * @param {number} options.limit - Maximum cases to return
+ * @returns {object[]} Case summaries
+ */
+async function listCases(redisClient, { tenantId, status, fingerprint, customer, limit }) {
+  const cases = [];
+
+  for (let start = 0; cases.length < limit; start += LIST_BATCH_SIZE) {
+    const ids = await redisClient.zRange(indexKey(tenantId), start, start + LIST_BATCH_SIZE - 1, { REV: true });
+    if (ids.length === 0) {
+      break;
+    }
+
+    const stored = await redisClient.mGet(ids.map(caseKey));
+    for (const supportCase of stored.filter(Boolean).map(value => JSON.parse(value))) {
+      if ((!status || supportCase.status === status)
+        && (!fingerprint || supportCase.fingerprints.includes(fingerprint))
+        && (!customer || supportCase.customer === customer)) {
+        cases.push(summarizeCase(supportCase));
+        if (cases.length >= limit) {
+          break;
+        }
+      }
+    }
+  }
+
+  return cases;
+}
+
+/**
+ * Number of cases a tenant has
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} tenantId
+ * @returns {number}
+ */
+async function countCases(redisClient, tenantId) {
+  return redisClient.zCard(indexKey(tenantId));
+}
+
+/**
+ * Delete a case
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} supportCase
+ */
+async function deleteCase(redisClient, supportCase) {
+  await redisClient.multi()
+    .del(caseKey(supportCase.id))
+    .zRem(indexKey(supportCase.tenantId), supportCase.id)
+    .exec();
+}
+
+module.exports = {
+  CASE_STATUS,
+  createCase,
+  getCase,
+  syncCase,
+  refreshCase,
+  listCases,
+  countCases,
+  deleteCase
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { findExceptionBlocks } = require('./log-parser');
+const { log } = require('./logger');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Bytes of each file read for content sniffing
+const SNIFF_BYTES = 64 * 1024;
+
+const ROLES = {
+  MESSAGE: 'message',
+  EXCEPTION: 'exception',
+  MANIFEST: 'manifest',
+  UNKNOWN: 'unknown'
+};
+
+const MESSAGE_NAME = /message|feedback|support|comment|description/i;
+const EXCEPTION_NAME = /exception|error|crash|stack|(?:^|[^a-z])logs?(?:[^a-z]|$)|\.trace$/i;
+const MESSAGE_CONTENT = /^(?:subject|from|user|dear|hi|hello)\b/im;
+
+const classifiers = [];
+const extractors = new Map();
+
+/**
+ * Register a file classifier. Classifiers run in ascending priority order
+ * and the first one to return a role wins.
+ * @param {object} classifier
+ * @param {string} classifier.name - Reported as the file's classifiedBy
+ * @param {number} classifier.priority - Lower runs first
+ * @param {function} classifier.classify - ({ name, filePath, sample }) => role or null
+ */
+function registerClassifier(classifier) {
+  classifiers.push(classifier);
+  classifiers.sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Register an in-process extractor to process every file classified with a
+ * role. The built-in workflows run as functions instead (see functions/).
+ * @param {string} role - File role
+ * @param {function} extractor - async (classification, { extractDir, fileName, notify }) => records;
+ *   notify(notification) queues a notify call, made through the outbox
+ */
+function registerExtractor(role, extractor) {
+  if (!extractors.has(role)) {
+    extractors.set(role, []);
+  }
+  extractors.get(role).push(extractor);
+}
+
+/**
+ * Extractors registered for a role
+ * @param {string} role
+ * @returns {function[]}
+ */
+function getExtractors(role) {
+  return extractors.get(role) || [];
+}
+
+/**
+ * Convert a manifest glob (* and **) to a regular expression
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Read manifest.json from the bundle, if present.
+ * Format: { "files": { "<file name or glob>": "<role>" }, "metadata": { ... } }
+ * @param {string} extractDir - Directory containing extracted files
+ * @returns {{entries: Array<{pattern: RegExp, role: string}>, metadata: object, error: string|null}|null}
+ */
+function readManifest(extractDir) {
+  const manifestPath = path.join(extractDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const files = manifest.files || {};
+    return {
+      entries: Object.entries(files).map(([pattern, role]) => ({ pattern: globToRegExp(pattern), role })),
+      metadata: manifest.metadata && typeof manifest.metadata === 'object' ? manifest.metadata : {},
+      error: null
+    };
+  } catch (error) {
+    log.warn('Ignoring invalid manifest', { file: MANIFEST_FILE, error: error.message });
+    return { entries: [], metadata: {}, error: error.message };
+  }
+}
+
+/**
+ * Bundle metadata declared in manifest.json (customer, app version...)
+ * @param {string} extractDir - Directory containing extracted files
+ * @returns {object} Metadata, empty when there is no manifest
+ */
+function readBundleMetadata(extractDir) {
+  const manifest = readManifest(extractDir);
+  return manifest ? manifest.metadata : {};
+}
+
+/**
+ * Read the start of a file for content sniffing
+ * @param {string} filePath
+ * @returns {string|null} Text sample, or null for binary files
+ */
+function readSample(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    const sample = buffer.subarray(0, bytesRead);
+    return sample.includes(0) ? null : sample.toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Classify every file in an extracted bundle.
+ * manifest.json roles take precedence; other files go through the
+ * registered classifiers.
+ * @param {string} extractDir - Directory containing extracted files
+ * @param {string[]} files - File paths relative to extractDir, with / separators
+ * @returns {Array<{file: string, role: string, classifiedBy: string}>}
+ */
+async function classifyFiles(extractDir, files) {
+  const manifest = readManifest(extractDir);
+  const results = [];
+
+  for (const file of files) {
+    if (file === MANIFEST_FILE && manifest) {
+      results.push({ file, role: ROLES.MANIFEST, classifiedBy: 'manifest', ...(manifest.error && { error: manifest.error }) });
+      continue;
+    }
+
+    const declared = manifest && manifest.entries.find(entry => entry.pattern.test(file));
+    if (declared) {
+      results.push({ file, role: declared.role, classifiedBy: 'manifest' });
+      continue;
+    }
+
+    const filePath = path.join(extractDir, file);
+    const candidate = { name: path.posix.basename(file), filePath, sample: readSample(filePath) };
+    let classification = { file, role: ROLES.UNKNOWN, classifiedBy: 'none' };
+
+    for (const classifier of classifiers) {
+      const role = await classifier.classify(candidate);
+      if (role) {
+        classification = { file, role, classifiedBy: classifier.name };
+        break;
+      }
+    }
+
+    results.push(classification);
+  }
+
+  return results;
+}
+
+// ===== Built-in classifiers =====
+
+// Unambiguous names: only message words, or only exception/log words
+registerClassifier({
+  name: 'message-name',
+  priority: 100,
+  classify: ({ name }) => (MESSAGE_NAME.test(name) && !EXCEPTION_NAME.test(name) ? ROLES.MESSAGE : null)
+});
+
+registerClassifier({
+  name: 'exception-name',
+  priority: 200,
+  classify: ({ name }) => (EXCEPTION_NAME.test(name) && !MESSAGE_NAME.test(name) ? ROLES.EXCEPTION : null)
+});
+
+// Content sniffing for ambiguous or uninformative names
+registerClassifier({
+  name: 'stack-trace-content',
+  priority: 300,
+  classify: ({ sample }) => (sample && findExceptionBlocks(sample).length > 0 ? ROLES.EXCEPTION : null)
+});
+
+registerClassifier({
+  name: 'message-content',
+  priority: 400,
+  classify: ({ name, sample }) => (sample && (MESSAGE_NAME.test(name) || MESSAGE_CONTENT.test(sample)) ? ROLES.MESSAGE : null)
+});
+
+module.exports = {
+  ROLES,
+  registerClassifier,
+  registerExtractor,
+  getExtractors,
+  classifyFiles,
+  readBundleMetadata
+};
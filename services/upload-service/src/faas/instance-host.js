@@ -0,0 +1,38 @@
+/**
+ * Function instance: runs in its own worker thread, loads one function's
+ * handler once (the cold start) and then serves invocations until the
+ * runtime terminates it.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const { runWithContext } = require('../logger');
+
+const loadStarted = Date.now();
+const { handler } = require(workerData.handlerPath);
+
+if (typeof handler !== 'function') {
+  throw new Error(`${workerData.handlerPath} does not export a handler(event, context) function`);
+}
+
+parentPort.postMessage({ type: 'ready', initDurationMs: Date.now() - loadStarted });
+
+parentPort.on('message', async ({ invocationId, event, context }) => {
+  const invocationContext = {
+    ...context,
+    getRemainingTimeInMillis: () => Math.max(0, context.deadline - Date.now())
+  };
+
+  try {
+    // Lines the handler logs and requests it makes carry the caller's correlation id
+    const result = await runWithContext(
+      { correlationId: context.correlationId || undefined, function: context.functionName, invocationId },
+      () => handler(event, invocationContext)
+    );
+    parentPort.postMessage({ type: 'result', invocationId, result });
+  } catch (error) {
+    parentPort.postMessage({
+      type: 'error',
+      invocationId,
+      error: { name: error.name, message: error.message, retryable: error.retryable }
+    });
+  }
+});
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const { currentContext } = require('../logger');
+
+const HOST_PATH = path.join(__dirname, 'instance-host.js');
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.FAAS_DEFAULT_TIMEOUT_MS || '30000', 10);
+// Idle instances are kept warm this long before being shut down
+const IDLE_TIMEOUT_MS = parseInt(process.env.FAAS_IDLE_TIMEOUT_MS || '300000', 10);
+
+const functions = new Map();
+
+/**
+ * Error raised when an invocation fails, times out or names an unknown function.
+ * retryable is false when invoking again cannot succeed: an unknown function,
+ * or a handler that threw an error with retryable set to false.
+ */
+class FunctionError extends Error {
+  constructor(code, message, retryable = code !== 'NOT_FOUND') {
+    super(message);
+    this.name = 'FunctionError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Register a function
+ * @param {object} definition
+ * @param {string} definition.name - Function name
+ * @param {string} definition.handlerPath - Module exporting handler(event, context)
+ * @param {number} [definition.timeoutMs] - Per-invocation timeout
+ * @param {object} [definition.trigger] - { event: string, filter?: object } to run on emitted events
+ * @param {string} [definition.description]
+ */
+function registerFunction(definition) {
+  functions.set(definition.name, {
+    description: '',
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    trigger: null,
+    ...definition,
+    instances: [],
+    stats: { invocations: 0, coldStarts: 0, warmStarts: 0, errors: 0, timeouts: 0 }
+  });
+}
+
+/**
+ * Deploy every function in a directory. Each function lives in its own
+ * subdirectory with a function.json and a handler module.
+ * @param {string} functionsDir
+ * @returns {string[]} Names of the deployed functions
+ */
+function loadFunctions(functionsDir) {
+  const deployed = [];
+  for (const entry of fs.readdirSync(functionsDir, { withFileTypes: true })) {
+    const configPath = path.join(functionsDir, entry.name, 'function.json');
+    if (!entry.isDirectory() || !fs.existsSync(configPath)) {
+      continue;
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const name = config.name || entry.name;
+    registerFunction({
+      ...config,
+      name,
+      handlerPath: path.join(functionsDir, entry.name, config.handler || 'handler.js')
+    });
+    deployed.push(name);
+  }
+  return deployed;
+}
+
+/**
+ * Start a new instance of a function (a cold start)
+ * @param {object} fn - Registered function
+ * @returns {object} Ready instance
+ */
+function startInstance(fn) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(HOST_PATH, { workerData: { handlerPath: fn.handlerPath } });
+    const instance = {
+      id: crypto.randomUUID(),
+      worker,
+      busy: false,
+      pending: null,
+      idleTimer: null,
+      startedAt: new Date().toISOString(),
+      invocations: 0
+    };
+
+    const onStartupError = (error) => reject(new FunctionError('INIT_FAILED', `${fn.name} failed to start: ${error.message}`));
+    const onStartupExit = (code) => reject(new FunctionError('INIT_FAILED', `${fn.name} exited during startup with code ${code}`));
+    worker.once('error', onStartupError);
+    worker.once('exit', onStartupExit);
+
+    worker.once('message', (message) => {
+      if (message.type !== 'ready') {
+        return;
+      }
+      worker.off('error', onStartupError);
+      worker.off('exit', onStartupExit);
+      instance.initDurationMs = message.initDurationMs;
+
+      worker.on('message', (reply) => {
+        if (instance.pending && reply.invocationId === instance.pending.invocationId) {
+          instance.pending.settle(reply);
+        }
+      });
+      const onCrash = (message) => {
+        removeInstance(fn, instance);
+        if (instance.pending) {
+          instance.pending.settle({ type: 'error', error: { name: 'Crash', message } });
+        }
+      };
+      worker.on('error', (error) => onCrash(error.message));
+      worker.on('exit', (code) => onCrash(`instance exited with code ${code}`));
+
+      fn.instances.push(instance);
+      resolve(instance);
+    });
+  });
+}
+
+function removeInstance(fn, instance) {
+  clearTimeout(instance.idleTimer);
+  fn.instances = fn.instances.filter(candidate => candidate !== instance);
+  instance.worker.terminate();
+}
+
+/**
+ * Invoke a function with an event. The caller's correlation id is passed
+ * to the instance in the invocation context.
+ * @param {string} name - Function name
+ * @param {object} event - Event passed to the handler
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Same for every attempt at one call,
+ *   passed in the context for the function to send downstream
+ * @returns {{result: *, invocationId: string, instanceId: string, coldStart: boolean, durationMs: number}}
+ */
+async function invoke(name, event, { idempotencyKey = null } = {}) {
+  const fn = functions.get(name);
+  if (!fn) {
+    throw new FunctionError('NOT_FOUND', `Function not found: ${name}`);
+  }
+
+  fn.stats.invocations++;
+  let instance = fn.instances.find(candidate => !candidate.busy);
+  const coldStart = !instance;
+  if (coldStart) {
+    fn.stats.coldStarts++;
+    instance = await startInstance(fn);
+  } else {
+    fn.stats.warmStarts++;
+    clearTimeout(instance.idleTimer);
+  }
+
+  instance.busy = true;
+  instance.invocations++;
+  const invocationId = crypto.randomUUID();
+  const started = Date.now();
+
+  const reply = await new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      resolve({ type: 'timeout' });
+    }, fn.timeoutMs);
+
+    instance.pending = {
+      invocationId,
+      settle: (message) => {
+        clearTimeout(timer);
+        resolve(message);
+      }
+    };
+
+    instance.worker.postMessage({
+      invocationId,
+      event,
+      context: {
+        functionName: fn.name,
+        invocationId,
+        instanceId: instance.id,
+        coldStart,
+        deadline: started + fn.timeoutMs,
+        correlationId: currentContext().correlationId || null,
+        idempotencyKey
+      }
+    });
+  });
+
+  instance.pending = null;
+  instance.busy = false;
+  const durationMs = Date.now() - started;
+
+  if (reply.type === 'timeout') {
+    // The instance may still be running the handler, so it cannot be reused
+    fn.stats.timeouts++;
+    removeInstance(fn, instance);
+    throw new FunctionError('TIMEOUT', `${fn.name} timed out after ${fn.timeoutMs}ms`);
+  }
+
+  if (fn.instances.includes(instance)) {
+    instance.idleTimer = setTimeout(() => removeInstance(fn, instance), IDLE_TIMEOUT_MS);
+    instance.idleTimer.unref();
+  }
+
+  if (reply.type === 'error') {
+    fn.stats.errors++;
+    throw new FunctionError('HANDLER_ERROR', `${fn.name} failed: ${reply.error.message}`, reply.error.retryable !== false);
+  }
+
+  return { result: reply.result, invocationId, instanceId: instance.id, coldStart, durationMs };
+}
+
+/**
+ * Whether a function's trigger matches an event
+ * @param {object} fn - Registered function
+ * @param {string} eventType
+ * @param {object} event
+ * @returns {boolean}
+ */
+function matchesTrigger(fn, eventType, event) {
+  if (!fn.trigger || fn.trigger.event !== eventType) {
+    return false;
+  }
+  const filter = fn.trigger.filter || {};
+  return Object.entries(filter).every(([key, value]) => event[key] === value);
+}
+
+/**
+ * Emit an event, invoking every function triggered by it in turn
+ * @param {string} eventType - e.g. file.extracted
+ * @param {object} event - Event payload
+ * @returns {Array<{function: string, result?: *, error?: string, coldStart?: boolean, durationMs?: number}>}
+ */
+async function emit(eventType, event) {
+  const invocations = [];
+  for (const fn of functions.values()) {
+    if (!matchesTrigger(fn, eventType, event)) {
+      continue;
+    }
+    try {
+      const { result, coldStart, durationMs } = await invoke(fn.name, event);
+      invocations.push({ function: fn.name, result, coldStart, durationMs });
+    } catch (error) {
+      invocations.push({ function: fn.name, error: error.message, code: error.code });
+    }
+  }
+  return invocations;
+}
+
+/**
+ * Deployed functions with their triggers and instance statistics
+ * @returns {object[]}
+ */
+function listFunctions() {
+  return [...functions.values()].map(fn => ({
+    name: fn.name,
+    description: fn.description,
+    trigger: fn.trigger,
+    timeoutMs: fn.timeoutMs,
+    instances: fn.instances.map(instance => ({
+      id: instance.id,
+      busy: instance.busy,
+      startedAt: instance.startedAt,
+      initDurationMs: instance.initDurationMs,
+      invocations: instance.invocations
+    })),
+    stats: fn.stats
+  }));
+}
+
+module.exports = {
+  FunctionError,
+  registerFunction,
+  loadFunctions,
+  invoke,
+  emit,
+  listFunctions
+};
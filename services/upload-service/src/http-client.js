@@ -0,0 +1,100 @@
+const http = require('http');
+const { CORRELATION_HEADER, currentContext, log } = require('./logger');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS || '10000', 10);
+
+// Client errors that are worth retrying; other 4xx responses will fail again.
+// 409: a call with the same idempotency key is still being handled.
+const RETRYABLE_STATUS = [408, 409, 425, 429];
+
+/**
+ * Make HTTP POST request
+ * Resolves the parsed response body, or { error, status, retryable } when
+ * the request fails, times out or gets a non-2xx response.
+ * @param {string} url - Full URL to POST to
+ * @param {object} data - Data to send as JSON
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Time allowed for the whole request
+ * @param {object} [options.headers] - Extra request headers
+ * The caller's correlation id is sent as X-Correlation-Id, so the receiving
+ * service logs its side of the call under the same id.
+ */
+function makeHttpRequest(url, data, { timeoutMs = REQUEST_TIMEOUT_MS, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const { correlationId } = currentContext();
+    const options = {
+      hostname: parsedUrl.hostname,
+      port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
+      path: parsedUrl.pathname + parsedUrl.search,
+      method: 'POST',
+      headers: {
+        ...(correlationId ? { [CORRELATION_HEADER]: correlationId } : {}),
+        ...headers,
+        'Content-Type': 'application/json'
+      }
+    };
+
+    const req = http.request(options, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(body);
+        } catch {
+          parsed = { raw: body };
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const reason = parsed.error || parsed.raw || res.statusMessage;
+          log.warn('Downstream request failed', { url, status: res.statusCode, error: reason });
+          resolve({
+            error: `HTTP ${res.statusCode}: ${reason}`,
+            status: res.statusCode,
+            retryable: res.statusCode >= 500 || RETRYABLE_STATUS.includes(res.statusCode)
+          });
+          return;
+        }
+        resolve(parsed);
+      });
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+    });
+
+    req.on('error', (error) => {
+      log.warn('Downstream request failed', { url, error: error.message });
+      resolve({ error: error.message, status: null, retryable: true });
+    });
+
+    log.debug('Downstream request', { url });
+    req.write(JSON.stringify(data));
+    req.end();
+  });
+}
+
+/**
+ * POST JSON and return the parsed response, throwing when the request fails.
+ * The thrown error's retryable flag tells the outbox whether to try again.
+ * @param {string} url - Full URL to POST to
+ * @param {object} data - Data to send as JSON
+ * @param {object} [options] - makeHttpRequest options
+ * @returns {object} Response body
+ */
+async function postJson(url, data, options) {
+  const response = await makeHttpRequest(url, data, options);
+  if (response.error) {
+    const error = new Error(response.error);
+    error.status = response.status;
+    error.retryable = response.retryable;
+    throw error;
+  }
+  return response;
+}
+
+module.exports = {
+  makeHttpRequest,
+  postJson
+};
@@ -1,20 +1,75 @@
 require('dotenv').config();
 const express = require('express');
-const multer = require('multer');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const unzipper = require('unzipper');
 const cors = require('cors');
-const http = require('http');
+const redis = require('redis');
+const { STEPS } = require('./pipeline');
+const { JOB_STATUS, createJob, getJob, listJobs, countJobs, describeProgress, retryJob, queueSizes } = require('./jobs');
+const { CASE_STATUS, createCase, getCase, refreshCase, listCases, countCases } = require('./cases');
+const { startWorker } = require('./worker');
+const runtime = require('./faas/runtime');
+const { UploadRejectedError, createUploadMiddleware } = require('./ingestion');
+const outbox = require('./outbox');
+const { isActive, purgeUpload, purgeCustomer, purgeDownstream, startSweeper } = require('./retention');
+const { loadTenants, listTenants, authenticate, requireAdmin, ownedBy } = require('./tenants');
+const { loadRedactionRules } = require('./redaction');
+const { log, requestContext } = require('./logger');
+const metrics = require('./metrics');
+const { checkRedis, checkService, overallStatus } = require('./health');
 
 const app = express();
 const PORT = process.env.CUSTOMER_MESSAGE_PORT || 3001;
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
 const SEARCH_EXCEPTIONS_URL = process.env.SEARCH_EXCEPTIONS_URL || 'http://localhost:3002';
 const NOTIFY_SERVICE_URL = process.env.NOTIFY_SERVICE_URL || 'http://localhost:3003';
+const JOBS_LIST_LIMIT = 50;
+const CASES_LIST_LIMIT = 50;
+// How often a job progress stream checks the job for changes
+const JOB_EVENTS_POLL_MS = 500;
+const DEAD_LETTERS_LIST_LIMIT = 100;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(requestContext);
+app.use(metrics.httpMetrics);
+
+const uploadsReceived = metrics.counter('uploads_received_total', 'Uploads accepted and queued for processing');
+
+// Tenants and their API keys. Uploads, jobs and cases belong to the tenant
+// of the API key; the outbox and functions serve every tenant, so only
+// admin keys may use them, as may purges.
+const tenantsFile = path.resolve(__dirname, '..', process.env.TENANTS_FILE || './tenants.json');
+const configuredTenants = loadTenants(tenantsFile, { required: Boolean(process.env.TENANTS_FILE) });
+log.info('Tenants loaded', { tenants: configuredTenants, apiKeys: configuredTenants.length > 0 });
+app.use(['/upload', '/jobs', '/cases'], authenticate);
+app.use(['/outbox', '/functions', '/events', '/tenants', '/purge'], authenticate, requireAdmin);
+
+// Sensitive data masked in messages and exceptions before they are stored or sent
+const redactionFile = path.resolve(__dirname, '..', process.env.REDACTION_FILE || './redaction.json');
+log.info('Redaction rules loaded', { rules: loadRedactionRules(redactionFile) });
+
+// Redis client setup (job queue and job status)
+const redisClient = redis.createClient({
+  url: REDIS_URL,
+  socket: {
+    reconnectStrategy: (retries) => Math.min(retries * 50, 500)
+  }
+});
+
+redisClient.on('error', (err) => {
+  log.error('Redis error', { error: err });
+});
+
+redisClient.on('connect', () => {
+  log.info('Connected to Redis');
+});
+
+// Deploy the local functions (extract-message, extract-exception, notify)
+const functionsDir = path.join(__dirname, '..', 'functions');
+log.info('Functions deployed', { functions: runtime.loadFunctions(functionsDir) });
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '..', process.env.UPLOAD_DIR || './uploads');
@@ -22,260 +77,413 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-// Configure multer
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    // Keep original filename for now
-    cb(null, file.originalname);
+// Connect to Redis, then start processing queued uploads and outbox
+// retries, and deleting uploads and cases past retention
+redisClient.connect()
+  .then(() => {
+    startWorker(redisClient);
+    outbox.startDispatcher(redisClient);
+    startSweeper(redisClient, uploadsDir);
+  })
+  .catch(error => log.error('Error connecting to Redis', { error }));
+
+// Zip uploads are stored under generated names and validated before queuing
+const upload = createUploadMiddleware(uploadsDir, 'file');
+
+/**
+ * POST /upload - Upload a zip file and queue it for processing
+ * Responds 202 with a job id; poll GET /jobs/:id for progress. The request's
+ * correlation id is kept on the job and sent on every downstream call made
+ * while processing it.
+ */
+app.post('/upload', upload, async (req, res) => {
+  try {
+    const job = await createJob(redisClient, {
+      fileName: req.file.displayName,
+      filePath: req.file.path,
+      size: req.file.size,
+      caseId: crypto.randomUUID(),
+      tenantId: req.tenant.id,
+      correlationId: req.correlationId
+    }, STEPS.map(step => step.name));
+    await createCase(redisClient, job);
+    uploadsReceived.inc();
+
+    log.info('Upload queued', { fileName: job.fileName, jobId: job.id, caseId: job.caseId, tenantId: job.tenantId });
+
+    res.status(202).json({
+      success: true,
+      message: 'File received and queued for processing',
+      file: job.fileName,
+      size: job.size,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`,
+      caseId: job.caseId,
+      caseUrl: `/cases/${job.caseId}`,
+      correlationId: job.correlationId
+    });
+  } catch (error) {
+    log.error('Error processing upload', { error });
+    res.status(500).json({
+      error: 'Error processing file',
+      details: error.message
+    });
   }
 });
 
-const upload = multer({ storage });
+/**
+ * GET /jobs - List recent upload jobs, newest first
+ * Query: { status?: string, limit?: number }
+ */
+app.get('/jobs', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || JOBS_LIST_LIMIT, JOBS_LIST_LIMIT);
+
+    if (status && !Object.values(JOB_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${Object.values(JOB_STATUS).join(', ')}` });
+    }
+
+    const jobs = await listJobs(redisClient, { tenantId: req.tenant.id, status, limit });
+    res.json({ count: jobs.length, jobs });
+  } catch (error) {
+    log.error('Error listing jobs', { error });
+    res.status(500).json({
+      error: 'Error listing jobs',
+      details: error.message
+    });
+  }
+});
 
 /**
- * Make HTTP POST request
- * @param {string} url - Full URL to POST to
- * @param {object} data - Data to send as JSON
+ * GET /jobs/:id - Job status with per-step status and results
  */
-function makeHttpRequest(url, data) {
-  return new Promise((resolve, reject) => {
-    const parsedUrl = new URL(url);
-    const options = {
-      hostname: parsedUrl.hostname,
-      port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-      path: parsedUrl.pathname + parsedUrl.search,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    };
-
-    console.log(`  📡 Connecting to ${parsedUrl.hostname}:${options.port}...`);
-
-    const req = http.request(options, (res) => {
-      console.log(`  ✓ Connected, got response ${res.statusCode}`);
-      let body = '';
-      res.on('data', (chunk) => { body += chunk; });
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(body));
-        } catch {
-          resolve({ raw: body });
-        }
-      });
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(redisClient, req.params.id);
+    if (!job || !ownedBy(job, req.tenant.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    log.error('Error retrieving job', { error });
+    res.status(500).json({
+      error: 'Error retrieving job',
+      details: error.message
     });
+  }
+});
 
-    req.on('error', (error) => {
-      console.warn(`  ⚠️  Request to ${url} failed: ${error.message}`);
-      resolve({ error: error.message });
+/**
+ * GET /jobs/:id/events - Server-Sent Events stream of a job's progress.
+ * Sends a progress event each time the job changes, and a done event once
+ * it has completed or failed, then ends the stream.
+ */
+app.get('/jobs/:id/events', async (req, res) => {
+  try {
+    let job = await getJob(redisClient, req.params.id);
+    if (!job || !ownedBy(job, req.tenant.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
     });
 
-    console.log(`  📤 Sending request...`);
-    req.write(JSON.stringify(data));
-    req.end();
-  });
-}
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+    });
+
+    let lastUpdate = null;
+    while (!closed && job) {
+      if (job.updatedAt !== lastUpdate) {
+        lastUpdate = job.updatedAt;
+        const done = job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+        res.write(`event: ${done ? 'done' : 'progress'}\ndata: ${JSON.stringify(describeProgress(job))}\n\n`);
+        if (done) {
+          break;
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, JOB_EVENTS_POLL_MS));
+      job = await getJob(redisClient, req.params.id);
+    }
+    res.end();
+  } catch (error) {
+    log.error('Error streaming job progress', { error });
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Error streaming job progress',
+      details: error.message
+    });
+  }
+});
 
 /**
- * Extract text content from file
- * @param {string} filePath - Path to file
- * @returns {string} File content
+ * POST /jobs/:id/retry - Re-run a failed job from its failed step
  */
-function extractFileContent(filePath) {
+app.post('/jobs/:id/retry', async (req, res) => {
   try {
-    return fs.readFileSync(filePath, 'utf8').trim();
+    const job = await getJob(redisClient, req.params.id);
+    if (!job || !ownedBy(job, req.tenant.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== JOB_STATUS.FAILED) {
+      return res.status(409).json({ error: `Only failed jobs can be retried (job is ${job.status})` });
+    }
+
+    await retryJob(redisClient, job);
+    log.info('Job requeued', { jobId: job.id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Job queued for retry',
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`
+    });
   } catch (error) {
-    return null;
+    log.error('Error retrying job', { error });
+    res.status(500).json({
+      error: 'Error retrying job',
+      details: error.message
+    });
   }
-}
+});
 
 /**
- * Process extracted files for messages and exceptions
- * 
- * WORKFLOW 1: If file contains a message from user -> notify support
- * WORKFLOW 2: If file contains exception message:
- *   1. Search Redis for duplicates
- *   2. Notify support
- *   3. Store the exception in Redis
- * 
- * @param {string} extractDir - Directory containing extracted files
- * @param {string} fileName - Original zip file name
+ * GET /cases - List support cases, newest first
+ * Query: { status?: string, fingerprint?: string, limit?: number }
  */
-async function processExtractedFiles(extractDir, fileName) {
-  console.log(`\n⚙️  Processing extracted files...`);
-
-  const files = await fs.promises.readdir(extractDir);
-  
-  // Look for support message file
-  const messageFile = files.find(f => 
-    f.toLowerCase().includes('message') || f.toLowerCase().includes('support')
-  );
-  
-  // Look for exception file
-  const exceptionFile = files.find(f => 
-    f.toLowerCase().includes('exception') || f.toLowerCase().includes('error') || f.toLowerCase().includes('log')
-  );
-
-  // ===== WORKFLOW 1: Process support message =====
-  // If file contains message -> notify support
-  if (messageFile) {
-    const messageContent = extractFileContent(path.join(extractDir, messageFile));
-    if (messageContent) {
-      console.log(`\n📧 WORKFLOW 1: Support Message Found`);
-      console.log(`  File: ${messageFile}`);
-      console.log(`  Content: ${messageContent.substring(0, 100)}...`);
-      console.log(`  Action: Notifying support team...`);
-      
-      // Notify support team about new message
-      await makeHttpRequest(`${NOTIFY_SERVICE_URL}/notify`, {
-        type: 'message',
-        title: 'New Support Message',
-        message: messageContent,
-        zipFile: fileName,
-        details: { file: messageFile }
-      });
-      
-      console.log(`  ✅ Support notified`);
+app.get('/cases', async (req, res) => {
+  try {
+    const { status, fingerprint } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || CASES_LIST_LIMIT, CASES_LIST_LIMIT);
+
+    if (status && !Object.values(CASE_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${Object.values(CASE_STATUS).join(', ')}` });
     }
+
+    const cases = await listCases(redisClient, { tenantId: req.tenant.id, status, fingerprint, limit });
+    res.json({ count: cases.length, cases });
+  } catch (error) {
+    log.error('Error listing cases', { error });
+    res.status(500).json({
+      error: 'Error listing cases',
+      details: error.message
+    });
   }
+});
 
-  // ===== WORKFLOW 2: Process exception message =====
-  // If file contains exception:
-  // 1. Store the exception in Redis
-  // 2. Notify support based on whether it's a duplicate
-  if (exceptionFile) {
-    const exceptionContent = extractFileContent(path.join(extractDir, exceptionFile));
-    if (exceptionContent) {
-      console.log(`\n⚠️  WORKFLOW 2: Exception Found`);
-      console.log(`  File: ${exceptionFile}`);
-      console.log(`  Content: ${exceptionContent.substring(0, 100)}...`);
-      
-      // Store the exception in Redis and get duplicate detection result
-      // The POST /exceptions endpoint stores AND detects duplicates
-      console.log(`  Storing exception in Redis and checking for duplicates...`);
-      const storeResult = await makeHttpRequest(`${SEARCH_EXCEPTIONS_URL}/exceptions`, {
-        message: exceptionContent,
-        zipFile: fileName
-      });
-
-      if (storeResult.isDuplicate) {
-        console.log(`  🔔 DUPLICATE DETECTED - This is occurrence #${storeResult.duplicateCount}`);
-        
-        // Notify support team of duplicate exception
-        const duplicateNotify = await makeHttpRequest(`${NOTIFY_SERVICE_URL}/notify`, {
-          type: 'duplicate_exception',
-          title: `Duplicate Exception (Occurrence #${storeResult.duplicateCount})`,
-          message: exceptionContent,
-          zipFile: fileName,
-          details: { 
-            file: exceptionFile,
-            duplicateCount: storeResult.duplicateCount,
-            exception: exceptionContent.substring(0, 100)
-          }
-        });
-        
-        if (duplicateNotify.error) {
-          console.log(`  ⚠️  Failed to notify support of duplicate: ${duplicateNotify.error}`);
-        } else {
-          console.log(`  ✅ Support notified of duplicate`);
-        }
-      } else {
-        console.log(`  ✨ NEW EXCEPTION - First time seeing this message`);
-        // No notification sent for new exceptions (only duplicates are reported)
-      }
-      
-      // Exception is now stored in Redis (from the POST /exceptions call)
-      console.log(`  ✅ Exception stored in Redis`);
+/**
+ * GET /cases/:id - A support case: the customer's messages, bundle files,
+ * exception fingerprints and notifications sent for one upload
+ */
+app.get('/cases/:id', async (req, res) => {
+  try {
+    const supportCase = await getCase(redisClient, req.params.id);
+    if (!supportCase || !ownedBy(supportCase, req.tenant.id)) {
+      return res.status(404).json({ error: 'Case not found' });
     }
+    res.json(await refreshCase(redisClient, supportCase));
+  } catch (error) {
+    log.error('Error retrieving case', { error });
+    res.status(500).json({
+      error: 'Error retrieving case',
+      details: error.message
+    });
   }
+});
 
-  console.log(`\n✅ Processing complete\n`);
-}
+/**
+ * GET /outbox - Number of downstream calls awaiting retry and dead-lettered
+ */
+app.get('/outbox', async (req, res) => {
+  try {
+    res.json(await outbox.getOutboxStats(redisClient));
+  } catch (error) {
+    log.error('Error retrieving outbox stats', { error });
+    res.status(500).json({
+      error: 'Error retrieving outbox stats',
+      details: error.message
+    });
+  }
+});
 
+/**
+ * GET /outbox/dead-letters - Calls that exhausted their retries, newest first
+ * Query: { limit?: number }
+ */
+app.get('/outbox/dead-letters', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEAD_LETTERS_LIST_LIMIT, DEAD_LETTERS_LIST_LIMIT);
+    const messages = await outbox.listDeadLetters(redisClient, limit);
+    res.json({ count: messages.length, messages });
+  } catch (error) {
+    log.error('Error listing dead letters', { error });
+    res.status(500).json({
+      error: 'Error listing dead letters',
+      details: error.message
+    });
+  }
+});
 
 /**
- * Log zip file contents
- * @param {string} filePath - Path to the zip file
- * @param {string} fileName - Name of the zip file
+ * GET /outbox/:id - A downstream call with its attempts and errors
  */
-async function logZipContents(filePath, fileName) {
-  console.log('\n' + '='.repeat(60));
-  console.log(`📦 ZIP File Received: ${fileName}`);
-  console.log('='.repeat(60));
+app.get('/outbox/:id', async (req, res) => {
+  try {
+    const message = await outbox.getMessage(redisClient, req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Outbox message not found' });
+    }
+    res.json(message);
+  } catch (error) {
+    log.error('Error retrieving outbox message', { error });
+    res.status(500).json({
+      error: 'Error retrieving outbox message',
+      details: error.message
+    });
+  }
+});
 
+/**
+ * POST /outbox/:id/replay - Retry a dead-lettered call
+ */
+app.post('/outbox/:id/replay', async (req, res) => {
   try {
-    const files = await fs.promises.readdir(filePath);
-    
-    console.log(`\n📋 File Count: ${files.length}`);
-    console.log('\n📄 Contents:\n');
-
-    let totalSize = 0;
-    for (const file of files) {
-      const fileStat = await fs.promises.stat(path.join(filePath, file));
-      totalSize += fileStat.size;
-      const sizeKB = (fileStat.size / 1024).toFixed(2);
-      console.log(`  - ${file} (${sizeKB} KB)`);
+    const message = await outbox.getMessage(redisClient, req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Outbox message not found' });
+    }
+    if (message.status !== outbox.MESSAGE_STATUS.DEAD) {
+      return res.status(409).json({ error: `Only dead-lettered messages can be replayed (message is ${message.status})` });
     }
 
-    console.log(`\n📊 Total Size: ${(totalSize / 1024).toFixed(2)} KB`);
-    console.log('='.repeat(60) + '\n');
+    log.info('Replaying outbox message', { outboxId: message.id, function: message.function });
+    res.json(await outbox.replayDeadLetter(redisClient, message));
   } catch (error) {
-    console.error('Error reading zip contents:', error);
+    log.error('Error replaying outbox message', { error });
+    res.status(500).json({
+      error: 'Error replaying outbox message',
+      details: error.message
+    });
   }
-}
+});
 
 /**
- * Extract and process zip file
- * @param {string} filePath - Path to the zip file
- * @param {string} fileName - Name of the zip file
+ * GET /functions - Deployed functions with triggers and instance statistics
  */
-async function extractZipFile(filePath, fileName) {
-  const extractDir = path.join(uploadsDir, `${fileName}_extracted_${Date.now()}`);
-
-  return new Promise((resolve, reject) => {
-    fs.createReadStream(filePath)
-      .pipe(unzipper.Extract({ path: extractDir }))
-      .on('close', async () => {
-        try {
-          await logZipContents(extractDir, fileName);
-          await processExtractedFiles(extractDir, fileName);
-          resolve(extractDir);
-        } catch (error) {
-          reject(error);
-        }
-      })
-      .on('error', reject);
-  });
-}
+app.get('/functions', (req, res) => {
+  res.json({ functions: runtime.listFunctions() });
+});
+
+/**
+ * POST /functions/:name/invoke - Invoke a function directly
+ * Body: the event passed to the handler
+ */
+app.post('/functions/:name/invoke', async (req, res) => {
+  try {
+    res.json(await runtime.invoke(req.params.name, req.body));
+  } catch (error) {
+    const status = { NOT_FOUND: 404, TIMEOUT: 504 }[error.code] || 500;
+    res.status(status).json({
+      error: 'Error invoking function',
+      code: error.code,
+      details: error.message
+    });
+  }
+});
 
 /**
- * POST /upload - Upload and process a zip file
+ * POST /events/:type - Emit an event to the functions it triggers
+ * Body: the event payload
  */
-app.post('/upload', upload.single('file'), async (req, res) => {
+app.post('/events/:type', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const invocations = await runtime.emit(req.params.type, req.body);
+    res.json({ event: req.params.type, invocations });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Error emitting event',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /purge - Admin only: delete everything kept for one upload or for
+ * every upload from a customer, here and in search-exceptions and
+ * notify-service
+ * Body: { uploadId: string } or { customer: string }
+ * Uploads still queued or processing are not purged.
+ */
+app.post('/purge', async (req, res) => {
+  try {
+    const { uploadId, customer } = req.body;
+    const tenantId = req.tenant.id;
+
+    if (Boolean(uploadId) === Boolean(customer)) {
+      return res.status(400).json({ error: 'Send exactly one of: uploadId, customer' });
+    }
+    if (typeof (uploadId || customer) !== 'string') {
+      return res.status(400).json({ error: 'uploadId and customer must be strings' });
     }
 
-    const filePath = req.file.path;
-    const fileName = req.file.originalname;
+    let purged;
+    if (uploadId) {
+      // A job already deleted here may still have exceptions and notifications elsewhere
+      const job = await getJob(redisClient, uploadId);
+      if (job && !ownedBy(job, tenantId)) {
+        return res.status(404).json({ error: 'Upload not found' });
+      }
+      if (job && isActive(job)) {
+        return res.status(409).json({ error: `Upload is still being processed (job is ${job.status})` });
+      }
+      purged = { uploads: job ? [await purgeUpload(redisClient, job)] : [], skipped: [] };
+    } else {
+      purged = await purgeCustomer(redisClient, tenantId, customer);
+    }
 
-    // Extract and log zip contents
-    await extractZipFile(filePath, fileName);
+    const downstream = await purgeDownstream(uploadId ? { uploadId } : { customer }, tenantId);
 
-    res.json({
-      success: true,
-      message: 'File received and logged',
-      file: fileName,
-      size: req.file.size
+    log.info('Purged', { uploads: purged.uploads.length, uploadId, customer, tenantId });
+    for (const [name, result] of Object.entries(downstream)) {
+      if (result.error) {
+        log.warn('Downstream purge failed', { target: name, error: result.error });
+      }
+    }
+
+    res.json({ success: true, tenantId, ...purged, ...downstream });
+  } catch (error) {
+    log.error('Error purging', { error });
+    res.status(500).json({
+      error: 'Error purging',
+      details: error.message
     });
+  }
+});
+
+/**
+ * GET /tenants - Admin only: every tenant with its number of jobs and cases
+ */
+app.get('/tenants', async (req, res) => {
+  try {
+    const tenants = await Promise.all(listTenants().map(async tenant => ({
+      ...tenant,
+      jobs: await countJobs(redisClient, tenant.id),
+      cases: await countCases(redisClient, tenant.id)
+    })));
+    res.json({ tenants });
   } catch (error) {
-    console.error('Error processing upload:', error);
+    log.error('Error listing tenants', { error });
     res.status(500).json({
-      error: 'Error processing file',
+      error: 'Error listing tenants',
       details: error.message
     });
   }
@@ -283,12 +491,65 @@ app.post('/upload', upload.single('file'), async (req, res) => {
 
 /**
  * GET /health - Health check endpoint
+ * Checks Redis, which uploads cannot be queued or processed without, and
+ * the services exceptions and notifications are sent to; while either is
+ * down calls wait in the outbox, so the service is degraded rather than down.
+ * Responds 503 when down.
  */
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'upload-service' });
+app.get('/health', async (req, res) => {
+  const [redisCheck, searchExceptions, notifyService] = await Promise.all([
+    checkRedis(redisClient),
+    checkService(SEARCH_EXCEPTIONS_URL),
+    checkService(NOTIFY_SERVICE_URL)
+  ]);
+  const dependencies = { redis: redisCheck, searchExceptions, notifyService };
+  const status = overallStatus(dependencies, ['redis']);
+
+  res.status(status === 'down' ? 503 : 200).json({
+    status,
+    service: 'upload-service',
+    uptimeSeconds: Math.round(process.uptime()),
+    dependencies
+  });
+});
+
+/**
+ * GET /metrics - Prometheus metrics: request latencies, uploads received and
+ * processed, downstream failures and queue sizes
+ */
+app.get('/metrics', metrics.metricsHandler);
+
+// Redis-backed gauges skip Redis while it is down: node-redis would hold
+// their commands until it reconnects
+function requireRedis() {
+  if (!redisClient.isReady) {
+    throw new Error('Redis is not connected');
+  }
+}
+metrics.gauge('upload_jobs', 'Upload jobs queued and processing', async () => {
+  requireRedis();
+  const { queued, processing } = await queueSizes(redisClient);
+  return [{ labels: { status: 'queued' }, value: queued }, { labels: { status: 'processing' }, value: processing }];
+});
+metrics.gauge('outbox_messages', 'Downstream calls awaiting retry and dead-lettered', async () => {
+  requireRedis();
+  const { pending, dead } = await outbox.getOutboxStats(redisClient);
+  return [{ labels: { status: 'pending' }, value: pending }, { labels: { status: 'dead' }, value: dead }];
+});
+
+// Rejected uploads: 4xx with a code per rejection reason
+app.use((error, req, res, next) => {
+  if (error instanceof UploadRejectedError) {
+    log.warn('Upload rejected', { code: error.code, error: error.message });
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  log.error('Unhandled error', { error });
+  res.status(500).json({
+    error: 'Internal server error',
+    details: error.message
+  });
 });
 
 app.listen(PORT, () => {
-  console.log(`Upload Service running on http://localhost:${PORT}`);
-  console.log(`Accepting file uploads at POST http://localhost:${PORT}/upload`);
+  log.info('Upload Service running', { url: `http://localhost:${PORT}` });
 });
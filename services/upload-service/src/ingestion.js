@@ -0,0 +1,481 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const multer = require('multer');
+const { FORMATS, detectFormat, zipEntries, gunzipStream, tarEntries } = require('./archives');
+
+const MB = 1024 * 1024;
+
+// Limits for bundles uploaded from the public internet. Entries and bytes
+// are counted across the upload and every archive nested in it.
+const LIMITS = {
+  uploadBytes: parseInt(process.env.UPLOAD_MAX_BYTES || String(50 * MB), 10),
+  entries: parseInt(process.env.ARCHIVE_MAX_ENTRIES || '1000', 10),
+  uncompressedBytes: parseInt(process.env.ARCHIVE_MAX_UNCOMPRESSED_BYTES || String(200 * MB), 10),
+  compressionRatio: parseFloat(process.env.ARCHIVE_MAX_COMPRESSION_RATIO || '100'),
+  depth: parseInt(process.env.ARCHIVE_MAX_DEPTH || '3', 10)
+};
+
+// Small entries compress well without being a threat; only larger ones are ratio-checked
+const RATIO_MIN_BYTES = 1 * MB;
+
+const ARCHIVE_EXTENSION = /\.(zip|tar|tgz|tar\.gz|gz)$/i;
+const ARCHIVE_MIME_TYPES = [
+  'application/zip', 'application/x-zip-compressed', 'application/x-zip', 'multipart/x-zip',
+  'application/gzip', 'application/x-gzip', 'application/x-tar', 'application/x-gtar', 'application/x-compressed-tar'
+];
+
+/**
+ * HTTP status for each rejection reason
+ */
+const REJECTION_STATUS = {
+  NO_FILE: 400,
+  UNEXPECTED_FIELD: 400,
+  FILE_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  INVALID_ARCHIVE: 422,
+  UNSAFE_PATH: 422,
+  SYMLINK_ENTRY: 422,
+  TOO_MANY_ENTRIES: 413,
+  ARCHIVE_TOO_LARGE: 413,
+  COMPRESSION_RATIO_EXCEEDED: 422
+};
+
+/**
+ * Error raised when an upload or one of its archive entries is rejected
+ */
+class UploadRejectedError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'UploadRejectedError';
+    this.code = code;
+    this.status = REJECTION_STATUS[code] || 400;
+  }
+}
+
+/**
+ * Display name for an uploaded file: the client-supplied name without any
+ * directory part or control characters. Never used as a storage path.
+ * @param {string} originalName
+ * @returns {string}
+ */
+function displayName(originalName) {
+  const name = path.posix.basename(String(originalName || '').replace(/\\/g, '/'));
+  return name.replace(/[\x00-\x1f\x7f]/g, '').slice(0, 255) || 'upload.zip';
+}
+
+/**
+ * Identify an upload's archive format from its content
+ * @param {string} filePath
+ * @returns {Promise<string>} One of FORMATS
+ */
+async function checkFormat(filePath) {
+  const format = await detectFormat(filePath);
+  if (!format) {
+    throw new UploadRejectedError('UNSUPPORTED_MEDIA_TYPE', 'File content is not a zip, tar, tar.gz or gzip archive');
+  }
+  return format;
+}
+
+/**
+ * Resolve an entry's extraction path, rejecting absolute paths and paths
+ * that escape the extraction directory
+ * @param {string} extractDir
+ * @param {string} entryPath - Path as stored in the archive
+ * @returns {string}
+ */
+function resolveEntryPath(extractDir, entryPath) {
+  const normalized = entryPath.replace(/\\/g, '/');
+  if (
+    normalized.includes('\0') ||
+    normalized.startsWith('/') ||
+    /^[a-z]:/i.test(normalized) ||
+    normalized.split('/').includes('..')
+  ) {
+    throw new UploadRejectedError('UNSAFE_PATH', `Archive entry has an unsafe path: ${entryPath}`);
+  }
+
+  const root = path.resolve(extractDir);
+  const target = path.resolve(root, normalized);
+  const prefix = root.endsWith(path.sep) ? root : root + path.sep;
+  if (target !== root && !target.startsWith(prefix)) {
+    throw new UploadRejectedError('UNSAFE_PATH', `Archive entry has an unsafe path: ${entryPath}`);
+  }
+  return target;
+}
+
+/**
+ * Read a zip archive's central directory
+ * @param {string} filePath
+ * @returns {Promise<object[]>} Entries
+ */
+async function openZip(filePath) {
+  try {
+    return await zipEntries(filePath);
+  } catch (error) {
+    throw new UploadRejectedError('INVALID_ARCHIVE', `Could not read zip archive: ${error.message}`);
+  }
+}
+
+/**
+ * Check one entry against the limits, counting it towards the upload's
+ * budget. Sizes here are as declared by the archive; extraction enforces
+ * the limits again on the bytes actually written.
+ * @param {object} entry - { path, type, size, compressedSize? }
+ * @param {object} budget - { entries, bytes } used so far by the upload
+ */
+function checkEntry(entry, budget) {
+  resolveEntryPath('/', entry.path);
+
+  if (entry.type === 'symlink') {
+    throw new UploadRejectedError('SYMLINK_ENTRY', `Archive entry is a link: ${entry.path}`);
+  }
+  if (entry.type === 'other') {
+    throw new UploadRejectedError('INVALID_ARCHIVE', `Archive entry is not a file or directory: ${entry.path}`);
+  }
+
+  budget.entries++;
+  if (budget.entries > LIMITS.entries) {
+    throw new UploadRejectedError('TOO_MANY_ENTRIES', `Archive has more than ${LIMITS.entries} entries`);
+  }
+
+  if (entry.compressedSize !== undefined) {
+    const ratio = entry.size / Math.max(entry.compressedSize, 1);
+    if (entry.size >= RATIO_MIN_BYTES && ratio > LIMITS.compressionRatio) {
+      throw new UploadRejectedError(
+        'COMPRESSION_RATIO_EXCEEDED',
+        `Archive entry ${entry.path} has a compression ratio of ${Math.round(ratio)}:1 (limit ${LIMITS.compressionRatio}:1)`
+      );
+    }
+  }
+}
+
+/**
+ * Check a zip's entries, all listed up front in its central directory
+ * @param {object[]} entries
+ * @param {object} budget
+ * @returns {{entries: number, uncompressedBytes: number}} As declared
+ */
+function checkEntries(entries, budget) {
+  if (budget.entries + entries.length > LIMITS.entries) {
+    throw new UploadRejectedError('TOO_MANY_ENTRIES', `Archive has ${entries.length} entries (limit ${LIMITS.entries})`);
+  }
+
+  let uncompressedBytes = 0;
+  for (const entry of entries) {
+    checkEntry(entry, budget);
+    uncompressedBytes += entry.size;
+  }
+
+  if (budget.bytes + uncompressedBytes > LIMITS.uncompressedBytes) {
+    throw new UploadRejectedError(
+      'ARCHIVE_TOO_LARGE',
+      `Archive expands to ${uncompressedBytes} bytes (limit ${LIMITS.uncompressedBytes})`
+    );
+  }
+
+  return { entries: entries.length, uncompressedBytes };
+}
+
+/**
+ * Stop a gzip stream that expands too far for how little it has read
+ * @param {string} name - Archive, for the error message
+ * @returns {function} Progress callback for gunzipStream
+ */
+function ratioGuard(name) {
+  return ({ compressedBytes, bytes }) => {
+    const ratio = bytes / Math.max(compressedBytes, 1);
+    if (bytes >= RATIO_MIN_BYTES && ratio > LIMITS.compressionRatio) {
+      throw new UploadRejectedError(
+        'COMPRESSION_RATIO_EXCEEDED',
+        `${name} has a compression ratio of over ${Math.floor(ratio)}:1 (limit ${LIMITS.compressionRatio}:1)`
+      );
+    }
+  };
+}
+
+/**
+ * The entries of an archive in any supported format, each checked against
+ * the limits before it is produced. A gzip file holds a single entry.
+ * @param {string} filePath
+ * @param {string} format - One of FORMATS
+ * @param {object} budget
+ * @param {object} names
+ * @param {string} names.archive - Archive's name, for messages
+ * @param {string} names.gunzipped - Name for a gzip file's content
+ * @returns {AsyncIterable<object>} { path, type, size, stream() }
+ */
+async function* readEntries(filePath, format, budget, { archive, gunzipped }) {
+  if (format === FORMATS.ZIP) {
+    const entries = await openZip(filePath);
+    checkEntries(entries, budget);
+    yield* entries;
+    return;
+  }
+
+  if (format === FORMATS.GZIP) {
+    const entry = { path: gunzipped, type: 'file', size: null, stream: () => gunzipStream(filePath, ratioGuard(archive)) };
+    checkEntry(entry, budget);
+    yield entry;
+    return;
+  }
+
+  const source = format === FORMATS.TAR_GZ ? gunzipStream(filePath, ratioGuard(archive)) : fs.createReadStream(filePath);
+  for await (const entry of tarEntries(source)) {
+    checkEntry(entry, budget);
+    if (budget.bytes + entry.size > LIMITS.uncompressedBytes) {
+      throw new UploadRejectedError('ARCHIVE_TOO_LARGE', `Archive expands to more than ${LIMITS.uncompressedBytes} bytes`);
+    }
+    yield entry;
+  }
+}
+
+/**
+ * Copy an entry's content, counting the bytes so an archive that
+ * under-declares its sizes is stopped once it reaches the declared size or
+ * the archive limit
+ * @param {object} entry
+ * @param {object} destination - Writable stream
+ * @param {object} budget
+ */
+async function copyEntry(entry, destination, budget) {
+  let entryBytes = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      entryBytes += chunk.length;
+      budget.bytes += chunk.length;
+      if ((entry.size !== null && entryBytes > entry.size) || budget.bytes > LIMITS.uncompressedBytes) {
+        callback(new UploadRejectedError('ARCHIVE_TOO_LARGE', `Archive entry ${entry.path} expands beyond its limit`));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+  await pipeline(entry.stream(), limiter, destination);
+}
+
+/**
+ * Errors reading an archive's structure or data mean it is corrupt
+ */
+function asRejection(error, format) {
+  if (error instanceof UploadRejectedError) {
+    return error;
+  }
+  return new UploadRejectedError('INVALID_ARCHIVE', `Could not read ${format} archive: ${error.message}`);
+}
+
+/**
+ * Name for what an archive is extracted to: its name without the archive
+ * extension, changed if something by that name already exists
+ * @param {string} archivePath
+ * @returns {string}
+ */
+function extractedPathFor(archivePath) {
+  const stripped = archivePath.replace(ARCHIVE_EXTENSION, '');
+  const base = stripped && stripped !== archivePath && !stripped.endsWith(path.sep) ? stripped : `${archivePath}_extracted`;
+  let candidate = base;
+  for (let n = 2; fs.existsSync(candidate); n++) {
+    candidate = `${base}_${n}`;
+  }
+  return candidate;
+}
+
+/**
+ * Validate an uploaded archive without writing anything. Zip entries are
+ * checked from the central directory; tar and gzip data has no index, so it
+ * is read through.
+ * @param {string} filePath
+ * @param {string} [name] - Name the archive was uploaded as
+ * @returns {{format: string, entries: number, uncompressedBytes: number}}
+ */
+async function inspectArchive(filePath, name = path.basename(filePath)) {
+  const format = await checkFormat(filePath);
+  const budget = { entries: 0, bytes: 0 };
+  let declaredBytes = 0;
+  const discard = () => new Writable({ write: (chunk, encoding, callback) => callback() });
+
+  try {
+    for await (const entry of readEntries(filePath, format, budget, { archive: name, gunzipped: name })) {
+      if (entry.type !== 'file') {
+        continue;
+      }
+      if (format === FORMATS.ZIP) {
+        declaredBytes += entry.size;
+      } else {
+        await copyEntry(entry, discard(), budget);
+      }
+    }
+  } catch (error) {
+    throw asRejection(error, format);
+  }
+
+  return { format, entries: budget.entries, uncompressedBytes: format === FORMATS.ZIP ? declaredBytes : budget.bytes };
+}
+
+/**
+ * Extract one archive's entries into a directory
+ * @returns {Promise<string[]>} Files written
+ */
+async function extractInto(filePath, format, dir, budget, names) {
+  const written = [];
+  try {
+    for await (const entry of readEntries(filePath, format, budget, names)) {
+      const target = resolveEntryPath(dir, entry.path);
+      if (entry.type === 'directory') {
+        await fs.promises.mkdir(target, { recursive: true });
+        continue;
+      }
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await copyEntry(entry, fs.createWriteStream(target), budget);
+      written.push(target);
+    }
+  } catch (error) {
+    throw asRejection(error, format);
+  }
+  return written;
+}
+
+/**
+ * Replace archives among extracted files with their content, down to
+ * LIMITS.depth levels of nesting; deeper archives are left as they are
+ * @param {string[]} files - Files just extracted
+ * @param {object} budget
+ * @param {number} depth - Nesting level of archives among files; 1 is inside the upload
+ * @param {object} found - { extracted: [], skipped: [] } nested archives, collected
+ */
+async function extractNested(files, budget, depth, found) {
+  for (const file of files) {
+    const format = await detectFormat(file);
+    if (!format) {
+      continue;
+    }
+    if (depth > LIMITS.depth) {
+      found.skipped.push(file);
+      continue;
+    }
+
+    const target = extractedPathFor(file);
+    const names = { archive: path.basename(file), gunzipped: path.basename(target) };
+    const written = format === FORMATS.GZIP
+      ? await extractInto(file, format, path.dirname(target), budget, names)
+      : await extractInto(file, format, target, budget, names);
+    await fs.promises.rm(file);
+    found.extracted.push({ file, format });
+
+    await extractNested(written, budget, depth + 1, found);
+  }
+}
+
+/**
+ * Extract an upload, and the archives nested in it, checking every entry
+ * against the limits as it goes.
+ * @param {string} filePath - Path to the uploaded archive
+ * @param {string} extractDir - Directory to extract into (replaced if present)
+ * @param {string} [name] - Name the archive was uploaded as; names a gzip file's content
+ * @returns {Promise<object>} { format, entries, bytes, nested: [{ file, format }], skipped: [file] }
+ *   with nested files relative to extractDir
+ */
+async function extractArchive(filePath, extractDir, name = path.basename(filePath)) {
+  const format = await checkFormat(filePath);
+
+  await fs.promises.rm(extractDir, { recursive: true, force: true });
+  await fs.promises.mkdir(extractDir, { recursive: true });
+
+  const budget = { entries: 0, bytes: 0 };
+  const gunzipped = name.replace(ARCHIVE_EXTENSION, '') || 'content';
+  const written = await extractInto(filePath, format, extractDir, budget, { archive: name, gunzipped });
+
+  const found = { extracted: [], skipped: [] };
+  await extractNested(written, budget, 1, found);
+
+  const relative = file => path.relative(extractDir, file).split(path.sep).join('/');
+  return {
+    format,
+    entries: budget.entries,
+    bytes: budget.bytes,
+    nested: found.extracted.map(({ file, format: nestedFormat }) => ({ file: relative(file), format: nestedFormat })),
+    skipped: found.skipped.map(relative)
+  };
+}
+
+/**
+ * Extension an upload is stored with: its archive extension, with .tar.gz
+ * shortened so the name has a single extension. Only for people looking
+ * at the uploads directory; the format is detected from the content.
+ * @param {string} originalName
+ * @returns {string}
+ */
+function storedExtension(originalName) {
+  const match = String(originalName || '').match(ARCHIVE_EXTENSION);
+  if (!match) {
+    return '.zip';
+  }
+  return match[1].toLowerCase() === 'tar.gz' ? '.tgz' : `.${match[1].toLowerCase()}`;
+}
+
+/**
+ * Create the upload middleware: a single zip, tar, tar.gz or gzip file per
+ * request, stored under a generated name and validated before the route
+ * handler runs. Rejected uploads are deleted and passed on as
+ * UploadRejectedError.
+ * @param {string} uploadsDir - Directory uploads are stored in
+ * @param {string} fieldName - Multipart field holding the file
+ * @returns {function} Express middleware
+ */
+function createUploadMiddleware(uploadsDir, fieldName) {
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => cb(null, uploadsDir),
+      filename: (req, file, cb) => cb(null, `${Date.now()}-${crypto.randomUUID()}${storedExtension(file.originalname)}`)
+    }),
+    limits: { fileSize: LIMITS.uploadBytes, files: 1, fields: 10 },
+    fileFilter: (req, file, cb) => {
+      if (!ARCHIVE_EXTENSION.test(file.originalname) && !ARCHIVE_MIME_TYPES.includes(file.mimetype)) {
+        cb(new UploadRejectedError('UNSUPPORTED_MEDIA_TYPE', `Only zip, tar, tar.gz and gzip archives are accepted (got ${file.mimetype})`));
+        return;
+      }
+      cb(null, true);
+    }
+  }).single(fieldName);
+
+  const multerErrors = {
+    LIMIT_FILE_SIZE: ['FILE_TOO_LARGE', `File exceeds the ${LIMITS.uploadBytes} byte upload limit`],
+    LIMIT_FILE_COUNT: ['UNEXPECTED_FIELD', 'Only one file may be uploaded per request'],
+    LIMIT_UNEXPECTED_FILE: ['UNEXPECTED_FIELD', `Upload the file in the "${fieldName}" field`]
+  };
+
+  return (req, res, next) => {
+    upload(req, res, async (error) => {
+      if (error instanceof multer.MulterError) {
+        const [code, message] = multerErrors[error.code] || ['UNEXPECTED_FIELD', error.message];
+        return next(new UploadRejectedError(code, message));
+      }
+      if (error) {
+        return next(error);
+      }
+      if (!req.file) {
+        return next(new UploadRejectedError('NO_FILE', 'No file uploaded'));
+      }
+
+      try {
+        req.file.displayName = displayName(req.file.originalname);
+        req.file.archive = await inspectArchive(req.file.path, req.file.displayName);
+        next();
+      } catch (validationError) {
+        await fs.promises.rm(req.file.path, { force: true });
+        next(validationError);
+      }
+    });
+  };
+}
+
+module.exports = {
+  LIMITS,
+  UploadRejectedError,
+  resolveEntryPath,
+  createUploadMiddleware,
+  inspectArchive,
+  extractArchive
+};
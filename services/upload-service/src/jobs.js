@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { DEFAULT_TENANT, tenantPrefix } = require('./tenants');
+
+const QUEUE_KEY = 'jobs:queue';
+const PROCESSING_KEY = 'jobs:processing';
+const INDEX_KEY = 'jobs:all';
+// Jobs are listed in pages of this many, read with one MGET each
+const LIST_BATCH_SIZE = 100;
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const STEP_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+function jobKey(id) {
+  return `job:${id}`;
+}
+
+// Each tenant has its own index of jobs, newest last
+function indexKey(tenantId) {
+  return tenantPrefix(tenantId) + INDEX_KEY;
+}
+
+/**
+ * Create an upload job and add it to the queue
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} upload - { fileName, filePath, size, caseId?, tenantId?, correlationId? }
+ * @param {string[]} stepNames - Processing steps, in order
+ * @returns {object} The new job
+ */
+async function createJob(redisClient, { fileName, filePath, size, caseId, tenantId, correlationId }, stepNames) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    tenantId: tenantId || DEFAULT_TENANT,
+    status: JOB_STATUS.QUEUED,
+    fileName,
+    filePath,
+    size,
+    caseId: caseId || null,
+    correlationId: correlationId || null,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    error: null,
+    steps: Object.fromEntries(stepNames.map(name => [name, { status: STEP_STATUS.PENDING }])),
+    result: null
+  };
+
+  await redisClient.multi()
+    .set(jobKey(job.id), JSON.stringify(job))
+    .zAdd(indexKey(job.tenantId), [{ score: Date.now(), value: job.id }])
+    .lPush(QUEUE_KEY, job.id)
+    .exec();
+
+  return job;
+}
+
+/**
+ * Load a job
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} id - Job id
+ * @returns {object|null}
+ */
+async function getJob(redisClient, id) {
+  const stored = await redisClient.get(jobKey(id));
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Persist a job's current state
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} job
+ */
+async function saveJob(redisClient, job) {
+  job.updatedAt = new Date().toISOString();
+  await redisClient.set(jobKey(job.id), JSON.stringify(job));
+}
+
+/**
+ * List a tenant's jobs, newest first
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} options
+ * @param {string} options.tenantId - Tenant the jobs belong to
+ * @param {string} [options.status] - Only jobs with this status
+ * @param {number} options.limit - Maximum jobs to return
+ * @returns {object[]}
+ */
+async function listJobs(redisClient, { tenantId, status, limit }) {
+  const jobs = [];
+
+  for (let start = 0; jobs.length < limit; start += LIST_BATCH_SIZE) {
+    const ids = await redisClient.zRange(indexKey(tenantId), start, start + LIST_BATCH_SIZE - 1, { REV: true });
+    if (ids.length === 0) {
+      break;
+    }
+
+    const stored = await redisClient.mGet(ids.map(jobKey));
+    for (const job of stored.filter(Boolean).map(value => JSON.parse(value))) {
+      if (!status || job.status === status) {
+        jobs.push(job);
+        if (jobs.length >= limit) {
+          break;
+        }
+      }
+    }
+  }
+
+  return jobs;
+}
+
+/**
+ * Number of jobs a tenant has uploaded
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} tenantId
+ * @returns {number}
+ */
+async function countJobs(redisClient, tenantId) {
+  return redisClient.zCard(indexKey(tenantId));
+}
+
+/**
+ * Ids of a tenant's jobs with their creation times, newest first
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} tenantId
+ * @returns {Array<{value: string, score: number}>} Job id and creation time in milliseconds
+ */
+async function listJobIds(redisClient, tenantId) {
+  return redisClient.zRangeWithScores(indexKey(tenantId), 0, -1, { REV: true });
+}
+
+/**
+ * Ids of every job waiting in the queue or being processed
+ * @param {object} redisClient - Connected Redis client
+ * @returns {Set<string>}
+ */
+async function activeJobIds(redisClient) {
+  const [queued, processing] = await redisClient.multi()
+    .lRange(QUEUE_KEY, 0, -1)
+    .lRange(PROCESSING_KEY, 0, -1)
+    .exec();
+  return new Set([...queued, ...processing]);
+}
+
+/**
+ * Number of jobs waiting in the queue and being processed, across tenants
+ * @param {object} redisClient - Connected Redis client
+ * @returns {{queued: number, processing: number}}
+ */
+async function queueSizes(redisClient) {
+  const [queued, processing] = await redisClient.multi()
+    .lLen(QUEUE_KEY)
+    .lLen(PROCESSING_KEY)
+    .exec();
+  return { queued, processing };
+}
+
+/**
+ * Delete a job. Jobs still queued or processing must not be deleted.
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} job
+ */
+async function deleteJob(redisClient, job) {
+  await redisClient.multi()
+    .del(jobKey(job.id))
+    .zRem(indexKey(job.tenantId), job.id)
+    .exec();
+}
+
+/**
+ * A job's status and the status of each of its steps, in order
+ * @param {object} job
+ * @returns {object} { jobId, caseId, status, error, steps: [{ name, status }], result }
+ */
+function describeProgress(job) {
+  return {
+    jobId: job.id,
+    caseId: job.caseId,
+    status: job.status,
+    error: job.error,
+    steps: Object.entries(job.steps).map(([name, step]) => ({ name, status: step.status })),
+    result: job.result
+  };
+}
+
+/**
+ * Put a failed job back on the queue. Completed steps are kept and
+ * skipped when the job runs again.
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} job - Failed job
+ * @returns {object} The requeued job
+ */
+async function retryJob(redisClient, job) {
+  job.status = JOB_STATUS.QUEUED;
+  job.error = null;
+  for (const step of Object.values(job.steps)) {
+    if (step.status !== STEP_STATUS.COMPLETED) {
+      step.status = STEP_STATUS.PENDING;
+      delete step.error;
+    }
+  }
+
+  await saveJob(redisClient, job);
+  await redisClient.lPush(QUEUE_KEY, job.id);
+  return job;
+}
+
+/**
+ * Requeue jobs that were being processed when the worker stopped
+ * @param {object} redisClient - Connected Redis client
+ * @returns {number} Number of jobs recovered
+ */
+async function recoverJobs(redisClient) {
+  let recovered = 0;
+  while (await redisClient.lMove(PROCESSING_KEY, QUEUE_KEY, 'RIGHT', 'LEFT')) {
+    recovered++;
+  }
+  return recovered;
+}
+
+/**
+ * Wait for the next queued job id and mark it as in progress.
+ * Must be called on a dedicated connection since it blocks.
+ * @param {object} blockingClient - Connected Redis client used only for blocking reads
+ * @param {number} timeoutSeconds - How long to wait
+ * @returns {string|null} Job id, or null on timeout
+ */
+async function nextJob(blockingClient, timeoutSeconds) {
+  return blockingClient.blMove(QUEUE_KEY, PROCESSING_KEY, 'RIGHT', 'LEFT', timeoutSeconds);
+}
+
+/**
+ * Remove a job from the in-progress list once it has completed or failed
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} id - Job id
+ */
+async function releaseJob(redisClient, id) {
+  await redisClient.lRem(PROCESSING_KEY, 1, id);
+}
+
+module.exports = {
+  JOB_STATUS,
+  STEP_STATUS,
+  createJob,
+  getJob,
+  saveJob,
+  listJobs,
+  countJobs,
+  listJobIds,
+  activeJobIds,
+  queueSizes,
+  deleteJob,
+  describeProgress,
+  retryJob,
+  recoverJobs,
+  nextJob,
+  releaseJob
+};
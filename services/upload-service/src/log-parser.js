@@ -0,0 +1,178 @@
+// A new log entry starts with a timestamp or a level, optionally bracketed,
+// or is a JSON object on its own line
+const ENTRY_START = /^(?:\{|\[?(?:\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}|\d{2}:\d{2}:\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4} |(?:TRACE|DEBUG|INFO|NOTICE|WARN(?:ING)?|ERROR|SEVERE|FATAL|CRIT(?:ICAL)?|EMERG)\b))/;
+
+// Entry levels that mark an error even without a stack trace
+const ERROR_LEVEL = /\b(?:ERROR|SEVERE|FATAL|CRIT(?:ICAL)?|EMERG)\b/;
+
+// Unindented "SomeException: message" / "TypeError: message" header
+const EXCEPTION_HEADER = /^(?:Exception in thread "[^"]*" )?(?:[A-Za-z_$][\w$]*\.)*[\w$]*(?:Exception|Error|Throwable|Fault)(?::|$)/;
+
+const PYTHON_TRACEBACK = /^Traceback \(most recent call last\):/;
+
+// Lines that belong to the stack trace started on a previous line
+const STACK_CONTINUATION = [
+  /^\s+at\s/,                                  // Java, .NET, Node.js frames
+  /^\s+File ".*", line \d+/,                   // Python frames
+  /^\s+\.\.\. \d+ (?:more|common frames omitted)/,
+  /^Caused by: /,
+  /^\s*Suppressed: /,
+  /^\s*--- End of (?:inner exception )?stack trace/,
+  /^\s+---> /,
+  /^\s+\S/                                     // Any other indented detail
+];
+
+const STACK_FRAME = /^\s+(?:at\s|File ".*", line \d+)/;
+
+// Fields a JSON log entry uses for its level and for an attached error
+const JSON_LEVEL_FIELDS = ['level', 'severity', 'levelname', 'log.level', '@l'];
+const JSON_ERROR_FIELDS = ['exception', 'Exception', '@x', 'error', 'err', 'exc_info', 'stack', 'stack_trace', 'error.stack_trace'];
+
+// Bunyan/pino numeric level for "error"
+const JSON_ERROR_LEVEL_NUMBER = 50;
+
+// Minimum entry-start lines before a file is treated as a structured log
+const MIN_LOG_ENTRIES = 2;
+
+/**
+ * Whether a line continues a stack trace
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isContinuation(line) {
+  return STACK_CONTINUATION.some(pattern => pattern.test(line));
+}
+
+/**
+ * Whether a group of lines describes an exception
+ * @param {string[]} lines
+ * @returns {boolean}
+ */
+function looksLikeException(lines) {
+  return lines.some(line => STACK_FRAME.test(line) || PYTHON_TRACEBACK.test(line));
+}
+
+/**
+ * Whether a JSON log entry is an error-level entry or carries an error
+ * @param {string} text - Entry text
+ * @returns {boolean|null} null when the text is not a JSON object
+ */
+function isJsonErrorEntry(text) {
+  let entry;
+  try {
+    entry = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  if (JSON_ERROR_FIELDS.some(field => entry[field])) {
+    return true;
+  }
+  return JSON_LEVEL_FIELDS.some(field => {
+    const level = entry[field];
+    return typeof level === 'number'
+      ? level >= JSON_ERROR_LEVEL_NUMBER
+      : typeof level === 'string' && ERROR_LEVEL.test(level.toUpperCase());
+  });
+}
+
+/**
+ * Split a structured log into entries and keep those that are errors
+ * @param {string[]} lines - File lines
+ * @returns {Array<{text: string, line: number}>} Exception blocks
+ */
+function parseLogEntries(lines) {
+  const blocks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      const text = current.lines.join('\n').trim();
+      const jsonError = text.startsWith('{') ? isJsonErrorEntry(text) : null;
+      const isError = jsonError !== null
+        ? jsonError
+        : ERROR_LEVEL.test(current.lines[0]) || looksLikeException(current.lines);
+      if (isError) {
+        blocks.push({ text, line: current.line });
+      }
+    }
+    current = null;
+  };
+
+  lines.forEach((line, i) => {
+    if (ENTRY_START.test(line)) {
+      flush();
+      current = { line: i + 1, lines: [line] };
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Find bare stack traces (stderr dumps, crash reports) in unstructured text
+ * @param {string[]} lines - File lines
+ * @returns {Array<{text: string, line: number}>} Exception blocks
+ */
+function parseBareTraces(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!EXCEPTION_HEADER.test(line) && !PYTHON_TRACEBACK.test(line)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const isPython = PYTHON_TRACEBACK.test(line);
+    i++;
+    while (i < lines.length && isContinuation(lines[i])) {
+      i++;
+    }
+    // Python prints the exception type after the frames
+    if (isPython && i < lines.length && EXCEPTION_HEADER.test(lines[i])) {
+      i++;
+    }
+
+    const blockLines = lines.slice(start, i);
+    if (looksLikeException(blockLines)) {
+      blocks.push({ text: blockLines.join('\n').trim(), line: start + 1 });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Find every exception block in a file's content.
+ *
+ * Structured logs (lines prefixed with a timestamp or level, or JSON lines)
+ * are split into entries, keeping error-level entries and entries carrying
+ * a stack trace.
+ * Other text is scanned for bare stack traces. When neither yields a block,
+ * the caller decides whether the whole file is a single exception report.
+ *
+ * @param {string} content - File content
+ * @returns {Array<{text: string, line: number}>} Exception blocks with 1-based start line
+ */
+function findExceptionBlocks(content) {
+  const lines = content.split(/\r?\n/);
+  const entryStarts = lines.filter(line => ENTRY_START.test(line)).length;
+
+  if (entryStarts >= MIN_LOG_ENTRIES) {
+    return parseLogEntries(lines);
+  }
+  return parseBareTraces(lines);
+}
+
+module.exports = {
+  findExceptionBlocks
+};
@@ -0,0 +1,3 @@
+const { createMetrics } = require('faas-service-common');
+
+module.exports = createMetrics('upload-service');
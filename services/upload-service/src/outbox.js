@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const runtime = require('./faas/runtime');
+const { log, currentContext, runWithContext } = require('./logger');
+const metrics = require('./metrics');
+
+const SCHEDULED_KEY = 'outbox:scheduled';
+const DEAD_KEY = 'outbox:dead';
+
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10);
+const BASE_DELAY_MS = parseInt(process.env.OUTBOX_BASE_DELAY_MS || '1000', 10);
+const MAX_DELAY_MS = parseInt(process.env.OUTBOX_MAX_DELAY_MS || '300000', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '1000', 10);
+// A claimed message is retried if it is not settled within this time (e.g. after a crash)
+const LEASE_MS = 120000;
+const POLL_BATCH_SIZE = 20;
+const DELIVERED_TTL_SECONDS = 7 * 24 * 60 * 60;
+const ERROR_HISTORY_LIMIT = 10;
+
+const MESSAGE_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD: 'dead'
+};
+
+const downstreamFailures = metrics.counter(
+  'downstream_failures_total',
+  'Failed calls to search-exceptions and notify-service, by function and whether they will be retried',
+  ['function', 'outcome']
+);
+
+function messageKey(id) {
+  return `outbox:message:${id}`;
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempts) {
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Load an outbox message
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} id - Message id
+ * @returns {object|null}
+ */
+async function getMessage(redisClient, id) {
+  const stored = await redisClient.get(messageKey(id));
+  return stored ? JSON.parse(stored) : null;
+}
+
+async function saveMessage(redisClient, message) {
+  message.updatedAt = new Date().toISOString();
+  await redisClient.set(messageKey(message.id), JSON.stringify(message));
+}
+
+/**
+ * Make one delivery attempt: invoke the message's function and record the
+ * outcome. Failed attempts are rescheduled with backoff until they run out,
+ * then the message is dead-lettered. Errors the handler marks as not
+ * retryable are dead-lettered straight away.
+ * The function gets the message id as its idempotency key. Once it has
+ * succeeded that is saved, and later attempts only queue its follow-ups.
+ * Calls returned by the function (result.calls) are sent as new messages.
+ * The attempt runs under the message's correlation id, which the function
+ * sends on downstream requests and follow-up messages inherit.
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} message - Claimed outbox message
+ * @returns {object} The updated message
+ */
+function deliver(redisClient, message) {
+  return runWithContext({ correlationId: message.correlationId || undefined }, () => attemptDelivery(redisClient, message));
+}
+
+async function attemptDelivery(redisClient, message) {
+  message.attempts++;
+  message.lastAttemptAt = new Date().toISOString();
+
+  try {
+    if (!message.invokedAt) {
+      const { result } = await runtime.invoke(message.function, message.event, { idempotencyKey: message.id });
+      message.invokedAt = new Date().toISOString();
+      message.result = result;
+      await saveMessage(redisClient, message);
+    }
+
+    // Follow-up ids are derived from this message's, so queueing them again
+    // after a failed attempt doesn't duplicate them
+    message.followUps = [];
+    for (const [i, call] of ((message.result && message.result.calls) || []).entries()) {
+      const followUp = await send(redisClient, { ...call, id: `${message.id}.${i + 1}`, parentId: message.id });
+      message.followUps.push(followUp.id);
+    }
+
+    message.status = MESSAGE_STATUS.DELIVERED;
+    message.deliveredAt = new Date().toISOString();
+    message.nextAttemptAt = null;
+    message.updatedAt = new Date().toISOString();
+    await redisClient.multi()
+      .set(messageKey(message.id), JSON.stringify(message), { EX: DELIVERED_TTL_SECONDS })
+      .zRem(SCHEDULED_KEY, message.id)
+      .exec();
+    return message;
+  } catch (error) {
+    message.lastError = error.message;
+    message.errors = [
+      ...message.errors,
+      { attempt: message.attempts, at: message.lastAttemptAt, error: error.message, code: error.code }
+    ].slice(-ERROR_HISTORY_LIMIT);
+
+    if (error.retryable === false || message.attempts >= message.maxAttempts) {
+      message.status = MESSAGE_STATUS.DEAD;
+      message.deadAt = new Date().toISOString();
+      message.nextAttemptAt = null;
+      downstreamFailures.inc({ function: message.function, outcome: 'dead' });
+      log.warn('Outbox message dead-lettered', {
+        function: message.function,
+        outboxId: message.id,
+        attempts: message.attempts,
+        error: error.message
+      });
+      await saveMessage(redisClient, message);
+      await redisClient.multi()
+        .zRem(SCHEDULED_KEY, message.id)
+        .zAdd(DEAD_KEY, [{ score: Date.now(), value: message.id }])
+        .exec();
+      return message;
+    }
+
+    const nextAttempt = Date.now() + backoffDelay(message.attempts);
+    message.nextAttemptAt = new Date(nextAttempt).toISOString();
+    downstreamFailures.inc({ function: message.function, outcome: 'retry' });
+    log.warn('Outbox delivery failed, retrying', {
+      function: message.function,
+      outboxId: message.id,
+      attempts: message.attempts,
+      nextAttemptAt: message.nextAttemptAt,
+      error: error.message
+    });
+    await saveMessage(redisClient, message);
+    await redisClient.zAdd(SCHEDULED_KEY, [{ score: nextAttempt, value: message.id }]);
+    return message;
+  }
+}
+
+/**
+ * Durably queue a function call and make the first attempt straight away.
+ * If it fails, the dispatcher retries it in the background.
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} call
+ * @param {string} call.function - Function to invoke
+ * @param {object} call.event - Event passed to the function
+ * @param {string} [call.parentId] - Message whose delivery queued this call
+ * @param {string} [call.correlationId] - Defaults to the caller's correlation id
+ * @param {string} [call.id] - Message id; if it is already queued, that message
+ *   is returned and nothing is sent
+ * @returns {object} The message after its first attempt
+ */
+async function send(redisClient, call) {
+  if (call.id) {
+    const existing = await getMessage(redisClient, call.id);
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const message = {
+    id: call.id || crypto.randomUUID(),
+    function: call.function,
+    event: call.event,
+    parentId: call.parentId || null,
+    correlationId: call.correlationId || currentContext().correlationId || null,
+    status: MESSAGE_STATUS.PENDING,
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    createdAt: now,
+    updatedAt: now,
+    lastAttemptAt: null,
+    nextAttemptAt: now,
+    lastError: null,
+    errors: []
+  };
+
+  // Written (and claimed) before the first attempt, so a crash mid-call is retried
+  await redisClient.multi()
+    .set(messageKey(message.id), JSON.stringify(message))
+    .zAdd(SCHEDULED_KEY, [{ score: Date.now() + LEASE_MS, value: message.id }])
+    .exec();
+
+  return deliver(redisClient, message);
+}
+
+/**
+ * Deliver the messages whose next attempt is due
+ * @param {object} redisClient - Connected Redis client
+ * @returns {number} Messages attempted
+ */
+async function dispatchDue(redisClient) {
+  const due = await redisClient.zRangeByScore(SCHEDULED_KEY, 0, Date.now(), {
+    LIMIT: { offset: 0, count: POLL_BATCH_SIZE }
+  });
+
+  for (const id of due) {
+    const message = await getMessage(redisClient, id);
+    if (!message || message.status !== MESSAGE_STATUS.PENDING) {
+      await redisClient.zRem(SCHEDULED_KEY, id);
+      continue;
+    }
+    await redisClient.zAdd(SCHEDULED_KEY, [{ score: Date.now() + LEASE_MS, value: id }]);
+    await deliver(redisClient, message);
+  }
+
+  return due.length;
+}
+
+/**
+ * Start retrying outbox messages in the background
+ * @param {object} redisClient - Connected Redis client
+ * @returns {function} Stops the dispatcher
+ */
+function startDispatcher(redisClient) {
+  let timer = null;
+  let running = true;
+
+  const poll = async () => {
+    try {
+      await dispatchDue(redisClient);
+    } catch (error) {
+      log.error('Outbox dispatch error', { error: error.message });
+    }
+    if (running) {
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  };
+
+  log.info('Outbox dispatcher started');
+  poll();
+
+  return () => {
+    running = false;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Dead-lettered messages, most recent first
+ * @param {object} redisClient - Connected Redis client
+ * @param {number} limit
+ * @returns {object[]}
+ */
+async function listDeadLetters(redisClient, limit) {
+  const ids = await redisClient.zRange(DEAD_KEY, 0, limit - 1, { REV: true });
+  const messages = await Promise.all(ids.map(id => getMessage(redisClient, id)));
+  return messages.filter(Boolean);
+}
+
+/**
+ * Outbox queue sizes
+ * @param {object} redisClient - Connected Redis client
+ * @returns {{pending: number, dead: number}}
+ */
+async function getOutboxStats(redisClient) {
+  const [pending, dead] = await Promise.all([
+    redisClient.zCard(SCHEDULED_KEY),
+    redisClient.zCard(DEAD_KEY)
+  ]);
+  return { pending, dead };
+}
+
+/**
+ * Move a dead-lettered message back to the outbox with a fresh set of
+ * attempts and make the first one straight away
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} message - Dead-lettered message
+ * @returns {object} The message after the replayed attempt
+ */
+async function replayDeadLetter(redisClient, message) {
+  message.status = MESSAGE_STATUS.PENDING;
+  message.maxAttempts = message.attempts + MAX_ATTEMPTS;
+  message.deadAt = null;
+  message.replayedAt = new Date().toISOString();
+  await saveMessage(redisClient, message);
+  await redisClient.multi()
+    .zRem(DEAD_KEY, message.id)
+    .zAdd(SCHEDULED_KEY, [{ score: Date.now() + LEASE_MS, value: message.id }])
+    .exec();
+
+  return deliver(redisClient, message);
+}
+
+/**
+ * Delete an outbox message, whatever its status
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} id - Message id
+ * @returns {boolean} Whether it existed
+ */
+async function deleteMessage(redisClient, id) {
+  const [deleted] = await redisClient.multi()
+    .del(messageKey(id))
+    .zRem(SCHEDULED_KEY, id)
+    .zRem(DEAD_KEY, id)
+    .exec();
+  return deleted > 0;
+}
+
+module.exports = {
+  MESSAGE_STATUS,
+  send,
+  getMessage,
+  startDispatcher,
+  listDeadLetters,
+  getOutboxStats,
+  replayDeadLetter,
+  deleteMessage
+};
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { ROLES, getExtractors, classifyFiles, readBundleMetadata } = require('./classifiers');
+const runtime = require('./faas/runtime');
+const { extractArchive } = require('./ingestion');
+const outbox = require('./outbox');
+const { redactRecord, redactCall, redactMetadata } = require('./redaction');
+const { log } = require('./logger');
+
+// Emitted once per classified file; the extract functions are triggered by it
+const FILE_EXTRACTED_EVENT = 'file.extracted';
+
+/**
+ * Every file under a directory, as paths relative to it with / separators
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(dir) {
+  const files = [];
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true, recursive: true })) {
+    if (entry.isFile()) {
+      files.push(path.relative(dir, path.join(entry.parentPath || entry.path, entry.name)).split(path.sep).join('/'));
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Log the contents of an extracted upload
+ * @param {string} filePath - Directory the archive was extracted to
+ * @param {string} fileName - Name of the uploaded archive
+ * @param {object} extraction - From extractArchive
+ */
+async function logArchiveContents(filePath, fileName, extraction) {
+  try {
+    const files = [];
+    for (const file of await listFiles(filePath)) {
+      const { size } = await fs.promises.stat(path.join(filePath, file));
+      files.push({ name: file, size });
+    }
+    log.info('Archive extracted', {
+      fileName,
+      format: extraction.format,
+      fileCount: files.length,
+      totalSize: files.reduce((sum, file) => sum + file.size, 0),
+      files,
+      ...(extraction.nested.length > 0 && { nested: extraction.nested }),
+      ...(extraction.skipped.length > 0 && { nestedTooDeep: extraction.skipped })
+    });
+  } catch (error) {
+    log.error('Error reading archive contents', { fileName, error });
+  }
+}
+
+/**
+ * Directory an upload is extracted to, next to the uploaded archive
+ * @param {string} filePath - Path to the uploaded archive
+ * @returns {string}
+ */
+function extractDirFor(filePath) {
+  return path.join(path.dirname(filePath), `${path.parse(filePath).name}_extracted`);
+}
+
+/**
+ * Directory a bundle's files are in. Tar bundles usually hold a single
+ * top-level directory; its content is treated as the bundle, so that
+ * manifest.json and file names are read relative to it.
+ * @param {string} extractDir
+ * @returns {Promise<string>}
+ */
+async function bundleRoot(extractDir) {
+  const entries = await fs.promises.readdir(extractDir, { withFileTypes: true });
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    return bundleRoot(path.join(extractDir, entries[0].name));
+  }
+  return extractDir;
+}
+
+/**
+ * Extract an upload, and the archives nested in it, next to the uploaded archive
+ * @param {string} filePath - Path to the uploaded archive
+ * @param {string} fileName - Name of the uploaded archive
+ * @returns {object} { extractDir, format, nested, skipped } with extractDir
+ *   the bundle's root directory
+ */
+async function extractUpload(filePath, fileName) {
+  const extractDir = extractDirFor(filePath);
+
+  const extraction = await extractArchive(filePath, extractDir, fileName);
+
+  await logArchiveContents(extractDir, fileName, extraction);
+  return {
+    extractDir: await bundleRoot(extractDir),
+    format: extraction.format,
+    nested: extraction.nested,
+    skipped: extraction.skipped
+  };
+}
+
+/**
+ * STEP extracted: unpack the upload and read the customer its manifest
+ * names, so an upload that fails in a later step can still be purged by
+ * customer
+ * @param {object} job - Upload job
+ * @returns {object} { extractDir, format, nested, skipped, customer }
+ */
+async function extractStep(job) {
+  const result = await extractUpload(job.filePath, job.fileName);
+  const { customer } = readBundleMetadata(result.extractDir);
+  return { ...result, customer: typeof customer === 'string' ? customer : null };
+}
+
+/**
+ * STEP classified: assign a role to every extracted file, including files
+ * in subdirectories
+ * @param {object} job - Upload job
+ * @returns {Array<object>} File classifications
+ */
+async function classifyStep(job) {
+  const { extractDir } = job.steps.extracted.result;
+  const files = await listFiles(extractDir);
+
+  const classifications = await classifyFiles(extractDir, files);
+
+  log.info('Files classified', {
+    files: classifications.map(({ file, role, classifiedBy }) => ({ file, role, classifiedBy }))
+  });
+
+  return classifications;
+}
+
+/**
+ * STEP stored: hand each file to what handles its role - in-process
+ * extractors registered with registerExtractor, and functions triggered by
+ * the file.extracted event. Both return the records they found and the
+ * downstream calls to make; the calls are made by the next step.
+ * @param {object} job - Upload job
+ * @returns {object} { extracted: records by role, calls, invocations, bundle }
+ */
+async function storeStep(job) {
+  const { extractDir } = job.steps.extracted.result;
+  const classifications = job.steps.classified.result;
+  const extracted = {};
+  const calls = [];
+  const invocations = [];
+  const bundle = {
+    size: job.size,
+    uploadedAt: job.createdAt,
+    // Saved with the job and sent with every exception occurrence, so masked like their text
+    metadata: redactMetadata(readBundleMetadata(extractDir))
+  };
+  const context = {
+    extractDir,
+    fileName: job.fileName,
+    notify: (notification) => calls.push(redactCall({
+      function: 'notify',
+      event: {
+        ...notification,
+        details: { ...notification.details, uploadId: job.id, customer: bundle.metadata.customer },
+        tenantId: job.tenantId
+      }
+    }))
+  };
+
+  // Sensitive values are masked here, before any record is saved or any call is queued
+  const addRecords = (role, records) => {
+    extracted[role] = (extracted[role] || []).concat(records.map(redactRecord));
+  };
+
+  for (const classification of classifications) {
+    for (const extractor of getExtractors(classification.role)) {
+      addRecords(classification.role, await extractor(classification, context));
+    }
+
+    const event = { ...classification, extractDir, zipFile: job.fileName, uploadId: job.id, tenantId: job.tenantId, bundle };
+    for (const invocation of await runtime.emit(FILE_EXTRACTED_EVENT, event)) {
+      if (invocation.error) {
+        throw new Error(`${invocation.function} failed for ${classification.file}: ${invocation.error}`);
+      }
+      invocations.push({
+        function: invocation.function,
+        file: classification.file,
+        coldStart: invocation.coldStart,
+        durationMs: invocation.durationMs
+      });
+      addRecords(classification.role, invocation.result.records);
+      calls.push(...invocation.result.calls.map(redactCall));
+    }
+  }
+
+  return { extracted, calls, invocations, bundle };
+}
+
+/**
+ * Summarise an outbox message, and the follow-up calls its delivery queued
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} message - Outbox message
+ * @returns {Array<object>}
+ */
+async function describeDelivery(redisClient, message) {
+  const { event } = message;
+  const delivery = {
+    outboxId: message.id,
+    function: message.function,
+    status: message.status,
+    attempts: message.attempts,
+    ...(event.type && { type: event.type, title: event.title }),
+    file: event.file || (event.details && event.details.file),
+    ...(event.line && { line: event.line }),
+    ...(message.lastError && { error: message.lastError }),
+    ...(message.result && message.result.record),
+    // notify-service answers with the stored notification's id, or suppressed
+    ...(message.function === 'notify' && message.result && {
+      notificationId: message.result.id || null,
+      suppressed: Boolean(message.result.suppressed)
+    })
+  };
+
+  const deliveries = [delivery];
+  for (const id of message.followUps || []) {
+    const followUp = await outbox.getMessage(redisClient, id);
+    if (followUp) {
+      deliveries.push(...await describeDelivery(redisClient, followUp));
+    }
+  }
+  return deliveries;
+}
+
+/**
+ * STEP delivered: make each queued call (store-exception, notify) through
+ * the outbox. Calls that fail are retried in the background and
+ * dead-lettered if they never succeed, so they are reported here as
+ * pending rather than failing the job.
+ * @param {object} job - Upload job
+ * @param {object} redisClient - Connected Redis client
+ * @returns {Array<object>} Delivery per call, including follow-up calls
+ */
+async function deliverStep(job, redisClient) {
+  const { calls } = job.steps.stored.result;
+
+  // Message ids are derived from the job's, so running the step again after
+  // a crash or retry finds the calls already queued rather than sending them
+  // again under new idempotency keys
+  const deliveries = [];
+  for (const [i, call] of calls.entries()) {
+    const message = await outbox.send(redisClient, { ...call, id: `${job.id}.${i + 1}` });
+    deliveries.push(...await describeDelivery(redisClient, message));
+  }
+
+  for (const delivery of deliveries.filter(candidate => candidate.function === 'notify')) {
+    if (delivery.status === outbox.MESSAGE_STATUS.DELIVERED) {
+      log.info('Support notified', { type: delivery.type, outboxId: delivery.outboxId });
+    } else {
+      log.warn('Notification queued for retry', { type: delivery.type, outboxId: delivery.outboxId, error: delivery.error });
+    }
+  }
+
+  return deliveries;
+}
+
+/**
+ * Upload processing steps, run in order by the job worker as run(job, redisClient)
+ */
+const STEPS = [
+  { name: 'extracted', run: extractStep },
+  { name: 'classified', run: classifyStep },
+  { name: 'stored', run: storeStep },
+  { name: 'delivered', run: deliverStep }
+];
+
+/**
+ * Summarise a completed job's step results for API responses
+ * @param {object} job - Upload job
+ * @returns {object} Files, messages, exceptions and notifications
+ */
+function summarizeJob(job) {
+  const { extracted } = job.steps.stored.result;
+  const deliveries = job.steps.delivered.result;
+  return {
+    files: job.steps.classified.result,
+    messages: extracted[ROLES.MESSAGE] || [],
+    exceptions: deliveries.filter(delivery => delivery.function === 'store-exception'),
+    notifications: deliveries.filter(delivery => delivery.function === 'notify')
+  };
+}
+
+module.exports = {
+  STEPS,
+  extractDirFor,
+  summarizeJob,
+  describeDelivery
+};
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const { extractDirFor } = require('./pipeline');
+const { JOB_STATUS, getJob, listJobIds, activeJobIds, deleteJob } = require('./jobs');
+const { getCase, listCases, deleteCase } = require('./cases');
+const outbox = require('./outbox');
+const { postJson } = require('./http-client');
+const { listTenants, serviceHeaders } = require('./tenants');
+const { log } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEARCH_EXCEPTIONS_URL = process.env.SEARCH_EXCEPTIONS_URL || 'http://localhost:3002';
+const NOTIFY_SERVICE_URL = process.env.NOTIFY_SERVICE_URL || 'http://localhost:3003';
+
+// Uploaded zips (and any extracted files kept with them) older than
+// UPLOAD_RETENTION_DAYS, or beyond the newest UPLOAD_RETENTION_MAX_COUNT,
+// are deleted. Jobs and their cases follow the CASE_ limits. 0 turns a limit off.
+const UPLOAD_RETENTION_DAYS = parseInt(process.env.UPLOAD_RETENTION_DAYS || '7', 10);
+const UPLOAD_RETENTION_MAX_COUNT = parseInt(process.env.UPLOAD_RETENTION_MAX_COUNT || '500', 10);
+const CASE_RETENTION_DAYS = parseInt(process.env.CASE_RETENTION_DAYS || '365', 10);
+const CASE_RETENTION_MAX_COUNT = parseInt(process.env.CASE_RETENTION_MAX_COUNT || '0', 10);
+
+// Extracted files are deleted once a job completes unless this is set
+const KEEP_EXTRACTED_FILES = process.env.KEEP_EXTRACTED_FILES === 'true';
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS || '3600000', 10);
+
+/**
+ * Whether an item is past retention
+ * @param {number} time - When the item was created, in milliseconds
+ * @param {number} position - Its position among items of its kind, newest first
+ * @param {object} limits - { days, maxCount }
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isExpired(time, position, { days, maxCount }, now) {
+  return (days > 0 && time < now - days * DAY_MS) || (maxCount > 0 && position >= maxCount);
+}
+
+/**
+ * Delete the files extracted from a completed job's upload. Failed jobs
+ * keep theirs so they can be retried.
+ * @param {object} job - Completed upload job
+ */
+async function removeExtractedFiles(job) {
+  if (KEEP_EXTRACTED_FILES) {
+    return;
+  }
+  await fs.promises.rm(extractDirFor(job.filePath), { recursive: true, force: true });
+}
+
+/**
+ * Delete an outbox message and the follow-up messages its delivery queued
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} id - Message id
+ * @returns {number} Messages deleted
+ */
+async function deleteMessageTree(redisClient, id) {
+  const message = await outbox.getMessage(redisClient, id);
+  let deleted = 0;
+  for (const followUp of (message && message.followUps) || []) {
+    deleted += await deleteMessageTree(redisClient, followUp);
+  }
+  return deleted + (await outbox.deleteMessage(redisClient, id) ? 1 : 0);
+}
+
+/**
+ * Delete everything upload-service keeps for an upload: the zip, its
+ * extracted files, the job, its case and the outbox calls made for it
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} job - Upload job that is not queued or processing
+ * @returns {object} { uploadId, caseId, outboxMessages }
+ */
+async function purgeUpload(redisClient, job) {
+  await fs.promises.rm(job.filePath, { force: true });
+  await fs.promises.rm(extractDirFor(job.filePath), { recursive: true, force: true });
+
+  const supportCase = job.caseId ? await getCase(redisClient, job.caseId) : null;
+  const delivered = job.steps.delivered && job.steps.delivered.result;
+  const deliveries = [
+    ...(Array.isArray(delivered) ? delivered : []),
+    ...(supportCase ? [...supportCase.exceptions, ...supportCase.notifications] : [])
+  ];
+  let outboxMessages = 0;
+  for (const id of new Set(deliveries.map(delivery => delivery.outboxId))) {
+    outboxMessages += await deleteMessageTree(redisClient, id);
+  }
+
+  if (supportCase) {
+    await deleteCase(redisClient, supportCase);
+  }
+  await deleteJob(redisClient, job);
+
+  return { uploadId: job.id, caseId: job.caseId, outboxMessages };
+}
+
+/**
+ * Whether a job is waiting for or in processing, so must not be purged
+ * @param {object} job
+ * @returns {boolean}
+ */
+function isActive(job) {
+  return job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.PROCESSING;
+}
+
+/**
+ * Purge every upload whose bundle names a customer
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} tenantId - Tenant the uploads belong to
+ * @param {string} customer - Bundle metadata customer
+ * @returns {{uploads: object[], skipped: string[]}} Purged uploads, and ids of uploads still processing
+ */
+async function purgeCustomer(redisClient, tenantId, customer) {
+  const cases = await listCases(redisClient, { tenantId, customer, limit: Infinity });
+  const uploads = [];
+  const skipped = [];
+
+  for (const { uploadId } of cases) {
+    const job = await getJob(redisClient, uploadId);
+    if (job && isActive(job)) {
+      skipped.push(uploadId);
+    } else if (job) {
+      uploads.push(await purgeUpload(redisClient, job));
+    }
+  }
+
+  return { uploads, skipped };
+}
+
+/**
+ * Ask search-exceptions and notify-service to purge what they keep for an
+ * upload or customer. A service that cannot be reached is reported, not thrown.
+ * @param {object} target - { uploadId } or { customer }
+ * @param {string} tenantId
+ * @returns {{exceptions: object, notifications: object}} Each service's response, or { error }
+ */
+async function purgeDownstream(target, tenantId) {
+  const options = { headers: serviceHeaders(tenantId) };
+  const purge = (url) => postJson(url, target, options).catch(error => ({ error: error.message }));
+
+  const [exceptions, notifications] = await Promise.all([
+    purge(`${SEARCH_EXCEPTIONS_URL}/exceptions/purge`),
+    purge(`${NOTIFY_SERVICE_URL}/notifications/purge`)
+  ]);
+  return { exceptions, notifications };
+}
+
+/**
+ * Delete uploaded zips and extracted files past upload retention. Files
+ * of queued and processing jobs are kept.
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} uploadsDir - Directory uploads are stored in
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Uploads deleted
+ */
+async function sweepUploads(redisClient, uploadsDir, now) {
+  const activeFiles = new Set();
+  for (const id of await activeJobIds(redisClient)) {
+    const job = await getJob(redisClient, id);
+    if (job) {
+      activeFiles.add(path.basename(job.filePath));
+    }
+  }
+
+  // An upload is its zip and the directory it was extracted to
+  const uploads = new Map();
+  for (const entry of await fs.promises.readdir(uploadsDir)) {
+    const name = entry.endsWith('_extracted') ? entry.slice(0, -'_extracted'.length) : path.parse(entry).name;
+    const { mtimeMs } = await fs.promises.stat(path.join(uploadsDir, entry));
+    const upload = uploads.get(name) || { entries: [], time: 0, active: false };
+    upload.entries.push(entry);
+    upload.time = Math.max(upload.time, mtimeMs);
+    upload.active = upload.active || activeFiles.has(entry);
+    uploads.set(name, upload);
+  }
+
+  const limits = { days: UPLOAD_RETENTION_DAYS, maxCount: UPLOAD_RETENTION_MAX_COUNT };
+  const expired = [...uploads.values()]
+    .sort((a, b) => b.time - a.time)
+    .filter((upload, i) => !upload.active && isExpired(upload.time, i, limits, now));
+
+  for (const upload of expired) {
+    for (const entry of upload.entries) {
+      await fs.promises.rm(path.join(uploadsDir, entry), { recursive: true, force: true });
+    }
+  }
+  return expired.length;
+}
+
+/**
+ * Purge each tenant's jobs past case retention, with their cases, files
+ * and outbox calls. Queued and processing jobs are kept.
+ * @param {object} redisClient - Connected Redis client
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Jobs deleted
+ */
+async function sweepJobs(redisClient, now) {
+  const limits = { days: CASE_RETENTION_DAYS, maxCount: CASE_RETENTION_MAX_COUNT };
+  const active = await activeJobIds(redisClient);
+  let deleted = 0;
+
+  for (const tenant of listTenants()) {
+    const expired = (await listJobIds(redisClient, tenant.id))
+      .filter(({ value, score }, i) => !active.has(value) && isExpired(score, i, limits, now));
+
+    for (const { value: id } of expired) {
+      const job = await getJob(redisClient, id);
+      if (job) {
+        await purgeUpload(redisClient, job);
+        deleted++;
+      }
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Sweep uploads and jobs past retention now, then periodically
+ * @param {object} redisClient - Connected Redis client
+ * @param {string} uploadsDir - Directory uploads are stored in
+ * @returns {function} Stops the sweeper
+ */
+function startSweeper(redisClient, uploadsDir) {
+  let timer = null;
+  let running = true;
+
+  const sweep = async () => {
+    try {
+      const now = Date.now();
+      const uploads = await sweepUploads(redisClient, uploadsDir, now);
+      const jobs = await sweepJobs(redisClient, now);
+      if (uploads + jobs > 0) {
+        log.info('Retention sweep', { uploads, jobs });
+      }
+    } catch (error) {
+      log.error('Retention sweep error', { error: error.message });
+    }
+    if (running) {
+      timer = setTimeout(sweep, SWEEP_INTERVAL_MS);
+    }
+  };
+
+  log.info('Retention sweeper started');
+  sweep();
+
+  return () => {
+    running = false;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  removeExtractedFiles,
+  isActive,
+  purgeUpload,
+  purgeCustomer,
+  purgeDownstream,
+  startSweeper
+};
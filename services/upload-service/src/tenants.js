@@ -0,0 +1,48 @@
+const { DEFAULT_TENANT, loadTenants, listTenants, authenticate, requireAdmin } = require('faas-service-common');
+
+// Admin key sent to search-exceptions and notify-service, with the tenant each call is for
+const SERVICE_API_KEY = process.env.SERVICE_API_KEY || '';
+
+/**
+ * Whether a job or case belongs to a tenant. Those stored before tenants
+ * were configured have no tenantId and belong to the default tenant.
+ * @param {object} record - Job or case
+ * @param {string} tenantId
+ * @returns {boolean}
+ */
+function ownedBy(record, tenantId) {
+  return (record.tenantId || DEFAULT_TENANT) === tenantId;
+}
+
+/**
+ * Prefix of a tenant's job and case index keys
+ * @param {string} [tenantId] - Defaults to the default tenant
+ * @returns {string} Empty for the default tenant
+ */
+function tenantPrefix(tenantId) {
+  return !tenantId || tenantId === DEFAULT_TENANT ? '' : `tenant:${tenantId}:`;
+}
+
+/**
+ * Headers for a call to another service on behalf of a tenant. Without a
+ * SERVICE_API_KEY no headers are sent, which suits services with API keys off.
+ * @param {string} [tenantId] - Defaults to the default tenant
+ * @returns {object}
+ */
+function serviceHeaders(tenantId) {
+  if (!SERVICE_API_KEY) {
+    return {};
+  }
+  return { 'X-API-Key': SERVICE_API_KEY, 'X-Tenant-Id': tenantId || DEFAULT_TENANT };
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  loadTenants,
+  listTenants,
+  authenticate,
+  requireAdmin,
+  ownedBy,
+  tenantPrefix,
+  serviceHeaders
+};
@@ -0,0 +1,148 @@
+const { STEPS, summarizeJob } = require('./pipeline');
+const {
+  JOB_STATUS,
+  STEP_STATUS,
+  getJob,
+  saveJob,
+  recoverJobs,
+  nextJob,
+  releaseJob
+} = require('./jobs');
+const { syncCase } = require('./cases');
+const { removeExtractedFiles } = require('./retention');
+const { log, runWithContext } = require('./logger');
+const metrics = require('./metrics');
+
+// Seconds to block waiting for a job before checking whether to stop
+const POLL_TIMEOUT_SECONDS = 5;
+const ERROR_BACKOFF_MS = 1000;
+
+const uploadsProcessed = metrics.counter('uploads_processed_total', 'Upload jobs finished, by status', ['status']);
+const processingDuration = metrics.histogram(
+  'upload_processing_duration_seconds',
+  'Time taken to run an upload job\'s steps, by status',
+  ['status'],
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+);
+
+/**
+ * Run a job's remaining steps, saving progress after each one so that a
+ * crash or failure resumes from the last completed step. Runs under the
+ * correlation id of the upload request.
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} job - Upload job
+ */
+function runJob(redisClient, job) {
+  return runWithContext({ correlationId: job.correlationId || undefined, jobId: job.id }, async () => {
+    const started = Date.now();
+    const status = await runSteps(redisClient, job);
+    uploadsProcessed.inc({ status });
+    processingDuration.observe({ status }, (Date.now() - started) / 1000);
+  });
+}
+
+/**
+ * @param {object} redisClient - Connected Redis client
+ * @param {object} job - Upload job
+ * @returns {string} The job's final status
+ */
+async function runSteps(redisClient, job) {
+  job.status = JOB_STATUS.PROCESSING;
+  job.attempts++;
+  await saveJob(redisClient, job);
+  await syncCase(redisClient, job);
+
+  log.info('Job processing', { fileName: job.fileName, attempt: job.attempts, tenantId: job.tenantId });
+
+  for (const step of STEPS) {
+    const state = job.steps[step.name];
+    if (state.status === STEP_STATUS.COMPLETED) {
+      continue;
+    }
+
+    state.status = STEP_STATUS.RUNNING;
+    state.startedAt = new Date().toISOString();
+    await saveJob(redisClient, job);
+
+    try {
+      state.result = await step.run(job, redisClient);
+      state.status = STEP_STATUS.COMPLETED;
+      state.completedAt = new Date().toISOString();
+      await saveJob(redisClient, job);
+    } catch (error) {
+      log.error('Job step failed', { step: step.name, error: error.message });
+      state.status = STEP_STATUS.FAILED;
+      state.error = error.message;
+      if (error.result !== undefined) {
+        state.result = error.result;
+      }
+      job.status = JOB_STATUS.FAILED;
+      job.error = `${step.name}: ${error.message}`;
+      await saveJob(redisClient, job);
+      await syncCase(redisClient, job);
+      return job.status;
+    }
+  }
+
+  job.status = JOB_STATUS.COMPLETED;
+  job.result = summarizeJob(job);
+  await saveJob(redisClient, job);
+  await syncCase(redisClient, job);
+
+  try {
+    await removeExtractedFiles(job);
+  } catch (error) {
+    log.warn('Could not delete extracted files', { error: error.message });
+  }
+
+  log.info('Job processing complete');
+  return job.status;
+}
+
+/**
+ * Start processing queued upload jobs, one at a time
+ * @param {object} redisClient - Connected Redis client
+ * @returns {function} Stops the worker after the current job
+ */
+function startWorker(redisClient) {
+  let running = true;
+
+  (async () => {
+    const blockingClient = redisClient.duplicate();
+    blockingClient.on('error', (err) => log.error('Redis worker connection error', { error: err }));
+    await blockingClient.connect();
+
+    const recovered = await recoverJobs(redisClient);
+    if (recovered > 0) {
+      log.info('Requeued interrupted jobs', { jobs: recovered });
+    }
+
+    while (running) {
+      try {
+        const id = await nextJob(blockingClient, POLL_TIMEOUT_SECONDS);
+        if (!id) {
+          continue;
+        }
+
+        const job = await getJob(redisClient, id);
+        if (job) {
+          await runJob(redisClient, job);
+        }
+        await releaseJob(redisClient, id);
+      } catch (error) {
+        log.error('Job worker error', { error });
+        await new Promise(resolve => setTimeout(resolve, ERROR_BACKOFF_MS));
+      }
+    }
+
+    await blockingClient.quit();
+  })().catch(error => log.error('Job worker stopped', { error }));
+
+  return () => {
+    running = false;
+  };
+}
+
+module.exports = {
+  startWorker
+};
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const tar = require('tar-stream');
+const { FORMATS, detectFormat, zipEntries, gunzipStream, tarEntries } = require('../src/archives');
+
+// One of the sample bundles in the project root
+const SAMPLE_ZIP = path.join(__dirname, '..', '..', '..', 'test-both.zip');
+
+/**
+ * A tar archive of the given entries
+ * @param {Array<object>} entries - tar-stream headers, with content for files
+ * @returns {Promise<Buffer>}
+ */
+async function buildTar(entries) {
+  const pack = tar.pack();
+  for (const { content, ...header } of entries) {
+    pack.entry(header, content);
+  }
+  pack.finalize();
+
+  const chunks = [];
+  for await (const chunk of pack) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// A directory removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+const TAR_ENTRIES = [
+  { name: 'bundle', type: 'directory' },
+  { name: 'bundle/error.log', content: 'java.lang.IllegalStateException: boom' },
+  { name: 'bundle/latest.log', type: 'symlink', linkname: 'error.log' }
+];
+
+test('detects archive formats from content, not names', async (t) => {
+  const dir = tempDir(t);
+  const write = (name, content) => {
+    fs.writeFileSync(path.join(dir, name), content);
+    return path.join(dir, name);
+  };
+
+  const tarData = await buildTar(TAR_ENTRIES);
+  assert.strictEqual(await detectFormat(SAMPLE_ZIP), FORMATS.ZIP);
+  assert.strictEqual(await detectFormat(write('bundle.bin', tarData)), FORMATS.TAR);
+  assert.strictEqual(await detectFormat(write('bundle.dat', zlib.gzipSync(tarData))), FORMATS.TAR_GZ);
+  assert.strictEqual(await detectFormat(write('app.log.gz', zlib.gzipSync('plain log text'))), FORMATS.GZIP);
+  assert.strictEqual(await detectFormat(write('bundle.zip', 'not an archive')), null);
+  assert.strictEqual(await detectFormat(write('empty.zip', '')), null);
+});
+
+test('lists zip entries and streams their content', async () => {
+  const entries = await zipEntries(SAMPLE_ZIP);
+
+  assert.deepStrictEqual(entries.map(entry => [entry.path, entry.type, entry.size]), [
+    ['exception-log.txt', 'file', 905],
+    ['support-message.txt', 'file', 407]
+  ]);
+  assert.strictEqual((await readAll(entries[1].stream())).length, 407);
+});
+
+test('yields tar entries with links reported as symlinks', async () => {
+  const seen = [];
+
+  for await (const entry of tarEntries(Readable.from([await buildTar(TAR_ENTRIES)]))) {
+    const content = entry.type === 'file' ? await readAll(entry.stream()) : null;
+    seen.push([entry.path, entry.type, content]);
+  }
+
+  assert.deepStrictEqual(seen, [
+    ['bundle', 'directory', null],
+    ['bundle/error.log', 'file', 'java.lang.IllegalStateException: boom'],
+    ['bundle/latest.log', 'symlink', null]
+  ]);
+});
+
+test('decompresses gzip data, reporting progress', async (t) => {
+  const dir = tempDir(t);
+  const filePath = path.join(dir, 'app.log.gz');
+  fs.writeFileSync(filePath, zlib.gzipSync('line\n'.repeat(1000)));
+
+  const progress = [];
+  const text = await readAll(gunzipStream(filePath, update => progress.push(update)));
+
+  assert.strictEqual(text.length, 5000);
+  assert.strictEqual(progress[progress.length - 1].bytes, 5000);
+  assert.ok(progress.every(update => update.compressedBytes > 0));
+});
+
+test('stops decompressing when the progress callback throws', async (t) => {
+  const dir = tempDir(t);
+  const filePath = path.join(dir, 'bomb.gz');
+  fs.writeFileSync(filePath, zlib.gzipSync(Buffer.alloc(1024 * 1024)));
+
+  const stream = gunzipStream(filePath, ({ bytes }) => {
+    if (bytes > 64 * 1024) {
+      throw new Error('Too large');
+    }
+  });
+
+  await assert.rejects(readAll(stream), /Too large/);
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const tar = require('tar-stream');
+const { LIMITS, UploadRejectedError, resolveEntryPath, createUploadMiddleware, inspectArchive, extractArchive } = require('../src/ingestion');
+
+// One of the sample bundles in the project root
+const SAMPLE_ZIP = path.join(__dirname, '..', '..', '..', 'test-both.zip');
+
+/**
+ * A tar archive of the given entries
+ * @param {Array<object>} entries - tar-stream headers, with content for files
+ * @returns {Promise<Buffer>}
+ */
+async function buildTar(entries) {
+  const pack = tar.pack();
+  for (const { content, ...header } of entries) {
+    pack.entry(header, content);
+  }
+  pack.finalize();
+
+  const chunks = [];
+  for await (const chunk of pack) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// A directory removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Lower a limit for one test
+function withLimit(t, name, value) {
+  const previous = LIMITS[name];
+  LIMITS[name] = value;
+  t.after(() => { LIMITS[name] = previous; });
+}
+
+async function writeTar(dir, name, entries, { gzip = false } = {}) {
+  const data = await buildTar(entries);
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, gzip ? zlib.gzipSync(data) : data);
+  return filePath;
+}
+
+function rejectsWith(promise, code, status) {
+  return assert.rejects(promise, (error) => {
+    assert.ok(error instanceof UploadRejectedError);
+    assert.deepStrictEqual([error.code, error.status], [code, status]);
+    return true;
+  });
+}
+
+test('resolveEntryPath keeps entries inside the extraction directory', () => {
+  const root = path.resolve('/tmp/extract');
+  assert.strictEqual(resolveEntryPath(root, 'logs/app.log'), path.join(root, 'logs', 'app.log'));
+  assert.strictEqual(resolveEntryPath(root, 'logs\\app.log'), path.join(root, 'logs', 'app.log'));
+
+  for (const entryPath of ['../evil.sh', 'logs/../../evil.sh', '..\\evil.sh', '/etc/passwd', 'C:\\Windows\\evil.dll', 'c:evil', 'app\0.log']) {
+    assert.throws(() => resolveEntryPath(root, entryPath), { code: 'UNSAFE_PATH', status: 422 }, entryPath);
+  }
+});
+
+test('rejects an archive with an entry outside the extraction directory', async (t) => {
+  const dir = tempDir(t);
+  const archive = await writeTar(dir, 'slip.tar', [
+    { name: 'bundle/error.log', content: 'boom' },
+    { name: '../../evil.sh', content: 'rm -rf /' }
+  ]);
+
+  await rejectsWith(inspectArchive(archive), 'UNSAFE_PATH', 422);
+  await rejectsWith(extractArchive(archive, path.join(dir, 'out', 'extracted')), 'UNSAFE_PATH', 422);
+  assert.ok(!fs.existsSync(path.join(dir, 'evil.sh')));
+});
+
+test('rejects links in an archive', async (t) => {
+  const dir = tempDir(t);
+  const archive = await writeTar(dir, 'links.tar.gz', [
+    { name: 'bundle/error.log', content: 'boom' },
+    { name: 'bundle/passwd', type: 'symlink', linkname: '/etc/passwd' }
+  ], { gzip: true });
+
+  await rejectsWith(inspectArchive(archive), 'SYMLINK_ENTRY', 422);
+});
+
+test('rejects an archive with too many entries', async (t) => {
+  const dir = tempDir(t);
+  withLimit(t, 'entries', 2);
+  const archive = await writeTar(dir, 'many.tar', ['a', 'b', 'c'].map(name => ({ name: `${name}.log`, content: name })));
+
+  await rejectsWith(inspectArchive(archive), 'TOO_MANY_ENTRIES', 413);
+  // The limit itself is allowed
+  assert.strictEqual((await inspectArchive(SAMPLE_ZIP)).entries, 2);
+});
+
+test('rejects data that expands too far for its compressed size', async (t) => {
+  const dir = tempDir(t);
+  const archive = await writeTar(dir, 'bomb.tgz', [{ name: 'zeros.log', content: Buffer.alloc(4 * 1024 * 1024) }], { gzip: true });
+  const gzipped = path.join(dir, 'zeros.log.gz');
+  fs.writeFileSync(gzipped, zlib.gzipSync(Buffer.alloc(4 * 1024 * 1024)));
+
+  await rejectsWith(inspectArchive(archive), 'COMPRESSION_RATIO_EXCEEDED', 422);
+  await rejectsWith(extractArchive(gzipped, path.join(dir, 'extracted')), 'COMPRESSION_RATIO_EXCEEDED', 422);
+});
+
+test('extracts a valid archive within the limits', async (t) => {
+  const dir = tempDir(t);
+  const extractDir = path.join(dir, 'extracted');
+
+  const result = await extractArchive(SAMPLE_ZIP, extractDir);
+  assert.deepStrictEqual([result.format, result.entries], ['zip', 2]);
+  assert.deepStrictEqual(fs.readdirSync(extractDir).sort(), ['exception-log.txt', 'support-message.txt']);
+});
+
+/**
+ * An app with only the upload middleware and the service's rejection handling
+ */
+function startApp(t, uploadsDir) {
+  const app = express();
+  app.post('/upload', createUploadMiddleware(uploadsDir, 'file'), (req, res) => {
+    res.json({ file: req.file.displayName, archive: req.file.archive });
+  });
+  app.use((error, req, res, next) => {
+    if (error instanceof UploadRejectedError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    next(error);
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      t.after(() => server.close());
+      resolve(`http://127.0.0.1:${server.address().port}/upload`);
+    });
+  });
+}
+
+async function post(url, fields) {
+  const form = new FormData();
+  for (const [name, { content, fileName, type }] of Object.entries(fields)) {
+    form.append(name, new Blob([content], { type }), fileName);
+  }
+  const response = await fetch(url, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the upload middleware rejects bad uploads and deletes them', async (t) => {
+  const uploadsDir = tempDir(t);
+  withLimit(t, 'uploadBytes', 64 * 1024);
+  const url = await startApp(t, uploadsDir);
+  const zip = fs.readFileSync(SAMPLE_ZIP);
+
+  const tooLarge = await post(url, { file: { content: Buffer.alloc(128 * 1024), fileName: 'big.zip', type: 'application/zip' } });
+  assert.deepStrictEqual([tooLarge.status, tooLarge.body.code], [413, 'FILE_TOO_LARGE']);
+
+  const noFile = await post(url, {});
+  assert.deepStrictEqual([noFile.status, noFile.body.code], [400, 'NO_FILE']);
+
+  const wrongField = await post(url, { attachment: { content: zip, fileName: 'bundle.zip', type: 'application/zip' } });
+  assert.deepStrictEqual([wrongField.status, wrongField.body.code], [400, 'UNEXPECTED_FIELD']);
+
+  const notArchive = await post(url, { file: { content: 'hello', fileName: 'notes.txt', type: 'text/plain' } });
+  assert.deepStrictEqual([notArchive.status, notArchive.body.code], [415, 'UNSUPPORTED_MEDIA_TYPE']);
+
+  const disguised = await post(url, { file: { content: 'not a zip', fileName: 'bundle.zip', type: 'application/zip' } });
+  assert.deepStrictEqual([disguised.status, disguised.body.code], [415, 'UNSUPPORTED_MEDIA_TYPE']);
+
+  assert.deepStrictEqual(fs.readdirSync(uploadsDir), []);
+});
+
+test('the upload middleware stores a valid archive under a generated name', async (t) => {
+  const uploadsDir = tempDir(t);
+  const url = await startApp(t, uploadsDir);
+
+  const { status, body } = await post(url, { file: { content: fs.readFileSync(SAMPLE_ZIP), fileName: '../../bundle.zip', type: 'application/zip' } });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.file, 'bundle.zip');
+  assert.deepStrictEqual([body.archive.format, body.archive.entries], ['zip', 2]);
+  assert.match(fs.readdirSync(uploadsDir)[0], /^\d+-[0-9a-f-]{36}\.zip$/);
+});
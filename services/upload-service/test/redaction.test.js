@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRedactionRules, redactText, redactRecord, redactCall, redactMetadata } = require('../src/redaction');
+
+// A config file that doesn't exist: every built-in detector, no custom rules
+const NO_CONFIG = path.join(os.tmpdir(), 'no-such-redaction.json');
+
+// Rules are module state; each test starts from the defaults
+test.beforeEach(() => loadRedactionRules(NO_CONFIG));
+
+/**
+ * Load rules from a redaction.json with this content
+ */
+function loadConfig(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redaction-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, 'redaction.json');
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return loadRedactionRules(configPath);
+}
+
+test('every built-in detector is active without a config file', () => {
+  const active = loadRedactionRules(NO_CONFIG);
+  assert.deepStrictEqual(active, [
+    'private_key', 'connection_string', 'bearer_token', 'jwt', 'aws_access_key',
+    'secret', 'email', 'credit_card', 'ipv4', 'ipv6'
+  ]);
+});
+
+test('masks each kind of sensitive value and lists the kinds', () => {
+  const { text, redacted } = redactText(
+    'Login failed for bob@example.com from 10.0.0.12 with password=hunter2 using Bearer abc.def-123 ' +
+    'db postgres://app:s3cret@db:5432/orders'
+  );
+
+  assert.strictEqual(text,
+    'Login failed for [REDACTED:email] from [REDACTED:ipv4] with password=[REDACTED:secret] using Bearer [REDACTED:bearer_token] ' +
+    'db [REDACTED:connection_string]');
+  assert.deepStrictEqual(redacted, ['bearer_token', 'connection_string', 'email', 'ipv4', 'secret']);
+});
+
+test('only masks card numbers that pass the Luhn check', () => {
+  assert.strictEqual(redactText('card 4111 1111 1111 1111').text, 'card [REDACTED:credit_card]');
+  assert.deepStrictEqual(redactText('order 4111 1111 1111 1112'), { text: 'order 4111 1111 1111 1112', redacted: [] });
+});
+
+test('leaves text that is already masked alone', () => {
+  assert.deepStrictEqual(redactText('[REDACTED:email] again'), { text: '[REDACTED:email] again', redacted: [] });
+});
+
+test('custom rules run after the built-in ones, masking their first capture group', (t) => {
+  const active = loadConfig(t, {
+    disable: ['ipv4'],
+    rules: [
+      { name: 'customer_id', pattern: '\\bCUST-\\d{6}\\b' },
+      { name: 'session_id', pattern: 'session[_-]?id=([0-9a-f]{16,})', flags: 'i' }
+    ]
+  });
+
+  assert.ok(!active.includes('ipv4'));
+  assert.deepStrictEqual(active.slice(-2), ['customer_id', 'session_id']);
+  assert.deepStrictEqual(redactText('CUST-123456 from 10.0.0.12 SESSION_ID=0123456789abcdef0'), {
+    text: '[REDACTED:customer_id] from 10.0.0.12 SESSION_ID=[REDACTED:session_id]',
+    redacted: ['customer_id', 'session_id']
+  });
+});
+
+test('rejects unknown built-in detectors and invalid rule names', (t) => {
+  assert.throws(() => loadConfig(t, { disable: ['phone'] }), /Unknown built-in redaction rule "phone"/);
+  assert.throws(() => loadConfig(t, { rules: [{ name: 'Customer ID', pattern: 'x' }] }), /Invalid redaction rule name "Customer ID"/);
+});
+
+test('redacts records and queued calls, recording the kinds masked', () => {
+  assert.deepStrictEqual(redactRecord({ file: 'a.txt', text: 'mail a@b.co' }), { file: 'a.txt', text: 'mail [REDACTED:email]', redacted: ['email'] });
+  assert.deepStrictEqual(redactRecord({ file: 'a.bin' }), { file: 'a.bin' });
+
+  const call = redactCall({ function: 'notify', event: { text: 'mail a@b.co', message: 'ip 1.2.3.4', zipFile: 'z.zip' } });
+  assert.deepStrictEqual(call, {
+    function: 'notify',
+    event: { text: 'mail [REDACTED:email]', message: 'ip [REDACTED:ipv4]', zipFile: 'z.zip', redacted: ['email', 'ipv4'] }
+  });
+});
+
+test('masks bundle metadata except the customer purges are matched on', () => {
+  const metadata = {
+    customer: 'ops@acme.example',
+    appVersion: '2.1.0',
+    contact: 'Jane <jane@acme.example>',
+    hosts: ['10.0.0.12'],
+    build: { number: 42, token: 'token=abcdef123456' }
+  };
+
+  assert.deepStrictEqual(redactMetadata(metadata), {
+    customer: 'ops@acme.example',
+    appVersion: '2.1.0',
+    contact: 'Jane <[REDACTED:email]>',
+    hosts: ['[REDACTED:ipv4]'],
+    build: { number: 42, token: 'token=[REDACTED:secret]' }
+  });
+});